@@ -1,23 +1,50 @@
 require('dotenv').config();
 const express = require('express');
 const fs = require('fs').promises;
+const http = require('http');
+const vm = require('vm');
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { WebSocketServer } = require('ws');
 
 const HOST = process.env.HOST || 'http://localhost';
 const PORT = process.env.PORT || 6050;
 const HIDE_PANEL = process.env.HIDE_PANEL === 'true';
 const PANEL_ROUTE = HIDE_PANEL ? (process.env.PANEL_ROUTE || crypto.randomBytes(4).toString('hex')) : '';
 const isRegisterEnabled = process.env.ENABLE_ACCOUNT_CREATION !== 'false';
+const COLLECTION_CACHE_SIZE = parseInt(process.env.COLLECTION_CACHE_SIZE) || 100;
+const FLUSH_INTERVAL_MS = parseInt(process.env.FLUSH_INTERVAL_MS) || 1000;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const TRASH_SWEEP_INTERVAL_MS = parseInt(process.env.TRASH_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+const EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000;
+// 0 turns scheduled snapshots off; manual snapshots still work
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS ?? 24 * 60 * 60 * 1000) || 0;
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION) || 7;
+const CHANGE_FEED_BUFFER = parseInt(process.env.CHANGE_FEED_BUFFER) || 1000;
+const CHANGE_FEED_HEARTBEAT_MS = parseInt(process.env.CHANGE_FEED_HEARTBEAT_MS) || 25 * 1000;
+const REALTIME_MAX_PAYLOAD = 64 * 1024;
+const IMPORT_MAX_RECORD_BYTES = parseInt(process.env.IMPORT_MAX_RECORD_BYTES) || 16 * 1024 * 1024;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+// Doubled after every failed attempt
+const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE) || 100;
+const WEBHOOK_QUEUE_SIZE = parseInt(process.env.WEBHOOK_QUEUE_SIZE) || 1000;
+const HOOK_TIMEOUT_MS = parseInt(process.env.HOOK_TIMEOUT_MS) || 100;
+const HOOK_BUDGET_MS = Math.max(parseInt(process.env.HOOK_BUDGET_MS) || 1000, HOOK_TIMEOUT_MS);
+const TOKEN_ROTATION_GRACE_SECONDS = parseInt(process.env.TOKEN_ROTATION_GRACE_SECONDS) || 86400;
+const TOKEN_USAGE_INTERVAL_MS = parseInt(process.env.TOKEN_USAGE_INTERVAL_MS) || 60000;
 
 const ERROR_CODES = {
     // Authentication and Authorization (400-403)
     NO_TOKEN_PROVIDED: { code: 'NO_TOKEN_PROVIDED', status: 401, message: 'No authentication token provided' },
     INVALID_TOKEN: { code: 'INVALID_TOKEN', status: 401, message: 'Invalid or expired token' },
+    TOKEN_EXPIRED: { code: 'TOKEN_EXPIRED', status: 401, message: 'Token has expired' },
+    TOKEN_CHANGED: { code: 'TOKEN_CHANGED', status: 401, message: 'The token was changed or removed; reconnect to continue' },
     FORBIDDEN: { code: 'FORBIDDEN', status: 403, message: 'Insufficient permissions for operation' },
     INVALID_CREDENTIALS: { code: 'INVALID_CREDENTIALS', status: 401, message: 'Invalid username or password' },
     REGISTRATION_DISABLED: { code: 'REGISTRATION_DISABLED', status: 403, message: 'Account registration is disabled' },
@@ -26,20 +53,35 @@ const ERROR_CODES = {
     // Validation Errors (400)
     INVALID_REQUEST_BODY: { code: 'INVALID_REQUEST_BODY', status: 400, message: 'Invalid request body' },
     INVALID_ID_FORMAT: { code: 'INVALID_ID_FORMAT', status: 400, message: 'Invalid ID format. Only letters, numbers, underscores, and hyphens allowed' },
+    INVALID_COLLECTION_NAME: { code: 'INVALID_COLLECTION_NAME', status: 400, message: 'Invalid collection name. Only letters, numbers, underscores, and hyphens allowed' },
     INVALID_FILTER: { code: 'INVALID_FILTER', status: 400, message: 'Invalid filter JSON' },
+    INVALID_PIPELINE: { code: 'INVALID_PIPELINE', status: 400, message: 'Invalid aggregation pipeline' },
+    INVALID_SETTINGS: { code: 'INVALID_SETTINGS', status: 400, message: 'Invalid collection settings' },
+    VALIDATION_FAILED: { code: 'VALIDATION_FAILED', status: 400, message: 'Record does not match the collection schema' },
+    INVALID_UPDATE: { code: 'INVALID_UPDATE', status: 400, message: 'Invalid update document' },
+    INVALID_TRANSACTION: { code: 'INVALID_TRANSACTION', status: 400, message: 'Invalid transaction' },
     MISSING_REQUIRED_FIELDS: { code: 'MISSING_REQUIRED_FIELDS', status: 400, message: 'Missing required fields' },
     INVALID_TOKEN_PERMISSIONS: { code: 'INVALID_TOKEN_PERMISSIONS', status: 400, message: 'Invalid token permissions' },
     INVALID_PROJECT_NAME: { code: 'INVALID_PROJECT_NAME', status: 400, message: 'Project name is required and cannot be empty' },
     INVALID_ROLE: { code: 'INVALID_ROLE', status: 400, message: 'Invalid user role' },
     INVALID_FIELD: { code: 'INVALID_FIELD', status: 400, message: 'Invalid field name or value' },
+    HOOK_REJECTED: { code: 'HOOK_REJECTED', status: 400, message: 'Write rejected by a collection hook' },
     // Resource Not Found (404)
     PROJECT_NOT_FOUND: { code: 'PROJECT_NOT_FOUND', status: 404, message: 'Project not found' },
     COLLECTION_NOT_FOUND: { code: 'COLLECTION_NOT_FOUND', status: 404, message: 'Collection not found' },
     RECORD_NOT_FOUND: { code: 'RECORD_NOT_FOUND', status: 404, message: 'Record not found' },
     USER_NOT_FOUND: { code: 'USER_NOT_FOUND', status: 404, message: 'User not found' },
     TOKEN_NOT_FOUND: { code: 'TOKEN_NOT_FOUND', status: 404, message: 'Token not found' },
+    SNAPSHOT_NOT_FOUND: { code: 'SNAPSHOT_NOT_FOUND', status: 404, message: 'Snapshot not found' },
+    WEBHOOK_NOT_FOUND: { code: 'WEBHOOK_NOT_FOUND', status: 404, message: 'Webhook not found' },
+    DELIVERY_NOT_FOUND: { code: 'DELIVERY_NOT_FOUND', status: 404, message: 'Webhook delivery not found' },
     // Conflicts (409)
     RECORD_EXISTS: { code: 'RECORD_EXISTS', status: 409, message: 'Record already exists' },
+    UNIQUE_VIOLATION: { code: 'UNIQUE_VIOLATION', status: 409, message: 'Unique constraint violated' },
+    COLLECTION_IN_TRASH: { code: 'COLLECTION_IN_TRASH', status: 409, message: 'Collection is in the trash' },
+    // Preconditions (412)
+    REVISION_CONFLICT: { code: 'REVISION_CONFLICT', status: 412, message: 'Record was modified by another request' },
+    PRECONDITION_FAILED: { code: 'PRECONDITION_FAILED', status: 412, message: 'Record does not match the precondition' },
     // Rate Limiting (429)
     RATE_LIMIT_EXCEEDED: { code: 'RATE_LIMIT_EXCEEDED', status: 429, message: 'Too many requests from this IP' },
     // Server Errors (500)
@@ -48,21 +90,683 @@ const ERROR_CODES = {
     COLLECTION_CREATION_FAILED: { code: 'COLLECTION_CREATION_FAILED', status: 500, message: 'Failed to create collection' },
     REGISTRATION_ERROR: { code: 'REGISTRATION_ERROR', status: 500, message: 'Failed to register collection or project' },
     DATABASE_ERROR: { code: 'DATABASE_ERROR', status: 500, message: 'Internal database error' },
+    HOOK_FAILED: { code: 'HOOK_FAILED', status: 500, message: 'Collection hook failed' },
     SERVER_ERROR: { code: 'SERVER_ERROR', status: 500, message: 'Internal server error' }
 };
 
+class KeyedMutex {
+    constructor() {
+        this.queues = new Map();
+    }
+
+    acquire(key) {
+        return new Promise(resolve => {
+            let released = false;
+            const release = () => {
+                if (released) return;
+                released = true;
+                this.release(key);
+            };
+            const queue = this.queues.get(key);
+            if (queue) {
+                queue.push(() => resolve(release));
+            } else {
+                this.queues.set(key, []);
+                resolve(release);
+            }
+        });
+    }
+
+    release(key) {
+        const queue = this.queues.get(key);
+        if (!queue) return;
+        const next = queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.queues.delete(key);
+        }
+    }
+
+    async runExclusive(key, task) {
+        const release = await this.acquire(key);
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+}
+
+const WAL_OPERATIONS = ['put', 'delete', 'clear'];
+
+class JsonFileDriver {
+    constructor(options) {
+        this.projectsDir = options.projectsDir;
+        this.locks = new KeyedMutex();
+        // Committed multi-collection transactions whose log lines are still in a write-ahead log, by id
+        this.transactions = new Map();
+        // Transaction ids of the lines in each write-ahead log, committed or not
+        this.walTransactions = new Map();
+    }
+
+    getCollectionPath(projectId, collectionName) {
+        return path.join(this.projectsDir, projectId, `${collectionName}.json`);
+    }
+
+    getWalPath(projectId, collectionName) {
+        return path.join(this.projectsDir, projectId, `${collectionName}.wal`);
+    }
+
+    getTransactionLogPath(projectId) {
+        return path.join(this.projectsDir, projectId, 'transactions.log');
+    }
+
+    async init() {
+        await fs.mkdir(this.projectsDir, { recursive: true });
+        await this.replayWriteAheadLogs();
+    }
+
+    async close() { }
+
+    async exists(projectId, collectionName) {
+        try {
+            await fs.access(this.getCollectionPath(projectId, collectionName));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw Object.assign(new Error(`File system error for collection '${collectionName}'`), ERROR_CODES.FILE_SYSTEM_ERROR);
+        }
+    }
+
+    async create(projectId, collectionName) {
+        if (await this.exists(projectId, collectionName)) return;
+        await this.writeCollectionFile(projectId, collectionName, {});
+    }
+
+    async drop(projectId, collectionName) {
+        const walPath = this.getWalPath(projectId, collectionName);
+        await fs.unlink(this.getCollectionPath(projectId, collectionName)).catch(() => { });
+        await fs.unlink(walPath).catch(() => { });
+        await this.forgetWalTransactions(projectId, walPath);
+    }
+
+    async dropProject(projectId) {
+        await fs.rm(path.join(this.projectsDir, projectId), { recursive: true, force: true });
+        for (const [id, transaction] of this.transactions) {
+            if (transaction.projectId === projectId) this.transactions.delete(id);
+        }
+        for (const walPath of this.walTransactions.keys()) {
+            if (path.dirname(walPath) === path.join(this.projectsDir, projectId)) this.walTransactions.delete(walPath);
+        }
+    }
+
+    async scan(projectId, collectionName) {
+        const collectionPath = this.getCollectionPath(projectId, collectionName);
+        let data = {};
+        try {
+            data = JSON.parse(await fs.readFile(collectionPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read JSON file ${collectionPath}:`, error);
+                throw Object.assign(new Error('Failed to read file'), ERROR_CODES.JSON_PARSING_ERROR);
+            }
+        }
+        for (const entry of await this.readWalEntries(this.getWalPath(projectId, collectionName))) {
+            // Lines of a transaction that never reached the transaction log were rolled back
+            if (entry.txn && !this.transactions.has(entry.txn)) continue;
+            applyChanges(data, entry.changes);
+        }
+        return data;
+    }
+
+    async get(projectId, collectionName, id) {
+        const data = await this.scan(projectId, collectionName);
+        return data[id] || null;
+    }
+
+    async put(projectId, collectionName, id, record) {
+        await this.transaction(projectId, collectionName, [{ op: 'put', id, record }]);
+    }
+
+    async delete(projectId, collectionName, id) {
+        await this.transaction(projectId, collectionName, [{ op: 'delete', id }]);
+    }
+
+    async transaction(projectId, collectionName, changes, txn = null) {
+        // One log line per transaction: a torn line is skipped on replay, so a batch applies entirely or not at all
+        const walPath = this.getWalPath(projectId, collectionName);
+        const line = JSON.stringify({ ts: new Date().toISOString(), ...(txn && { txn }), changes }) + '\n';
+        await this.locks.runExclusive(walPath, async () => {
+            await appendDurably(walPath, line, 'write-ahead log');
+            if (!txn) return;
+            if (!this.walTransactions.has(walPath)) this.walTransactions.set(walPath, new Set());
+            this.walTransactions.get(walPath).add(txn);
+        });
+    }
+
+    // Changes to several collections: each write-ahead log gets a line tagged with the transaction id, and the lines
+    // only count once the id is appended to the project's transaction log. A crash in between rolls all of them back.
+    async commit(projectId, batches) {
+        if (batches.length === 1) return this.transaction(projectId, batches[0].collectionName, batches[0].changes);
+        const txn = uuidv4();
+        for (const { collectionName, changes } of batches) {
+            await this.transaction(projectId, collectionName, changes, txn);
+        }
+        const logPath = this.getTransactionLogPath(projectId);
+        await this.locks.runExclusive(logPath, async () => {
+            await appendDurably(logPath, `${txn}\n`, 'transaction log');
+            const walPaths = batches.map(({ collectionName }) => this.getWalPath(projectId, collectionName));
+            this.transactions.set(txn, { projectId, walPaths: new Set(walPaths) });
+        });
+    }
+
+    async checkpoint(projectId, collectionName, data) {
+        const walPath = this.getWalPath(projectId, collectionName);
+        const release = await this.locks.acquire(walPath);
+        try {
+            await this.writeCollectionFile(projectId, collectionName, data);
+            await fs.unlink(walPath).catch(() => { });
+        } finally {
+            release();
+        }
+        await this.forgetWalTransactions(projectId, walPath);
+    }
+
+    // Once no write-ahead log holds lines of a committed transaction any more, the project's transaction log goes
+    async forgetWalTransactions(projectId, walPath) {
+        const ids = this.walTransactions.get(walPath);
+        if (!ids) return;
+        this.walTransactions.delete(walPath);
+        const logPath = this.getTransactionLogPath(projectId);
+        await this.locks.runExclusive(logPath, async () => {
+            for (const id of ids) {
+                const transaction = this.transactions.get(id);
+                if (!transaction) continue;
+                transaction.walPaths.delete(walPath);
+                if (transaction.walPaths.size === 0) this.transactions.delete(id);
+            }
+            if ([...this.transactions.values()].some(transaction => transaction.projectId === projectId)) return;
+            await fs.unlink(logPath).catch(() => { });
+        });
+    }
+
+    async writeCollectionFile(projectId, collectionName, data) {
+        const collectionPath = this.getCollectionPath(projectId, collectionName);
+        try {
+            await writeFileAtomic(collectionPath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error(`Error writing to ${collectionPath}:`, error);
+            throw Object.assign(new Error(`Failed to write to ${collectionPath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
+        }
+    }
+
+    async readWalEntries(walPath) {
+        let content;
+        try {
+            content = await fs.readFile(walPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw Object.assign(new Error(`Failed to read write-ahead log ${walPath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
+        }
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // A torn trailing line means the crash happened before the change was acknowledged
+                console.warn(`Skipping incomplete write-ahead log entry in ${walPath}`);
+                break;
+            }
+            if (Array.isArray(entry?.changes)) {
+                entries.push(entry);
+            } else if (WAL_OPERATIONS.includes(entry?.op)) {
+                // Logs written before batches shared a line hold one change per line
+                const { ts, ...change } = entry;
+                entries.push({ ts, changes: [change] });
+            } else {
+                const message = `Unrecognized write-ahead log entry in ${walPath}: ${line.slice(0, 200)}`;
+                throw Object.assign(new Error(message), ERROR_CODES.FILE_SYSTEM_ERROR, { message });
+            }
+        }
+        return entries;
+    }
+
+    async replayWriteAheadLogs() {
+        const projectDirs = await fs.readdir(this.projectsDir, { withFileTypes: true });
+        for (const dir of projectDirs.filter(d => d.isDirectory())) {
+            const projectPath = path.join(this.projectsDir, dir.name);
+            const files = await fs.readdir(projectPath);
+            for (const file of files.filter(f => f.endsWith('.json.tmp'))) {
+                await fs.unlink(path.join(projectPath, file)).catch(() => { });
+            }
+            const logPath = this.getTransactionLogPath(dir.name);
+            const committed = await fs.readFile(logPath, 'utf8').catch(error => {
+                if (error.code === 'ENOENT') return '';
+                throw Object.assign(new Error(`Failed to read transaction log ${logPath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
+            });
+            for (const id of committed.split('\n').filter(Boolean)) {
+                this.transactions.set(id, { projectId: dir.name, walPaths: new Set() });
+            }
+            for (const file of files.filter(f => f.endsWith('.wal'))) {
+                const collectionName = file.slice(0, -'.wal'.length);
+                const collectionPath = this.getCollectionPath(dir.name, collectionName);
+                let data;
+                try {
+                    data = await this.scan(dir.name, collectionName);
+                } catch (error) {
+                    if (error.code !== ERROR_CODES.JSON_PARSING_ERROR.code) throw error;
+                    const corruptPath = `${collectionPath}.corrupt-${Date.now()}`;
+                    console.error(`Collection file ${collectionPath} is unreadable, moved to ${corruptPath}; rebuilding from write-ahead log`);
+                    await fs.rename(collectionPath, corruptPath);
+                    data = await this.scan(dir.name, collectionName);
+                }
+                console.log(`Replaying write-ahead log into ${collectionPath}`);
+                await this.checkpoint(dir.name, collectionName, data);
+            }
+            // Every log of the project is checkpointed now, so no line needs the transaction log any more
+            for (const [id, transaction] of this.transactions) {
+                if (transaction.projectId === dir.name) this.transactions.delete(id);
+            }
+            await fs.unlink(logPath).catch(() => { });
+        }
+    }
+}
+
+class SqliteDriver {
+    constructor(options) {
+        this.file = options.file;
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw Object.assign(new Error('The sqlite storage driver requires the better-sqlite3 package'), ERROR_CODES.DATABASE_ERROR);
+        }
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collections (
+                project_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                PRIMARY KEY (project_id, name)
+            );
+            CREATE TABLE IF NOT EXISTS records (
+                project_id TEXT NOT NULL,
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (project_id, collection, id)
+            );
+        `);
+        this.statements = {
+            exists: this.db.prepare('SELECT 1 FROM collections WHERE project_id = ? AND name = ?'),
+            create: this.db.prepare('INSERT OR IGNORE INTO collections (project_id, name) VALUES (?, ?)'),
+            dropCollection: this.db.prepare('DELETE FROM collections WHERE project_id = ? AND name = ?'),
+            dropProjectCollections: this.db.prepare('DELETE FROM collections WHERE project_id = ?'),
+            dropProjectRecords: this.db.prepare('DELETE FROM records WHERE project_id = ?'),
+            clear: this.db.prepare('DELETE FROM records WHERE project_id = ? AND collection = ?'),
+            scan: this.db.prepare('SELECT id, data FROM records WHERE project_id = ? AND collection = ?'),
+            get: this.db.prepare('SELECT data FROM records WHERE project_id = ? AND collection = ? AND id = ?'),
+            put: this.db.prepare('INSERT OR REPLACE INTO records (project_id, collection, id, data) VALUES (?, ?, ?, ?)'),
+            delete: this.db.prepare('DELETE FROM records WHERE project_id = ? AND collection = ? AND id = ?')
+        };
+        this.applyTransaction = this.db.transaction((projectId, collectionName, changes) => {
+            this.statements.create.run(projectId, collectionName);
+            for (const change of changes) {
+                if (change.op === 'put') {
+                    this.statements.put.run(projectId, collectionName, change.id, JSON.stringify(change.record));
+                } else if (change.op === 'delete') {
+                    this.statements.delete.run(projectId, collectionName, change.id);
+                } else if (change.op === 'clear') {
+                    this.statements.clear.run(projectId, collectionName);
+                }
+            }
+        });
+    }
+
+    async close() {
+        this.db?.close();
+    }
+
+    run(task) {
+        try {
+            return task();
+        } catch (error) {
+            console.error('SQLite storage error:', error);
+            throw Object.assign(new Error('SQLite storage operation failed'), ERROR_CODES.DATABASE_ERROR);
+        }
+    }
+
+    async exists(projectId, collectionName) {
+        return this.run(() => !!this.statements.exists.get(projectId, collectionName));
+    }
+
+    async create(projectId, collectionName) {
+        this.run(() => this.statements.create.run(projectId, collectionName));
+    }
+
+    async drop(projectId, collectionName) {
+        this.run(() => this.db.transaction(() => {
+            this.statements.clear.run(projectId, collectionName);
+            this.statements.dropCollection.run(projectId, collectionName);
+        })());
+    }
+
+    async dropProject(projectId) {
+        this.run(() => this.db.transaction(() => {
+            this.statements.dropProjectRecords.run(projectId);
+            this.statements.dropProjectCollections.run(projectId);
+        })());
+    }
+
+    async scan(projectId, collectionName) {
+        const rows = this.run(() => this.statements.scan.all(projectId, collectionName));
+        const data = {};
+        for (const row of rows) {
+            data[row.id] = JSON.parse(row.data);
+        }
+        return data;
+    }
+
+    async get(projectId, collectionName, id) {
+        const row = this.run(() => this.statements.get.get(projectId, collectionName, id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async put(projectId, collectionName, id, record) {
+        await this.transaction(projectId, collectionName, [{ op: 'put', id, record }]);
+    }
+
+    async delete(projectId, collectionName, id) {
+        await this.transaction(projectId, collectionName, [{ op: 'delete', id }]);
+    }
+
+    async transaction(projectId, collectionName, changes) {
+        this.run(() => this.applyTransaction(projectId, collectionName, changes));
+    }
+
+    async commit(projectId, batches) {
+        this.run(() => this.db.transaction(() => {
+            for (const { collectionName, changes } of batches) this.applyTransaction(projectId, collectionName, changes);
+        })());
+    }
+
+    async checkpoint() {
+        // Every transaction is already committed to the database file
+    }
+}
+
+const STORAGE_DRIVERS = {
+    json: JsonFileDriver,
+    sqlite: SqliteDriver
+};
+
+class FieldIndex {
+    constructor(field) {
+        this.field = field;
+        this.segments = field.split('.');
+        this.entries = new Map();
+        this.keysById = new Map();
+        this.sortedKeys = null;
+        // Arrays and objects can't be ordered by a single key, so sorting falls back to a scan
+        this.sortable = true;
+    }
+
+    add(id, record) {
+        const values = getFieldValues(record, this.segments);
+        const keys = [];
+        if (values.length > 1) this.sortable = false;
+        for (const value of values) {
+            if (isIndexableValue(value)) {
+                keys.push(value);
+            } else if (Array.isArray(value)) {
+                this.sortable = false;
+                keys.push(...value.filter(isIndexableValue));
+            } else if (value !== undefined) {
+                this.sortable = false;
+            }
+        }
+        if (keys.length === 0) return;
+        this.keysById.set(id, keys);
+        for (const key of keys) {
+            let ids = this.entries.get(key);
+            if (!ids) {
+                ids = new Set();
+                this.entries.set(key, ids);
+                this.sortedKeys = null;
+            }
+            ids.add(id);
+        }
+    }
+
+    remove(id) {
+        const keys = this.keysById.get(id);
+        if (!keys) return;
+        this.keysById.delete(id);
+        for (const key of keys) {
+            const ids = this.entries.get(key);
+            if (!ids) continue;
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.entries.delete(key);
+                this.sortedKeys = null;
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.keysById.clear();
+        this.sortedKeys = null;
+        this.sortable = true;
+    }
+
+    lookup(keys) {
+        const result = new Set();
+        for (const key of keys) {
+            for (const id of this.entries.get(key) || []) result.add(id);
+        }
+        return result;
+    }
+
+    range(test) {
+        const result = new Set();
+        for (const [key, ids] of this.entries) {
+            if (!test(key)) continue;
+            for (const id of ids) result.add(id);
+        }
+        return result;
+    }
+
+    sortedIds(allIds, order) {
+        if (!this.sortedKeys) this.sortedKeys = [...this.entries.keys()].sort(compareValues);
+        const keys = order < 0 ? [...this.sortedKeys].reverse() : this.sortedKeys;
+        const keyed = keys.flatMap(key => [...this.entries.get(key)]);
+        // Records without a value sort first, matching compareValues
+        const missing = allIds.filter(id => !this.keysById.has(id));
+        return order < 0 ? [...keyed, ...missing] : [...missing, ...keyed];
+    }
+}
+
+class UniqueIndex {
+    constructor(fields) {
+        this.fields = fields;
+        this.owners = new Map();
+        this.keysById = new Map();
+    }
+
+    keyFor(record) {
+        const values = this.fields.map(field => getFieldValue(record, field));
+        // Like SQL NULLs, records missing any constrained field never conflict
+        if (values.some(value => value === undefined || value === null)) return null;
+        return JSON.stringify(values);
+    }
+
+    conflict(id, record) {
+        const key = this.keyFor(record);
+        const owner = key === null ? undefined : this.owners.get(key);
+        return owner !== undefined && owner !== id ? owner : null;
+    }
+
+    add(id, record) {
+        this.remove(id);
+        const key = this.keyFor(record);
+        if (key === null) return;
+        this.keysById.set(id, key);
+        this.owners.set(key, id);
+    }
+
+    remove(id) {
+        const key = this.keysById.get(id);
+        if (key === undefined) return;
+        this.keysById.delete(id);
+        if (this.owners.get(key) === id) this.owners.delete(key);
+    }
+
+    clear() {
+        this.owners.clear();
+        this.keysById.clear();
+    }
+}
+
+// Recent write events per collection, kept so a reconnecting listener can replay what it missed.
+// Every feed gets a random id that prefixes its resume tokens: tokens from before a restart or a
+// reset name a feed that no longer exists and are rejected instead of silently skipping events.
+class ChangeFeed {
+    constructor(size) {
+        this.size = size;
+        this.feeds = new Map();
+    }
+
+    feed(key) {
+        let feed = this.feeds.get(key);
+        if (!feed) {
+            feed = { id: crypto.randomBytes(4).toString('hex'), seq: 0, events: [], listeners: new Set() };
+            this.feeds.set(key, feed);
+        }
+        return feed;
+    }
+
+    currentToken(key) {
+        const feed = this.feed(key);
+        return `${feed.id}.${feed.seq}`;
+    }
+
+    publish(key, collectionName, changes) {
+        const feed = this.feed(key);
+        const changedAt = new Date().toISOString();
+        const entries = [];
+        for (const change of changes) {
+            if (change.op !== 'put' && change.op !== 'delete') continue;
+            feed.seq++;
+            const event = {
+                type: change.op === 'delete' ? 'delete' : change.record._rev === 1 ? 'insert' : 'update',
+                collection: collectionName,
+                id: change.id,
+                record: change.op === 'delete' ? null : change.record,
+                changedAt,
+                resumeToken: `${feed.id}.${feed.seq}`
+            };
+            // The removed record is kept next to the event so deletes can still be matched against a filter
+            const entry = { seq: feed.seq, event, previous: change.previous || null };
+            entries.push(entry);
+            feed.events.push(entry);
+            if (feed.events.length > this.size) feed.events.shift();
+            for (const listener of feed.listeners) {
+                // A failing listener must not fail the write that has already been persisted
+                try {
+                    listener(entry);
+                } catch (error) {
+                    console.error(`Change feed listener failed for '${key}':`, error);
+                }
+            }
+        }
+        return entries;
+    }
+
+    // Events after `token`, or null when the token is unknown or the events were already dropped
+    since(key, token) {
+        const feed = this.feed(key);
+        const [id, seqText] = String(token).split('.');
+        const seq = Number(seqText);
+        if (id !== feed.id || !Number.isInteger(seq) || seq < 0 || seq > feed.seq) return null;
+        const oldest = feed.events.length > 0 ? feed.events[0].seq : feed.seq + 1;
+        if (oldest > seq + 1) return null;
+        return feed.events.filter(entry => entry.seq > seq);
+    }
+
+    subscribe(key, listener) {
+        this.feed(key).listeners.add(listener);
+        return () => this.feeds.get(key)?.listeners.delete(listener);
+    }
+
+    // Starts the feeds of a dropped or replaced collection over; listeners get a reset event carrying the new token
+    reset(projectId, collectionName = null) {
+        for (const [key, feed] of [...this.feeds]) {
+            if (collectionName ? key !== `${projectId}/${collectionName}` : !key.startsWith(`${projectId}/`)) continue;
+            this.feeds.delete(key);
+            if (feed.listeners.size === 0) continue;
+            const next = this.feed(key);
+            next.listeners = feed.listeners;
+            const event = { type: 'reset', resumeToken: `${next.id}.${next.seq}` };
+            for (const listener of next.listeners) listener({ seq: next.seq, event, previous: null });
+        }
+    }
+}
+
 class LiekoDBCore {
     constructor() {
         this.app = express();
-        this.storageDir = path.join(__dirname, 'storage');
+        this.storageDir = process.env.STORAGE_DIR ? path.resolve(process.env.STORAGE_DIR) : path.join(__dirname, 'storage');
         this.manageDBFile = path.join(this.storageDir, 'manageDB.json');
         this.projectsDir = path.join(this.storageDir, 'projects');
+        this.webhooksDir = path.join(this.storageDir, 'webhooks');
+        // Kept apart from manageDB.json so request traffic never rewrites it
+        this.tokenUsageFile = path.join(this.storageDir, 'tokenUsage.json');
+        this.tokenUsage = new Map();
+        this.tokenUsageDirty = false;
+        // Open change streams and sockets, so they can be closed when the token they were opened with changes
+        this.tokenConnections = new Set();
+        // Collections flagged `expiring` in manageDB.json because they hold records with their own expiresAt,
+        // kept in step with the file whenever it is written
+        this.expiringCollections = new Set();
+        this.snapshotsDir = process.env.SNAPSHOT_DIR ? path.resolve(process.env.SNAPSHOT_DIR) : path.join(this.storageDir, 'snapshots');
+        this.storage = this.createStorageDriver();
         this.jwtSecret = process.env.JWT_SECRET || 'secret';
-        this.writeLocks = new Map();
+        this.locks = new KeyedMutex();
         this.collectionCache = new Map();
+        this.collectionStore = new Map();
+        this.collectionLoads = new Map();
+        this.changeFeed = new ChangeFeed(CHANGE_FEED_BUFFER);
+        this.webhooks = [];
+        this.webhookQueues = new Map();
+        this.hookCache = new Map();
+        // Collection settings by '<projectId>/<collection>', cleared whenever manageDB.json is written
+        this.settingsCache = new Map();
+        this.settingsGeneration = 0;
+        this.afterHookQueues = new Map();
         this.initialize();
     }
 
+    createStorageDriver() {
+        const Driver = STORAGE_DRIVERS[STORAGE_DRIVER];
+        if (!Driver) {
+            throw new Error(`Unknown storage driver '${STORAGE_DRIVER}', expected one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+        }
+        return new Driver({
+            projectsDir: this.projectsDir,
+            file: process.env.SQLITE_FILE || path.join(this.storageDir, 'liekodb.sqlite')
+        });
+    }
+
     isValidId(id) {
         return typeof id === 'string' && /^[a-zA-Z0-9_-]+$/.test(id);
     }
@@ -70,7 +774,23 @@ class LiekoDBCore {
     async initialize() {
         await this.ensureDirectories();
         await this.ensureManageDBFile();
+        await this.storage.init();
         await this.initializeCollectionCache();
+        await this.loadWebhooks();
+        await this.resumeWebhookDeliveries();
+        await this.loadTokenUsage();
+        this.tokenUsageTimer = setInterval(() => this.flushTokenUsage(), TOKEN_USAGE_INTERVAL_MS);
+        this.tokenUsageTimer.unref();
+        this.flushTimer = setInterval(() => this.flushCollections(), FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+        this.trashTimer = setInterval(() => this.purgeExpiredTrash(), TRASH_SWEEP_INTERVAL_MS);
+        this.trashTimer.unref();
+        this.expiryTimer = setInterval(() => this.removeExpiredRecords(), EXPIRY_SWEEP_INTERVAL_MS);
+        this.expiryTimer.unref();
+        if (SNAPSHOT_INTERVAL_MS > 0) {
+            this.snapshotTimer = setInterval(() => this.runScheduledSnapshots(), SNAPSHOT_INTERVAL_MS);
+            this.snapshotTimer.unref();
+        }
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -82,6 +802,7 @@ class LiekoDBCore {
                 const collections = new Set(project.collections?.map(c => c.name) || []);
                 this.collectionCache.set(project.id, collections);
             }
+            this.loadExpiringCollections(data);
         } catch (error) {
             console.error('Failed to initialize collection cache:', error);
             throw Object.assign(new Error('Failed to initialize collection cache'), ERROR_CODES.DATABASE_ERROR);
@@ -91,7 +812,6 @@ class LiekoDBCore {
     async ensureDirectories() {
         try {
             await fs.mkdir(this.storageDir, { recursive: true });
-            await fs.mkdir(this.projectsDir, { recursive: true });
         } catch (error) {
             console.error('Failed to create directories:', error);
             throw Object.assign(new Error('Failed to create storage directories'), ERROR_CODES.FILE_SYSTEM_ERROR);
@@ -130,7 +850,8 @@ class LiekoDBCore {
         });
 
         this.app.use(limiter);
-        this.app.use(express.json({ limit: '50mb' }));
+        // Imports are read from the request stream by their handler
+        this.app.use(express.json({ limit: '50mb', type: req => !isImportRequest(req) && req.is('application/json') }));
         this.app.use(express.urlencoded({ extended: true }));
         this.app.set('view engine', 'ejs');
         this.app.set('views', path.join(__dirname, './src/views'));
@@ -140,7 +861,8 @@ class LiekoDBCore {
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, HEAD, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, If-Match');
+            res.header('Access-Control-Expose-Headers', 'ETag');
             if (req.method === 'OPTIONS') {
                 res.sendStatus(200);
             } else {
@@ -170,6 +892,9 @@ class LiekoDBCore {
             res.json({ status: 'ok', timestamp: new Date().toISOString() });
         });
 
+        // Every route with a :collection parameter only accepts plain collection names
+        this.app.param('collection', this.validateCollectionParam.bind(this));
+
         // Auth Routes
         this.app.post('/api/auth/login', this.handleLogin.bind(this));
         this.app.post('/api/auth/register', this.handleRegister.bind(this));
@@ -193,35 +918,74 @@ class LiekoDBCore {
         this.app.get('/api/token/validate', this.validateProjectToken.bind(this));
         this.app.get('/api/projects/:projectId/tokens', this.authenticateUser.bind(this), this.getProjectTokens.bind(this));
         this.app.post('/api/projects/:projectId/tokens', this.authenticateUser.bind(this), this.createProjectToken.bind(this));
+        this.app.put('/api/projects/:projectId/tokens/:tokenId', this.authenticateUser.bind(this), this.updateProjectToken.bind(this));
+        this.app.post('/api/projects/:projectId/tokens/:tokenId/activate', this.authenticateUser.bind(this), this.activateProjectToken.bind(this));
+        this.app.post('/api/projects/:projectId/tokens/:tokenId/deactivate', this.authenticateUser.bind(this), this.deactivateProjectToken.bind(this));
+        this.app.post('/api/projects/:projectId/tokens/:tokenId/rotate', this.authenticateUser.bind(this), this.rotateProjectToken.bind(this));
         this.app.delete('/api/projects/:projectId/tokens/:tokenId', this.authenticateUser.bind(this), this.deleteProjectToken.bind(this));
 
+        // Webhook routes (project owner or admin)
+        this.app.get('/api/projects/:projectId/webhooks', this.authenticateUser.bind(this), this.getProjectWebhooks.bind(this));
+        this.app.post('/api/projects/:projectId/webhooks', this.authenticateUser.bind(this), this.createProjectWebhook.bind(this));
+        this.app.put('/api/projects/:projectId/webhooks/:webhookId', this.authenticateUser.bind(this), this.updateProjectWebhook.bind(this));
+        this.app.delete('/api/projects/:projectId/webhooks/:webhookId', this.authenticateUser.bind(this), this.deleteProjectWebhook.bind(this));
+        this.app.get('/api/projects/:projectId/webhooks/:webhookId/deliveries', this.authenticateUser.bind(this), this.getWebhookDeliveries.bind(this));
+        this.app.post('/api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', this.authenticateUser.bind(this), this.redeliverWebhook.bind(this));
+
+        // Snapshot routes (project owner or admin)
+        this.app.get('/api/projects/:projectId/snapshots', this.authenticateUser.bind(this), this.getProjectSnapshots.bind(this));
+        this.app.post('/api/projects/:projectId/snapshots', this.authenticateUser.bind(this), this.createProjectSnapshotHandler.bind(this));
+        this.app.get('/api/projects/:projectId/snapshots/:snapshotId/download', this.authenticateUser.bind(this), this.downloadProjectSnapshot.bind(this));
+        this.app.post('/api/projects/:projectId/snapshots/:snapshotId/restore', this.authenticateUser.bind(this), this.restoreProjectSnapshotHandler.bind(this));
+        this.app.delete('/api/projects/:projectId/snapshots/:snapshotId', this.authenticateUser.bind(this), this.deleteProjectSnapshot.bind(this));
+
         // Project Collections Routes
         this.app.get('/api/projects/:projectId/collections', this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.getProjectCollections.bind(this));
         this.app.put('/api/projects/:projectId/collections', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.updateProjectCollections.bind(this));
         this.app.delete('/api/projects/:projectId/collections', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.deleteProjectCollections.bind(this));
+        this.app.get('/api/projects/:projectId/trash', this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.getProjectTrash.bind(this));
+        this.app.post('/api/projects/:projectId/trash/:collection/restore', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.restoreTrashedCollection.bind(this));
+        this.app.delete('/api/projects/:projectId/trash/:collection', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.purgeTrashedCollectionHandler.bind(this));
+
+        // Transaction Routes
+        this.app.post('/api/transactions', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.runTransaction.bind(this));
 
         // Collection Routes
         this.app.head('/api/collections/:collection', this.authenticateProjectToken.bind(this), this.checkCollection.bind(this));
         this.app.get('/api/collections/:collection', this.authenticateProjectToken.bind(this), this.getCollectionRecords.bind(this));
         this.app.post('/api/collections/:collection', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.createCollection.bind(this));
         this.app.delete('/api/collections/:collection', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.deleteCollection.bind(this));
+        this.app.get('/api/collections/:collection/settings', this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.getCollectionSettingsHandler.bind(this));
+        this.app.put('/api/collections/:collection/settings', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.updateCollectionSettings.bind(this));
 
         // Collection Actions Routes
         this.app.get('/api/collections/:collection/search', this.authenticateProjectToken.bind(this), this.searchRecords.bind(this));
         this.app.get('/api/collections/:collection/count', this.authenticateProjectToken.bind(this), this.countRecords.bind(this));
         this.app.get('/api/collections/:collection/find-one', this.authenticateProjectToken.bind(this), this.findOneRecord.bind(this));
+        this.app.post('/api/collections/:collection/aggregate', this.authenticateProjectToken.bind(this), this.aggregateRecords.bind(this));
+        this.app.post('/api/collections/:collection/validate', this.authenticateProjectToken.bind(this), this.validateCollectionRecords.bind(this));
         this.app.get('/api/collections/:collection/keys', this.authenticateProjectToken.bind(this), this.getKeys.bind(this));
         this.app.get('/api/collections/:collection/entries', this.authenticateProjectToken.bind(this), this.getEntries.bind(this));
+        this.app.get('/api/collections/:collection/export', this.authenticateProjectToken.bind(this), this.exportRecords.bind(this));
+        this.app.post('/api/collections/:collection/import', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.importRecords.bind(this));
+        this.app.get('/api/collections/:collection/changes', this.acceptQueryToken.bind(this), this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.streamChanges.bind(this));
         this.app.get('/api/collections/:collection/size', this.authenticateProjectToken.bind(this), this.getSize.bind(this));
         this.app.post('/api/collections/:collection/batch-set', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.batchSet.bind(this));
         this.app.post('/api/collections/:collection/batch-get', this.authenticateProjectToken.bind(this), this.batchGet.bind(this));
         this.app.post('/api/collections/:collection/batch-delete', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.batchDelete.bind(this));
         this.app.post('/api/collections/:collection/batch-update', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.batchUpdate.bind(this));
+        this.app.post('/api/collections/:collection/update-many', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.updateMany.bind(this));
+        this.app.get('/api/collections/:collection/trash', this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.getCollectionTrash.bind(this));
+        this.app.post('/api/collections/:collection/trash/restore', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.restoreTrashedRecords.bind(this));
+        this.app.delete('/api/collections/:collection/trash', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.purgeTrashedRecords.bind(this));
+        this.app.post('/api/collections/:collection/delete-many', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.deleteMany.bind(this));
         this.app.get('/api/collections/:collection/:id', this.authenticateProjectToken.bind(this), this.getRecord.bind(this));
         this.app.put('/api/collections/:collection/:id', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.updateRecord.bind(this));
         this.app.delete('/api/collections/:collection/:id', this.authenticateProjectToken.bind(this), this.requireFullAccess.bind(this), this.deleteRecord.bind(this));
         this.app.post('/api/collections/:collection/:id/increment', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.incrementRecordField.bind(this));
         this.app.post('/api/collections/:collection/:id/decrement', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.decrementRecordField.bind(this));
+        this.app.get('/api/collections/:collection/:id/history', this.authenticateProjectToken.bind(this), this.requireReadAccess.bind(this), this.getRecordHistory.bind(this));
+        this.app.post('/api/collections/:collection/:id/revert', this.authenticateProjectToken.bind(this), this.requireWriteAccess.bind(this), this.revertRecord.bind(this));
 
         this.app.get(`/${PANEL_ROUTE}`, (req, res) => {
             res.render('panel');
@@ -270,522 +1034,1075 @@ class LiekoDBCore {
     }
 
     async writeJsonFile(filePath, data) {
-        const lockKey = filePath;
-        while (this.writeLocks.has(lockKey)) {
-            await new Promise(resolve => setTimeout(resolve, 10));
-        }
-        this.writeLocks.set(lockKey, true);
+        const release = await this.locks.acquire(`file:${filePath}`);
         try {
             console.log(`Writing to ${filePath}:`, data);
-            await fs.mkdir(path.dirname(filePath), { recursive: true });
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+            await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
         } catch (error) {
             console.error(`Error writing to ${filePath}:`, error);
             throw Object.assign(new Error(`Failed to write to ${filePath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
         } finally {
-            this.writeLocks.delete(lockKey);
+            release();
         }
     }
 
-    async readManageDB() {
-        const data = await this.readJsonFile(this.manageDBFile);
-        return data || { users: [], projects: [], tokens: [] };
+    async loadCollection(projectId, collectionName) {
+        const entry = await this.loadCollectionEntry(projectId, collectionName);
+        return entry.data;
     }
 
-    async writeManageDB(data) {
-        await this.writeJsonFile(this.manageDBFile, data);
+    async loadCollectionEntry(projectId, collectionName) {
+        const key = `${projectId}/${collectionName}`;
+        let entry = this.collectionStore.get(key);
+        if (entry) {
+            // Re-insert to keep the Map ordered from least to most recently used
+            this.collectionStore.delete(key);
+            this.collectionStore.set(key, entry);
+            return entry;
+        }
+        if (!this.collectionLoads.has(key)) {
+            const load = (async () => {
+                const data = await this.storage.scan(projectId, collectionName);
+                const loaded = { key, projectId, collectionName, data, dirty: false, queue: Promise.resolve() };
+                this.collectionStore.set(key, loaded);
+                return loaded;
+            })().finally(() => this.collectionLoads.delete(key));
+            this.collectionLoads.set(key, load);
+        }
+        entry = await this.collectionLoads.get(key);
+        await this.evictCollections();
+        return entry;
     }
 
-    async getUsersData() {
-        const data = await this.readManageDB();
-        return data.users;
+    enqueueCollectionTask(entry, task) {
+        const run = entry.queue.then(task);
+        entry.queue = run.catch(() => { });
+        return run;
     }
 
-    async saveUsers(users) {
-        const data = await this.readManageDB();
-        data.users = users;
-        await this.writeManageDB(data);
+    enqueueCollectionTasks(entries, task) {
+        return [...entries].sort((a, b) => a.key.localeCompare(b.key)).reduceRight(
+            (next, entry) => () => this.enqueueCollectionTask(entry, next),
+            task
+        )();
     }
 
-    async ensureCollection(projectId, collectionName, createIfMissing = false) {
-        console.log(`Ensuring collection '${collectionName}' for project '${projectId}', createIfMissing: ${createIfMissing}`);
-        const cacheKey = projectId;
-        let collections = this.collectionCache.get(cacheKey);
-        if (!collections) {
-            collections = new Set();
-            this.collectionCache.set(cacheKey, collections);
+    async saveCollection(projectId, collectionName, changes) {
+        const key = `${projectId}/${collectionName}`;
+        if (!this.collectionStore.has(key)) {
+            await this.loadCollection(projectId, collectionName);
         }
+        const entry = this.collectionStore.get(key);
+        if (changes.length === 0) return;
+        await this.persistChanges(entry, changes);
+    }
 
-        if (collections.has(collectionName)) {
-            console.log(`Collection '${collectionName}' found in cache`);
-            return true;
-        }
+    // Changes reach the resident copy only once they are in the write-ahead log, so reads that do not take the
+    // collection lock never see a write that could still fail; a failed write leaves the resident copy untouched
+    async persistChanges(entry, changes) {
+        await this.flagExpiringCollection(entry, changes);
+        await this.enqueueCollectionTask(entry, async () => {
+            // `previous` only travels along for the change feed
+            await this.storage.transaction(entry.projectId, entry.collectionName, changes.map(({ previous, ...change }) => change));
+            applyChanges(entry.data, changes);
+            if (entry.indexes) updateIndexes([...entry.indexes.values(), ...entry.constraints], changes);
+            entry.dirty = true;
+        });
+        this.publishChanges(entry, changes);
+    }
+
+    // Changes to several collections reach storage in one commit; they are applied to the resident copies
+    // only once committed, so reads that do not take the collection lock never see them before that
+    async persistTransaction(projectId, batches, { afterHooks = true } = {}) {
+        for (const { entry, changes } of batches) await this.flagExpiringCollection(entry, changes);
+        await this.enqueueCollectionTasks(batches.map(({ entry }) => entry), async () => {
+            await this.storage.commit(projectId, batches.map(({ entry, changes }) => ({
+                collectionName: entry.collectionName,
+                changes: changes.map(({ previous, ...change }) => change)
+            })));
+            for (const { entry, changes } of batches) {
+                applyChanges(entry.data, changes);
+                if (entry.indexes) updateIndexes([...entry.indexes.values(), ...entry.constraints], changes);
+                entry.dirty = true;
+            }
+        });
+        for (const { entry, changes } of batches) this.publishChanges(entry, changes, afterHooks);
+    }
 
-        const collectionPath = path.join(this.projectsDir, projectId, `${collectionName}.json`);
-        console.log(`Checking file access at ${collectionPath}`);
+    // The expiry sweep reads only the collections that have a ttl or this flag, so it never loads every collection.
+    // The flag is set before the records are stored, so a crash in between never hides them from the sweep.
+    async flagExpiringCollection(entry, changes) {
+        if (entry.collectionName.includes('.') || this.expiringCollections.has(entry.key)) return;
+        if (!changes.some(change => change.record?.expiresAt)) return;
         try {
-            await fs.access(collectionPath);
-            console.log(`Collection '${collectionName}' exists`);
-            collections.add(collectionName);
-            await this.registerCollection(projectId, collectionName);
-            return true;
+            await this.setCollectionExpiring(entry.projectId, entry.collectionName, true);
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                if (createIfMissing) {
-                    console.log(`Creating new collection at ${collectionPath}`);
-                    try {
-                        await this.writeJsonFile(collectionPath, {});
-                        collections.add(collectionName);
-                        await this.registerCollection(projectId, collectionName);
-                        return true;
-                    } catch (err) {
-                        console.error(`Failed to create collection '${collectionName}':`, err);
-                        throw Object.assign(new Error(`Failed to create collection '${collectionName}'`), ERROR_CODES.COLLECTION_CREATION_FAILED);
-                    }
-                } else {
-                    console.log(`Collection '${collectionName}' does not exist`);
-                    throw Object.assign(new Error(`Collection '${collectionName}' does not exist`), ERROR_CODES.COLLECTION_NOT_FOUND);
-                }
-            }
-            console.error(`File system error for ${collectionPath}:`, error);
-            throw Object.assign(new Error(`File system error for ${collectionPath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
+            // The records are still swept whenever the collection is resident
+            console.error(`Failed to flag '${entry.key}' as expiring:`, error);
         }
     }
 
-    async registerCollection(projectId, collectionName) {
-        console.log(`Registering collection '${collectionName}' for project '${projectId}'`);
-        const manageDbPath = path.join(this.storageDir, 'manageDB.json');
-        let manageDb = { projects: [] };
-        try {
+    async setCollectionExpiring(projectId, collectionName, expiring) {
+        await this.updateManageDB(data => {
+            const collection = data.projects.find(p => p.id === projectId)?.collections?.find(c => c.name === collectionName);
+            if (!collection) return;
+            if (expiring) collection.expiring = true;
+            else delete collection.expiring;
+        });
+    }
+
+    publishChanges(entry, changes, afterHooks = true) {
+        // History and trash collections are internal and have no feed of their own
+        if (!entry.collectionName.includes('.')) {
+            const events = this.changeFeed.publish(entry.key, entry.collectionName, changes);
+            this.dispatchWebhooks(entry.projectId, entry.collectionName, events);
+            if (afterHooks) this.dispatchAfterHooks(entry.projectId, entry.collectionName, events);
+        }
+    }
+
+    flushCollection(entry) {
+        return this.enqueueCollectionTask(entry, async () => {
+            if (!entry.dirty || entry.dropped) return;
+            entry.dirty = false;
             try {
-                const data = await fs.readFile(manageDbPath, 'utf8');
-                if (data) manageDb = JSON.parse(data);
+                await this.storage.checkpoint(entry.projectId, entry.collectionName, entry.data);
             } catch (error) {
-                console.warn(`manageDB.json not found or invalid, initializing new:`, error);
+                entry.dirty = true;
+                throw error;
             }
-            let project = manageDb.projects.find(p => p.id === projectId);
-            if (!project) {
-                console.error(`Project '${projectId}' not found in manageDB.json`);
-                throw Object.assign(new Error(`Project '${projectId}' not found`), ERROR_CODES.PROJECT_NOT_FOUND);
+        });
+    }
+
+    async flushCollections() {
+        for (const entry of [...this.collectionStore.values()]) {
+            await this.flushCollection(entry).catch(error => {
+                console.error(`Failed to flush collection '${entry.key}':`, error);
+            });
+        }
+    }
+
+    async evictCollections() {
+        while (this.collectionStore.size > COLLECTION_CACHE_SIZE) {
+            const [key, entry] = this.collectionStore.entries().next().value;
+            try {
+                await this.flushCollection(entry);
+            } catch (error) {
+                console.error(`Failed to flush evicted collection '${key}':`, error);
             }
-            if (!project.collections) project.collections = [];
-            if (!project.collections.some(c => c.name === collectionName)) {
-                project.collections.push({
-                    name: collectionName,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-                project.updatedAt = new Date().toISOString();
+            if (this.collectionStore.get(key) === entry) this.collectionStore.delete(key);
+        }
+    }
+
+    dropCollectionFromStore(projectId, collectionName = null) {
+        this.changeFeed.reset(projectId, collectionName);
+        for (const [key, entry] of this.collectionStore) {
+            if (collectionName ? key === `${projectId}/${collectionName}` : key.startsWith(`${projectId}/`)) {
+                entry.dropped = true;
+                this.collectionStore.delete(key);
             }
-            console.log(`Writing manageDB.json:`, manageDb);
-            await this.writeJsonFile(manageDbPath, manageDb);
-        } catch (error) {
-            console.error(`Error registering collection '${collectionName}':`, error);
-            throw Object.assign(new Error(`Failed to register collection '${collectionName}'`), error.code ? error : ERROR_CODES.REGISTRATION_ERROR);
+        }
+        for (const key of this.hookCache.keys()) {
+            if (key.startsWith(collectionName ? `${projectId}/${collectionName}/` : `${projectId}/`)) this.hookCache.delete(key);
         }
     }
 
-    async handleLogin(req, res) {
+    async readManageDB() {
+        const data = await this.readJsonFile(this.manageDBFile);
+        return data || { users: [], projects: [], tokens: [] };
+    }
+
+    async writeManageDB(data) {
+        await this.writeJsonFile(this.manageDBFile, data);
+        this.settingsCache.clear();
+        this.settingsGeneration++;
+        this.loadExpiringCollections(data);
+    }
+
+    loadExpiringCollections(data) {
+        this.expiringCollections = new Set(data.projects.flatMap(project => (project.collections || [])
+            .filter(collection => collection.expiring)
+            .map(collection => `${project.id}/${collection.name}`)));
+    }
+
+    async updateManageDB(mutator) {
+        // Read-modify-write of manageDB.json under a single lock so concurrent handlers never overwrite each other
+        return this.locks.runExclusive(`manage:${this.manageDBFile}`, async () => {
+            const data = await this.readManageDB();
+            const result = await mutator(data);
+            await this.writeManageDB(data);
+            return result;
+        });
+    }
+
+    withCollectionLock(projectId, collectionName, task) {
+        return this.locks.runExclusive(`collection:${projectId}/${collectionName}`, task);
+    }
+
+    withCollectionLocks(projectId, collectionNames, task) {
+        // Always taken in sorted order so two transactions over the same collections cannot deadlock
+        return [...collectionNames].sort().reduceRight(
+            (next, collectionName) => () => this.withCollectionLock(projectId, collectionName, next),
+            task
+        )();
+    }
+
+    // Read on every write path, so settings are cached instead of reading manageDB.json each time.
+    // A read that overlaps a manageDB write is not cached, it may have seen the old file.
+    async getCollectionSettings(projectId, collectionName) {
+        const key = `${projectId}/${collectionName}`;
+        if (this.settingsCache.has(key)) return this.settingsCache.get(key);
+        const generation = this.settingsGeneration;
+        const data = await this.readManageDB();
+        const project = data.projects.find(p => p.id === projectId);
+        const collection = project?.collections?.find(c => c.name === collectionName);
+        const settings = collection?.settings || {};
+        if (generation === this.settingsGeneration) this.settingsCache.set(key, settings);
+        return settings;
+    }
+
+    async getCollectionIndexes(projectId, collectionName) {
+        const { indexes: fields = [], unique = [] } = await this.getCollectionSettings(projectId, collectionName);
+        const entry = await this.loadCollectionEntry(projectId, collectionName);
+        const signature = JSON.stringify([fields, unique]);
+        // Indexes live with the resident copy and are rebuilt after a reload or a settings change
+        if (!entry.indexes || entry.indexSignature !== signature) {
+            entry.indexes = new Map(fields.map(field => [field, new FieldIndex(field)]));
+            entry.constraints = unique.map(constraintFields => new UniqueIndex(constraintFields));
+            entry.indexSignature = signature;
+            for (const index of [...entry.indexes.values(), ...entry.constraints]) {
+                for (const [id, record] of Object.entries(entry.data)) index.add(id, record);
+            }
+        }
+        return { data: entry.data, indexes: entry.indexes, constraints: entry.constraints };
+    }
+
+    // Runs the collection's before-hooks on a record and checks the result against the schema and
+    // unique constraints before it is written
+    async createWriteGuard(projectId, collectionName, req = null) {
+        const { schema, ttl } = await this.getCollectionSettings(projectId, collectionName);
+        const { data, constraints } = await this.getCollectionIndexes(projectId, collectionName);
+        const hooks = await this.createHookRunner(projectId, collectionName, req);
+        // An expired record that the sweeper has not removed yet no longer holds its unique keys
+        const isLive = id => !isRecordExpired(data[id]);
+        return {
+            check(id, record) {
+                const rejection = hooks.beforeWrite(id, record, data[id] && isLive(id) ? data[id] : null);
+                if (rejection) return rejection;
+                return findExpiryViolation(record) || (schema && findSchemaViolation(schema, record)) || findUniqueConflict(constraints, id, record, isLive);
+            },
+            checkDelete(id, record) {
+                return hooks.beforeDelete(id, record);
+            },
+            accept(id, record) {
+                constraints.forEach(constraint => constraint.add(id, record));
+            },
+            // New records without their own expiresAt get the collection's default TTL
+            applyTtl(record) {
+                if (ttl && record.expiresAt === undefined) {
+                    record.expiresAt = new Date(Date.parse(record.createdAt) + ttl * 1000).toISOString();
+                }
+                return record;
+            }
+        };
+    }
+
+    // Expired records stay in storage until the sweeper removes them, but are never served
+    async loadLiveCollection(projectId, collectionName) {
+        const data = await this.loadCollection(projectId, collectionName);
+        const now = Date.now();
+        if (!Object.values(data).some(record => isRecordExpired(record, now))) return data;
+        return Object.fromEntries(Object.entries(data).filter(([, record]) => !isRecordExpired(record, now)));
+    }
+
+    async removeExpiredRecords() {
         try {
-            const { username, password } = req.body;
-            if (!username || !password) {
-                throw Object.assign(new Error('Missing username or password'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            const targets = new Map();
+            // Resident collections are swept as they are, the others when they have a default TTL or are flagged as
+            // holding records with their own expiresAt
+            for (const entry of this.collectionStore.values()) {
+                if (!entry.collectionName.includes('.')) targets.set(entry.key, entry);
             }
-            console.log('Login attempt for username:', username);
-            const users = await this.getUsersData();
-            const user = users.find(u => u.username === username);
-            if (!user) {
-                throw Object.assign(new Error('Invalid credentials'), ERROR_CODES.INVALID_CREDENTIALS);
+            const data = await this.readManageDB();
+            for (const project of data.projects) {
+                for (const collection of project.collections || []) {
+                    const key = `${project.id}/${collection.name}`;
+                    if ((collection.settings?.ttl || collection.expiring) && !targets.has(key)) {
+                        targets.set(key, { projectId: project.id, collectionName: collection.name });
+                    }
+                }
             }
-            console.log('User found, checking password...');
-            const passwordMatch = await bcrypt.compare(password, user.password);
-            if (!passwordMatch) {
-                throw Object.assign(new Error('Invalid credentials'), ERROR_CODES.INVALID_CREDENTIALS);
+            for (const { projectId, collectionName } of targets.values()) {
+                await this.withCollectionLock(projectId, collectionName, async () => {
+                    const key = `${projectId}/${collectionName}`;
+                    if (!(await this.storage.exists(projectId, collectionName))) return;
+                    const records = await this.loadCollection(projectId, collectionName);
+                    const now = Date.now();
+                    const expired = Object.keys(records).filter(id => isRecordExpired(records[id], now));
+                    const expiring = Object.values(records).some(record => record.expiresAt && !isRecordExpired(record, now));
+                    if (expiring !== this.expiringCollections.has(key)) await this.setCollectionExpiring(projectId, collectionName, expiring);
+                    if (expired.length === 0) return;
+                    await this.saveCollection(projectId, collectionName, expired.map(id => ({ op: 'delete', id, previous: records[id] })));
+                    console.log(`Removed ${expired.length} expired record(s) from '${projectId}/${collectionName}'`);
+                });
             }
-            console.log('Login successful for user:', username);
-            user.lastLogin = new Date().toISOString();
-            await this.saveUsers(users);
-            const token = jwt.sign(
-                { userId: user.id, username: user.username, role: user.role },
-                this.jwtSecret,
-                { expiresIn: '24h' }
-            );
-            res.json({
-                token,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    role: user.role
+        } catch (error) {
+            console.error('Failed to remove expired records:', error);
+        }
+    }
+
+    getSnapshotPath(projectId, snapshotId, suffix = '.json') {
+        return path.join(this.snapshotsDir, projectId, `${snapshotId}${suffix}`);
+    }
+
+    // A point-in-time copy of a project: its manageDB entry plus every stored collection, history and trash included
+    async createProjectSnapshot(projectId, trigger, createdBy = null) {
+        for (;;) {
+            const project = (await this.readManageDB()).projects.find(p => p.id === projectId);
+            if (!project) {
+                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            }
+            const names = getProjectCollectionNames(project);
+            const snapshot = await this.withCollectionLocks(projectId, names, async () => {
+                // Collections added before the locks were taken are not covered by them; start over
+                const current = (await this.readManageDB()).projects.find(p => p.id === projectId);
+                if (!current || getProjectCollectionNames(current).sort().join('\n') !== [...names].sort().join('\n')) return null;
+                const collections = {};
+                for (const name of names.flatMap(name => [name, getHistoryCollectionName(name), getTrashCollectionName(name)])) {
+                    const entry = this.collectionStore.get(`${projectId}/${name}`);
+                    if (entry) {
+                        collections[name] = entry.data;
+                    } else if (await this.storage.exists(projectId, name)) {
+                        collections[name] = await this.storage.scan(projectId, name);
+                    }
                 }
+                const createdAt = new Date();
+                const meta = {
+                    id: createSnapshotId(createdAt),
+                    projectId,
+                    projectName: current.name,
+                    trigger,
+                    createdBy,
+                    createdAt: createdAt.toISOString(),
+                    collections: (current.collections || []).map(c => c.name),
+                    records: (current.collections || []).reduce((sum, c) => sum + Object.keys(collections[c.name] || {}).length, 0)
+                };
+                // Serialized while the locks are held, since resident collections keep changing afterwards
+                return { meta, content: JSON.stringify({ ...meta, project: current, collections }) };
             });
+            if (!snapshot) continue;
+
+            const { meta, content } = snapshot;
+            meta.size = Buffer.byteLength(content);
+            await writeFileAtomic(this.getSnapshotPath(projectId, meta.id), content);
+            await writeFileAtomic(this.getSnapshotPath(projectId, meta.id, '.meta.json'), JSON.stringify(meta, null, 2));
+            console.log(`Created ${trigger} snapshot '${meta.id}' of project '${projectId}'`);
+            return meta;
+        }
+    }
+
+    async listProjectSnapshots(projectId) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.snapshotsDir, projectId));
         } catch (error) {
-            console.error('Login error:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+            if (error.code === 'ENOENT') return [];
+            throw Object.assign(new Error('Failed to read snapshots'), ERROR_CODES.FILE_SYSTEM_ERROR);
+        }
+        const snapshots = [];
+        for (const file of files.filter(file => file.endsWith('.meta.json'))) {
+            const meta = await this.readJsonFile(path.join(this.snapshotsDir, projectId, file));
+            if (meta) snapshots.push(meta);
         }
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
     }
 
-    async handleRegister(req, res) {
-        if (!isRegisterEnabled) {
-            throw Object.assign(new Error('Account registration is disabled'), ERROR_CODES.REGISTRATION_DISABLED);
+    async readProjectSnapshot(projectId, snapshotId) {
+        const snapshot = this.isValidId(snapshotId) ? await this.readJsonFile(this.getSnapshotPath(projectId, snapshotId)) : null;
+        if (!snapshot) {
+            throw Object.assign(new Error(`Snapshot '${snapshotId}' not found`), ERROR_CODES.SNAPSHOT_NOT_FOUND, { message: `Snapshot '${snapshotId}' not found` });
         }
-        try {
-            const { username, email, password } = req.body;
-            if (!username || !email || !password) {
-                throw Object.assign(new Error('Missing required fields'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+        return snapshot;
+    }
+
+    async removeProjectSnapshot(projectId, snapshotId) {
+        await fs.unlink(this.getSnapshotPath(projectId, snapshotId, '.meta.json'));
+        await fs.unlink(this.getSnapshotPath(projectId, snapshotId)).catch(() => { });
+    }
+
+    // Replaces the collections of `project.id` with the snapshot's and writes `project` as its manageDB entry
+    async restoreProjectSnapshot(snapshot, project) {
+        const existing = (await this.readManageDB()).projects.find(p => p.id === project.id);
+        const names = new Set([...getProjectCollectionNames(existing), ...getProjectCollectionNames(snapshot.project)]);
+        return this.withCollectionLocks(project.id, names, async () => {
+            const stored = [];
+            for (const name of [...names].flatMap(name => [name, getHistoryCollectionName(name), getTrashCollectionName(name)])) {
+                if (Object.hasOwn(snapshot.collections, name) || await this.storage.exists(project.id, name)) stored.push(name);
             }
-            const users = await this.getUsersData();
-            if (users.find(u => u.username === username)) {
-                throw Object.assign(new Error('Username already exists'), ERROR_CODES.USERNAME_EXISTS);
+            for (const name of Object.keys(snapshot.collections)) await this.storage.create(project.id, name);
+            // Every collection is replaced in one storage commit, so a failure or crash part-way keeps the current data.
+            // Resident copies are dropped first and their pending flushes waited for, so none writes old data over it.
+            const resident = stored.map(name => this.collectionStore.get(`${project.id}/${name}`)).filter(Boolean);
+            for (const name of stored) this.dropCollectionFromStore(project.id, name);
+            if (stored.length > 0) {
+                await this.enqueueCollectionTasks(resident, () => this.storage.commit(project.id, stored.map(name => ({
+                    collectionName: name,
+                    changes: [
+                        { op: 'clear' },
+                        ...Object.entries(snapshot.collections[name] || {}).map(([id, record]) => ({ op: 'put', id, record }))
+                    ]
+                }))));
             }
-            if (users.find(u => u.email === email)) {
-                throw Object.assign(new Error('Email already exists'), ERROR_CODES.EMAIL_EXISTS);
+            for (const name of stored) {
+                if (Object.hasOwn(snapshot.collections, name)) await this.storage.checkpoint(project.id, name, snapshot.collections[name]);
+                else await this.storage.drop(project.id, name);
             }
-            const hashedPassword = await bcrypt.hash(password, 12);
-            const newUser = {
-                id: uuidv4(),
-                username,
-                email,
-                password: hashedPassword,
-                role: 'user',
-                createdAt: new Date().toISOString(),
-                lastLogin: null
-            };
-            users.push(newUser);
-            await this.saveUsers(users);
-            res.status(201).json({
-                message: 'User created successfully',
-                user: {
-                    id: newUser.id,
-                    username: newUser.username,
-                    email: newUser.email,
-                    role: newUser.role
-                }
+            const token = await this.updateManageDB(data => {
+                const index = data.projects.findIndex(p => p.id === project.id);
+                if (index === -1) data.projects.push(project);
+                else data.projects[index] = project;
+                // A project brought back after deletion, or a new clone, has no tokens yet
+                if (data.tokens.some(t => t.projectId === project.id)) return null;
+                const token = createDefaultToken(project.id);
+                data.tokens.push(token);
+                return token;
             });
-        } catch (error) {
-            console.error('Registration error:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
-        }
+            this.collectionCache.set(project.id, new Set((project.collections || []).map(c => c.name)));
+            return token;
+        });
     }
 
-    async authenticateUser(req, res, next) {
+    async runScheduledSnapshots() {
+        let projects;
         try {
-            const token = req.headers.authorization?.replace('Bearer ', '');
-            if (!token) {
-                throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
-            }
-            const decoded = jwt.verify(token, this.jwtSecret);
-            req.user = decoded;
-            next();
+            ({ projects } = await this.readManageDB());
         } catch (error) {
-            console.error('Authentication error:', error);
-            const status = error.name === 'JsonWebTokenError' ? 401 : error.status || 500;
-            res.status(status).json({
-                error: error.message || ERROR_CODES.INVALID_TOKEN.message,
-                code: error.name === 'JsonWebTokenError' ? ERROR_CODES.INVALID_TOKEN.code : error.code || ERROR_CODES.SERVER_ERROR.code,
-                status
-            });
+            console.error('Failed to read projects for scheduled snapshots:', error);
+            return;
+        }
+        for (const project of projects) {
+            try {
+                await this.createProjectSnapshot(project.id, 'scheduled');
+                // Retention only prunes scheduled snapshots; manual ones are kept until deleted
+                const scheduled = (await this.listProjectSnapshots(project.id)).filter(s => s.trigger === 'scheduled');
+                for (const snapshot of scheduled.slice(SNAPSHOT_RETENTION)) {
+                    await this.removeProjectSnapshot(project.id, snapshot.id);
+                }
+            } catch (error) {
+                console.error(`Failed to create scheduled snapshot of project '${project.id}':`, error);
+            }
         }
     }
 
-    async authenticateProjectToken(req, res, next) {
-        try {
-            const token = req.headers.authorization?.replace('Bearer ', '');
-            if (!token) {
-                throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
+    // Hook contexts are kept per collection and hook, and rebuilt when the hook's source changes
+    getCompiledHook(projectId, collectionName, name, source) {
+        const key = `${projectId}/${collectionName}/${name}`;
+        const cached = this.hookCache.get(key);
+        if (cached?.source === source) return cached;
+        const compiled = { source, ...compileHook(collectionName, name, source) };
+        this.hookCache.set(key, compiled);
+        return compiled;
+    }
+
+    // Runs before-hooks for writes to one collection; a rejected or failed hook comes back as the error that stops the write
+    async createHookRunner(projectId, collectionName, req = null) {
+        const { hooks = {} } = await this.getCollectionSettings(projectId, collectionName);
+        // After-hook writes skip hooks entirely, so hooks can never trigger each other in a loop
+        const enabled = !req?.fromHook;
+        const actor = req ? this.getActor(req) : null;
+        // Every hook call blocks the server, so all hook calls of one request share a time budget
+        const budget = req ? (req.hookBudget ??= createHookBudget()) : createHookBudget();
+        const run = (name, event) => {
+            if (!enabled || !hooks[name]) return null;
+            const output = runHook(this.getCompiledHook(projectId, collectionName, name, hooks[name]), { ...event, collection: collectionName, actor }, budget);
+            if (output.rejection || output.error) return { error: hookError(collectionName, name, output) };
+            return output;
+        };
+        return {
+            beforeWrite(id, record, previous) {
+                const name = previous ? 'beforeUpdate' : 'beforeInsert';
+                const output = run(name, { operation: previous ? 'update' : 'insert', id, record, previous });
+                if (!output) return null;
+                if (output.error) return output.error;
+                if (!isPlainObject(output.record)) {
+                    return hookError(collectionName, name, { error: 'the record must stay an object' });
+                }
+                applyHookRecord(record, output.record);
+                return null;
+            },
+            beforeDelete(id, previous) {
+                return run('beforeDelete', { operation: 'delete', id, record: null, previous })?.error || null;
             }
+        };
+    }
+
+    // After-hooks run once the write is saved, outside the request that made it and one event at a time per collection
+    dispatchAfterHooks(projectId, collectionName, events) {
+        const key = `${projectId}/${collectionName}`;
+        const run = (this.afterHookQueues.get(key) || Promise.resolve())
+            .then(() => this.runAfterHooks(projectId, collectionName, events))
+            .catch(error => console.error(`Failed to run after-hooks of '${key}':`, error));
+        this.afterHookQueues.set(key, run);
+        run.then(() => {
+            if (this.afterHookQueues.get(key) === run) this.afterHookQueues.delete(key);
+        });
+    }
 
-            // First, try to authenticate as a user JWT token
+    async runAfterHooks(projectId, collectionName, events) {
+        const { hooks = {} } = await this.getCollectionSettings(projectId, collectionName);
+        // The events of one write share a budget, like the before-hooks of the request that made it
+        const budget = createHookBudget();
+        for (const { event, previous } of events) {
+            const name = AFTER_HOOKS[event.type];
+            if (!hooks[name]) continue;
+            const output = runHook(this.getCompiledHook(projectId, collectionName, name, hooks[name]), {
+                operation: event.type,
+                collection: collectionName,
+                id: event.id,
+                record: event.record,
+                previous
+            }, budget);
+            if (output.rejection || output.error) {
+                console.error(hookError(collectionName, name, output).message);
+                continue;
+            }
+            if (output.writes.length === 0) continue;
             try {
-                const decoded = jwt.verify(token, this.jwtSecret);
-                const data = await this.readManageDB();
-                const projectId = req.params.projectId || req.projectId;
-                const project = data.projects.find(p => p.id === projectId);
+                await this.applyHookWrites(projectId, output.writes);
+            } catch (error) {
+                console.error(`Writes of hook '${name}' of '${collectionName}' failed:`, error.message);
+            }
+        }
+    }
 
-                if (!project) {
-                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
-                }
+    // The writes queued by one after-hook run are applied as a single transaction in the hook's project
+    async applyHookWrites(projectId, writes) {
+        const operations = writes.map((write, index) => {
+            const operation = parseTransactionOperation(write, index);
+            if (!this.isValidId(operation.collection)) {
+                throw invalidTransaction(`Operation ${index} has an invalid collection name`);
+            }
+            return operation;
+        });
+        const collections = [...new Set(operations.map(operation => operation.collection))];
+        // Marked so these writes run no hooks themselves
+        const req = { projectId, query: {}, fromHook: true };
+        await this.withCollectionLocks(projectId, collections, () => this.executeTransaction(req, operations));
+    }
 
-                if (decoded.role === 'admin' || decoded.userId === project.ownerId) {
-                    req.user = decoded;
-                    req.projectId = projectId;
-                    req.permissions = 'full';
-                    return next();
-                }
-            } catch (error) {
-                if (error.name !== 'JsonWebTokenError') {
-                    throw error;
+    // Webhooks are matched on every write, so they are kept in memory and reloaded whenever manageDB changes them
+    async loadWebhooks() {
+        this.webhooks = (await this.readManageDB()).webhooks || [];
+    }
+
+    getWebhookLogPath(projectId, webhookId) {
+        return path.join(this.webhooksDir, projectId, `${webhookId}.json`);
+    }
+
+    dispatchWebhooks(projectId, collectionName, events) {
+        for (const webhook of this.webhooks) {
+            if (webhook.projectId !== projectId || !webhook.active) continue;
+            if (webhook.collections !== '*' && !webhook.collections.includes(collectionName)) continue;
+            const deliveries = [];
+            for (const entry of events) {
+                try {
+                    if (!matchChange(entry, webhook.filter, webhook.events)) continue;
+                } catch (error) {
+                    console.error(`Failed to match webhook '${webhook.id}':`, error);
+                    continue;
                 }
+                const { resumeToken, ...event } = entry.event;
+                deliveries.push(createWebhookDelivery(webhook.id, event));
             }
+            if (deliveries.length === 0) continue;
+            this.queueWebhookDeliveries(projectId, webhook.id, deliveries)
+                .catch(error => console.error(`Failed to queue deliveries of webhook '${webhook.id}':`, error));
+        }
+    }
 
-            // Fallback to project token authentication
-            const data = await this.readManageDB();
-            const tokenData = data.tokens.find(t => t.token === token && t.active);
-            if (!tokenData) {
-                throw Object.assign(new Error('Invalid project token'), ERROR_CODES.INVALID_TOKEN);
+    // Deliveries are logged as pending before they are queued, so a restart can pick them up again.
+    // Beyond WEBHOOK_QUEUE_SIZE pending deliveries new ones are logged as failed; they can still be redelivered.
+    async queueWebhookDeliveries(projectId, webhookId, deliveries) {
+        const queued = await this.updateWebhookLog(projectId, webhookId, log => {
+            let pending = log.filter(d => d.status === 'pending').length;
+            for (const delivery of deliveries) {
+                if (pending < WEBHOOK_QUEUE_SIZE) {
+                    pending++;
+                    continue;
+                }
+                delivery.status = 'failed';
+                delivery.error = `More than ${WEBHOOK_QUEUE_SIZE} deliveries are pending`;
             }
-            req.projectId = tokenData.projectId;
-            req.tokenData = tokenData;
-            req.permissions = tokenData.permissions;
-            next();
-        } catch (error) {
-            console.error('Project token authentication error:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+            log.unshift(...[...deliveries].reverse());
+        });
+        if (!queued) return;
+        for (const delivery of deliveries) {
+            if (delivery.status === 'pending') this.enqueueWebhookDelivery(projectId, webhookId, delivery.id);
         }
     }
 
-    requireReadAccess(req, res, next) {
-        if (!['read', 'write', 'full'].includes(req.permissions)) {
-            res.status(403).json(ERROR_CODES.FORBIDDEN);
-        } else {
-            next();
+    // Deliveries to one webhook go out one at a time in write order; retries wait on a timer outside the queue.
+    // The queue only holds delivery ids, the deliveries themselves are read back from the log.
+    enqueueWebhookDelivery(projectId, webhookId, deliveryId) {
+        let queue = this.webhookQueues.get(webhookId);
+        if (!queue) {
+            queue = { ids: [], running: false };
+            this.webhookQueues.set(webhookId, queue);
         }
+        queue.ids.push(deliveryId);
+        if (!queue.running) this.runWebhookQueue(projectId, webhookId, queue);
     }
 
-    requireWriteAccess(req, res, next) {
-        if (!['write', 'full'].includes(req.permissions)) {
-            res.status(403).json(ERROR_CODES.FORBIDDEN);
-        } else {
-            next();
+    async runWebhookQueue(projectId, webhookId, queue) {
+        queue.running = true;
+        while (queue.ids.length > 0) {
+            try {
+                await this.attemptWebhookDelivery(projectId, webhookId, queue.ids.shift());
+            } catch (error) {
+                console.error(`Failed to deliver webhook '${webhookId}':`, error);
+            }
         }
+        queue.running = false;
+        if (this.webhookQueues.get(webhookId) === queue) this.webhookQueues.delete(webhookId);
     }
 
-    requireFullAccess(req, res, next) {
-        if (req.permissions !== 'full') {
-            res.status(403).json(ERROR_CODES.FORBIDDEN);
-        } else {
-            next();
-        }
+    scheduleWebhookDelivery(projectId, webhookId, deliveryId, delay) {
+        setTimeout(() => this.enqueueWebhookDelivery(projectId, webhookId, deliveryId), delay).unref();
     }
 
-    requireAdminAccess(req, res, next) {
-        if (req.user.role !== 'admin') {
-            res.status(403).json(ERROR_CODES.FORBIDDEN);
+    async attemptWebhookDelivery(projectId, webhookId, deliveryId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) return;
+        const delivery = (await this.readWebhookDeliveries(projectId, webhookId)).find(d => d.id === deliveryId);
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const attempt = { attempt: delivery.attempts.length + 1, attemptedAt: new Date().toISOString(), statusCode: null };
+        const body = JSON.stringify({ id: delivery.id, webhookId, projectId, attempt: attempt.attempt, event: delivery.event });
+        const startTime = Date.now();
+        const timestamp = Math.floor(startTime / 1000);
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'LiekoDB-Webhook/1.0',
+                    'X-LiekoDB-Event': delivery.event.type,
+                    'X-LiekoDB-Delivery': delivery.id,
+                    'X-LiekoDB-Timestamp': String(timestamp),
+                    'X-LiekoDB-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            attempt.statusCode = response.status;
+            attempt.response = (await response.text()).slice(0, 1000);
+            if (!response.ok) attempt.error = `Receiver responded with ${response.status}`;
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : (error.cause?.message || error.message);
+        }
+        attempt.durationMs = Date.now() - startTime;
+
+        delivery.attempts.push(attempt);
+        delivery.responseCode = attempt.statusCode;
+        const retryDelay = WEBHOOK_RETRY_DELAY_MS * 2 ** (delivery.attempts.length - 1);
+        if (!attempt.error) {
+            delivery.status = 'success';
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
         } else {
-            next();
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelay).toISOString();
         }
+        await this.updateWebhookLog(projectId, webhookId, log => {
+            const index = log.findIndex(d => d.id === delivery.id);
+            if (index !== -1) log[index] = delivery;
+        });
+        if (delivery.status === 'pending') this.scheduleWebhookDelivery(projectId, webhookId, delivery.id, retryDelay);
     }
 
-    async getUserProjects(req, res) {
-        try {
-            const data = await this.readManageDB();
-            if (!data || !Array.isArray(data.users) || !Array.isArray(data.projects)) {
-                console.error('Invalid manageDB structure:', data);
-                throw Object.assign(new Error('Invalid database structure'), ERROR_CODES.DATABASE_ERROR);
-            }
+    // Trimming to WEBHOOK_LOG_SIZE only drops finished deliveries; pending ones stay until they are sent.
+    // Resolves to false when the webhook no longer exists.
+    async updateWebhookLog(projectId, webhookId, mutator) {
+        if (!this.webhooks.some(w => w.id === webhookId)) return false;
+        const file = this.getWebhookLogPath(projectId, webhookId);
+        await this.locks.runExclusive(`webhook-log:${webhookId}`, async () => {
+            const deliveries = (await this.readJsonFile(file)) || [];
+            mutator(deliveries);
+            let finished = 0;
+            await this.writeJsonFile(file, deliveries.filter(d => d.status === 'pending' || finished++ < WEBHOOK_LOG_SIZE));
+        });
+        return true;
+    }
 
-            const user = data.users.find(u => u.id === req.user.userId);
-            if (!user) {
-                throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
-            }
+    async readWebhookDeliveries(projectId, webhookId) {
+        return (await this.readJsonFile(this.getWebhookLogPath(projectId, webhookId))) || [];
+    }
 
-            const projects = data.projects.filter(p => p.ownerId === req.user.userId || req.user.role === 'admin');
-            res.json({ projects });
-        } catch (error) {
-            console.error('Failed to get user projects:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+    // Pending deliveries survive a restart: they are sent when their next attempt is due
+    async resumeWebhookDeliveries() {
+        for (const webhook of this.webhooks) {
+            try {
+                const deliveries = await this.readWebhookDeliveries(webhook.projectId, webhook.id);
+                for (const delivery of deliveries.filter(d => d.status === 'pending').reverse()) {
+                    const delay = delivery.nextAttemptAt ? Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()) : 0;
+                    if (delay === 0) this.enqueueWebhookDelivery(webhook.projectId, webhook.id, delivery.id);
+                    else this.scheduleWebhookDelivery(webhook.projectId, webhook.id, delivery.id, delay);
+                }
+            } catch (error) {
+                console.error(`Failed to resume deliveries of webhook '${webhook.id}':`, error);
+            }
         }
     }
 
-    async createProject(req, res) {
-        try {
-            const { name, description } = req.body;
-            if (!name || name.trim() === '') {
-                throw Object.assign(new Error('Project name is required and cannot be empty'), ERROR_CODES.INVALID_PROJECT_NAME);
-            }
+    async dropProjectWebhooks(projectId) {
+        await this.loadWebhooks();
+        await fs.rm(path.join(this.webhooksDir, projectId), { recursive: true, force: true });
+    }
 
-            const newProject = {
-                id: uuidv4(),
-                name: name.trim(),
-                description: description || '',
-                ownerId: req.user.userId,
-                collections: [],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+    // Collects the versions a write replaces; they are appended to the record history once the write is saved
+    async createHistoryLog(projectId, collectionName, req, operation) {
+        const { history } = await this.getCollectionSettings(projectId, collectionName);
+        const actor = this.getActor(req);
+        const versions = [];
+        return {
+            add(id, previous, versionOperation = operation) {
+                if (history && previous) versions.push({ id, previous, operation: versionOperation });
+            },
+            save: async () => {
+                if (versions.length === 0) return;
+                await this.appendHistory(projectId, collectionName, history, versions, actor).catch(error => {
+                    console.error(`Failed to record history for '${projectId}/${collectionName}':`, error);
+                });
+            }
+        };
+    }
 
-            const defaultToken = {
-                id: uuidv4(),
-                projectId: newProject.id,
-                name: 'Default Token',
-                token: crypto.randomBytes(32).toString('hex'),
-                permissions: 'full',
-                collections: '*',
-                active: true,
-                createdAt: new Date().toISOString()
-            };
+    async appendHistory(projectId, collectionName, retention, versions, actor) {
+        const historyName = getHistoryCollectionName(collectionName);
+        const data = await this.loadCollection(projectId, historyName);
+        const changedAt = new Date().toISOString();
+        const cutoff = retention.maxAgeDays ? Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const entries = new Map();
+        for (const { id, previous, operation } of versions) {
+            const entry = entries.get(id) || { id, versions: [...(data[id]?.versions || [])] };
+            entry.versions.push({ rev: previous._rev || 0, operation, ...actor, changedAt, record: previous });
+            entries.set(id, entry);
+        }
+        const changes = [...entries.values()].map(entry => {
+            const kept = entry.versions.filter(version => cutoff === null || Date.parse(version.changedAt) >= cutoff);
+            return { op: 'put', id: entry.id, record: { id: entry.id, versions: kept.slice(-retention.maxVersions) } };
+        });
+        await this.saveCollection(projectId, historyName, changes);
+    }
 
-            const data = await this.readManageDB();
-            data.projects.push(newProject);
-            data.tokens.push(defaultToken);
-            await this.writeManageDB(data);
-            await fs.mkdir(path.join(this.projectsDir, newProject.id), { recursive: true });
+    getActor(req) {
+        return { tokenId: req.tokenData?.id || null, userId: req.user?.userId || null };
+    }
 
-            this.collectionCache.set(newProject.id, new Set());
+    // Collects the records a delete removes; with soft delete on they are moved to the collection trash
+    async createTrashBin(projectId, collectionName, req) {
+        const { softDelete } = await this.getCollectionSettings(projectId, collectionName);
+        const enabled = Boolean(softDelete) && req.query.permanent !== 'true';
+        const deletedBy = this.getActor(req);
+        const records = [];
+        return {
+            add(record) {
+                if (enabled && record) records.push(record);
+            },
+            save: async () => {
+                if (records.length === 0) return;
+                const deletedAt = new Date();
+                const expiresAt = new Date(deletedAt.getTime() + softDelete.retentionDays * 24 * 60 * 60 * 1000);
+                await this.saveCollection(projectId, getTrashCollectionName(collectionName), records.map(record => ({
+                    op: 'put',
+                    id: record.id,
+                    record: { id: record.id, record, deletedAt: deletedAt.toISOString(), expiresAt: expiresAt.toISOString(), deletedBy }
+                })));
+            }
+        };
+    }
 
-            res.status(201).json({
-                token: defaultToken.token
-            });
-        } catch (error) {
-            console.error('Failed to create project:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
-        }
+    async getTrashedCollection(projectId, collectionName) {
+        const data = await this.readManageDB();
+        const project = data.projects.find(p => p.id === projectId);
+        return project?.trash?.find(c => c.name === collectionName) || null;
     }
 
-    async deleteProject(req, res) {
-        try {
-            const { projectId } = req.params;
-            const data = await this.readManageDB();
-            const projectIndex = data.projects.findIndex(p => p.id === projectId);
-            if (projectIndex === -1) {
+    // Moves collections with soft delete on to the project trash and returns the names that must be dropped for good
+    async trashCollections(projectId, collectionNames, req) {
+        const deletedBy = this.getActor(req);
+        const permanent = req.query.permanent === 'true';
+        const dropped = [];
+        await this.updateManageDB(data => {
+            const project = data.projects.find(p => p.id === projectId);
+            if (!project) {
                 throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
             }
-            if (data.projects[projectIndex].ownerId !== req.user.userId && req.user.role !== 'admin') {
-                throw Object.assign(new Error('Not authorized to delete this project'), ERROR_CODES.FORBIDDEN);
+            const deletedAt = new Date();
+            for (const collection of project.collections || []) {
+                if (!collectionNames.includes(collection.name)) continue;
+                const retentionDays = collection.settings?.softDelete?.retentionDays;
+                if (!retentionDays || permanent) {
+                    dropped.push(collection.name);
+                    continue;
+                }
+                if (!project.trash) project.trash = [];
+                project.trash.push({
+                    ...collection,
+                    deletedAt: deletedAt.toISOString(),
+                    expiresAt: new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+                    deletedBy
+                });
             }
-            data.projects.splice(projectIndex, 1);
-            data.tokens = data.tokens.filter(t => t.projectId !== projectId);
-            await this.writeManageDB(data);
-            await fs.rm(path.join(this.projectsDir, projectId), { recursive: true, force: true });
+            // Names that were never registered are still dropped from storage, as before, unless they are in the trash
+            dropped.push(...collectionNames.filter(name => !project.collections?.some(c => c.name === name) && !project.trash?.some(c => c.name === name)));
+            project.collections = (project.collections || []).filter(c => !collectionNames.includes(c.name));
+            project.updatedAt = new Date().toISOString();
+        });
+        const cacheCollections = this.collectionCache.get(projectId) || new Set();
+        for (const name of collectionNames) {
+            cacheCollections.delete(name);
+            this.dropCollectionFromStore(projectId, name);
+        }
+        this.collectionCache.set(projectId, cacheCollections);
+        return dropped;
+    }
 
-            this.collectionCache.delete(projectId);
-            res.status(204).send();
-        } catch (error) {
-            console.error('Failed to delete project:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
+    async purgeTrashedCollection(projectId, collectionName, expiredBy = Infinity) {
+        return this.withCollectionLock(projectId, collectionName, async () => {
+            const purged = await this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === projectId);
+                const trashed = project?.trash?.find(c => c.name === collectionName);
+                if (!trashed || !isExpired(trashed, expiredBy)) return false;
+                project.trash = project.trash.filter(c => c !== trashed);
+                return true;
             });
+            if (purged) await this.dropCollectionStorage(projectId, collectionName);
+            return purged;
+        });
+    }
+
+    async dropCollectionStorage(projectId, collectionName) {
+        for (const name of [collectionName, getHistoryCollectionName(collectionName), getTrashCollectionName(collectionName)]) {
+            this.dropCollectionFromStore(projectId, name);
+            await this.storage.drop(projectId, name);
         }
     }
 
-    async getProjectDetails(req, res) {
+    async purgeExpiredTrash() {
         try {
+            const now = Date.now();
             const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === req.projectId);
-            if (!project) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            for (const project of data.projects) {
+                for (const trashed of project.trash || []) {
+                    if (isExpired(trashed, now)) await this.purgeTrashedCollection(project.id, trashed.name, now);
+                }
+                for (const collection of project.collections || []) {
+                    const trashName = getTrashCollectionName(collection.name);
+                    if (!(await this.storage.exists(project.id, trashName))) continue;
+                    await this.withCollectionLock(project.id, collection.name, async () => {
+                        const trash = await this.loadCollection(project.id, trashName);
+                        const ids = Object.keys(trash).filter(id => isExpired(trash[id], now));
+                        await this.saveCollection(project.id, trashName, ids.map(id => ({ op: 'delete', id })));
+                    });
+                }
             }
-            res.json({
-                id: project.id,
-                name: project.name,
-                description: project.description,
-                ownerId: project.ownerId,
-                collections: project.collections,
-                createdAt: project.createdAt,
-                updatedAt: project.updatedAt
-            });
         } catch (error) {
-            console.error('Failed to get project details:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+            console.error('Failed to purge expired trash:', error);
         }
     }
 
-    async getProjectTokens(req, res) {
-        try {
-            const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === req.params.projectId);
-            if (!project) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+    async getRecordVersions(projectId, collectionName, id) {
+        const history = await this.loadCollection(projectId, getHistoryCollectionName(collectionName));
+        return history[id]?.versions || [];
+    }
+
+    async queryRecords(projectId, collectionName, filter, sort = null) {
+        const { data, indexes } = await this.getCollectionIndexes(projectId, collectionName);
+        const plan = filter ? planIndexScan(indexes, filter) : null;
+        const sortIndex = sort && indexes.get(sort.field)?.sortable ? indexes.get(sort.field) : null;
+
+        let ids = Object.keys(data);
+        const total = ids.length;
+        if (sortIndex) ids = sortIndex.sortedIds(ids, sort.order);
+        if (plan) ids = ids.filter(id => plan.ids.has(id));
+
+        const now = Date.now();
+        let records = ids.map(id => data[id]).filter(record => !isRecordExpired(record, now));
+        const examined = records.length;
+        if (filter) records = records.filter(record => matchFilter(record, filter));
+        if (sort && !sortIndex) {
+            records.sort((a, b) => compareValues(getFieldValue(a, sort.field), getFieldValue(b, sort.field)) * sort.order);
+        }
+
+        return {
+            records,
+            explain: {
+                index: plan ? plan.field : null,
+                sortIndex: sortIndex ? sortIndex.field : null,
+                examined,
+                matched: records.length,
+                total
             }
-            if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
-                throw Object.assign(new Error('Not authorized to view tokens'), ERROR_CODES.FORBIDDEN);
+        };
+    }
+
+    // Yields matching records one at a time in storage order, for exports that must not hold the result in memory
+    async scanRecords(projectId, collectionName, filter) {
+        const { data, indexes } = await this.getCollectionIndexes(projectId, collectionName);
+        const plan = filter ? planIndexScan(indexes, filter) : null;
+        return function* () {
+            const now = Date.now();
+            const ids = plan ? [...plan.ids] : null;
+            for (const id of ids || Object.keys(data)) {
+                const record = data[id];
+                if (!record || isRecordExpired(record, now)) continue;
+                if (!filter || matchFilter(record, filter)) yield record;
             }
-            const tokens = data.tokens.filter(t => t.projectId === req.params.projectId);
-            res.json({ tokens });
+        };
+    }
+
+    async getUsersData() {
+        const data = await this.readManageDB();
+        return data.users;
+    }
+
+    parseFilter(rawFilter) {
+        if (!rawFilter) return null;
+        let filter;
+        try {
+            filter = JSON.parse(rawFilter);
         } catch (error) {
-            console.error('Failed to get project tokens:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+            throw Object.assign(new Error('Invalid filter JSON'), ERROR_CODES.INVALID_FILTER);
+        }
+        if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+            throw invalidFilter('Filter must be a JSON object');
         }
+        return filter;
     }
 
-    async createProjectToken(req, res) {
+    // If-Match wins over a `_rev` in the body; both accept the value returned as ETag
+    getExpectedRevision(req, bodyRevision) {
+        const header = req.headers['if-match'];
+        if (header !== undefined) return header.trim() === '*' ? '*' : parseRevision(header);
+        return bodyRevision === undefined ? null : parseRevision(bodyRevision);
+    }
+
+    parseSort(rawSort) {
+        if (!rawSort) return null;
+        const [field, order] = rawSort.split(':');
+        return { field, order: order === 'desc' ? -1 : 1 };
+    }
+
+    async ensureCollection(projectId, collectionName, createIfMissing = false) {
+        console.log(`Ensuring collection '${collectionName}' for project '${projectId}', createIfMissing: ${createIfMissing}`);
+        const cacheKey = projectId;
+        let collections = this.collectionCache.get(cacheKey);
+        if (!collections) {
+            collections = new Set();
+            this.collectionCache.set(cacheKey, collections);
+        }
+
+        if (collections.has(collectionName)) {
+            console.log(`Collection '${collectionName}' found in cache`);
+            return true;
+        }
+
+        // A trashed collection keeps its storage until it is restored or purged
+        const trashed = await this.getTrashedCollection(projectId, collectionName);
+        if (trashed) {
+            const message = `Collection '${collectionName}' is in the trash; restore or purge it first`;
+            throw Object.assign(new Error(message), ERROR_CODES.COLLECTION_IN_TRASH, { message });
+        }
+
+        console.log(`Checking storage for collection '${collectionName}'`);
+        if (await this.storage.exists(projectId, collectionName)) {
+            console.log(`Collection '${collectionName}' exists`);
+            collections.add(collectionName);
+            await this.registerCollection(projectId, collectionName);
+            return true;
+        }
+        if (!createIfMissing) {
+            console.log(`Collection '${collectionName}' does not exist`);
+            throw Object.assign(new Error(`Collection '${collectionName}' does not exist`), ERROR_CODES.COLLECTION_NOT_FOUND);
+        }
+        console.log(`Creating new collection '${collectionName}'`);
         try {
-            const { projectId } = req.params;
-            const { name, permissions } = req.body;
-            if (!name || !['read', 'write', 'full'].includes(permissions)) {
-                throw Object.assign(new Error('Invalid token name or permissions'), ERROR_CODES.INVALID_TOKEN_PERMISSIONS);
-            }
-            const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === projectId);
-            if (!project) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
-            }
-            if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
-                throw Object.assign(new Error('Not authorized to create tokens'), ERROR_CODES.FORBIDDEN);
-            }
-            const token = {
-                id: uuidv4(),
-                projectId,
-                name: name || 'Unnamed Token',
-                token: crypto.randomBytes(32).toString('hex'),
-                permissions,
-                collections: '*',
-                active: true,
-                createdAt: new Date().toISOString()
-            };
-            data.tokens.push(token);
-            await this.writeManageDB(data);
-            res.status(201).json(token);
-        } catch (error) {
-            console.error('Failed to create token:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
+            await this.storage.create(projectId, collectionName);
+            collections.add(collectionName);
+            await this.registerCollection(projectId, collectionName);
+            return true;
+        } catch (err) {
+            console.error(`Failed to create collection '${collectionName}':`, err);
+            throw Object.assign(new Error(`Failed to create collection '${collectionName}'`), ERROR_CODES.COLLECTION_CREATION_FAILED);
+        }
+    }
+
+    async registerCollection(projectId, collectionName) {
+        console.log(`Registering collection '${collectionName}' for project '${projectId}'`);
+        try {
+            await this.updateManageDB(manageDb => {
+                const project = manageDb.projects.find(p => p.id === projectId);
+                if (!project) {
+                    console.error(`Project '${projectId}' not found in manageDB.json`);
+                    throw Object.assign(new Error(`Project '${projectId}' not found`), ERROR_CODES.PROJECT_NOT_FOUND);
+                }
+                if (!project.collections) project.collections = [];
+                if (!project.collections.some(c => c.name === collectionName)) {
+                    project.collections.push({
+                        name: collectionName,
+                        createdAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                    project.updatedAt = new Date().toISOString();
+                }
             });
+        } catch (error) {
+            console.error(`Error registering collection '${collectionName}':`, error);
+            throw Object.assign(new Error(`Failed to register collection '${collectionName}'`), error.code ? error : ERROR_CODES.REGISTRATION_ERROR);
         }
     }
 
-    async deleteProjectToken(req, res) {
+    async handleLogin(req, res) {
         try {
-            const { projectId, tokenId } = req.params;
-            const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === projectId);
-            if (!project) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            const { username, password } = req.body;
+            if (!username || !password) {
+                throw Object.assign(new Error('Missing username or password'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
             }
-            if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
-                throw Object.assign(new Error('Not authorized to delete tokens'), ERROR_CODES.FORBIDDEN);
+            console.log('Login attempt for username:', username);
+            const users = await this.getUsersData();
+            const user = users.find(u => u.username === username);
+            if (!user) {
+                throw Object.assign(new Error('Invalid credentials'), ERROR_CODES.INVALID_CREDENTIALS);
             }
-            const tokenIndex = data.tokens.findIndex(t => t.id === tokenId && t.projectId === projectId);
-            if (tokenIndex === -1) {
-                throw Object.assign(new Error('Token not found'), ERROR_CODES.TOKEN_NOT_FOUND);
+            console.log('User found, checking password...');
+            const passwordMatch = await bcrypt.compare(password, user.password);
+            if (!passwordMatch) {
+                throw Object.assign(new Error('Invalid credentials'), ERROR_CODES.INVALID_CREDENTIALS);
             }
-            data.tokens.splice(tokenIndex, 1);
-            await this.writeManageDB(data);
-            res.status(204).send();
+            console.log('Login successful for user:', username);
+            user.lastLogin = new Date().toISOString();
+            await this.updateManageDB(data => {
+                const storedUser = data.users.find(u => u.id === user.id);
+                if (storedUser) storedUser.lastLogin = user.lastLogin;
+            });
+            const token = jwt.sign(
+                { userId: user.id, username: user.username, role: user.role },
+                this.jwtSecret,
+                { expiresIn: '24h' }
+            );
+            res.json({
+                token,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    role: user.role
+                }
+            });
         } catch (error) {
-            console.error('Failed to delete token:', error);
+            console.error('Login error:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -794,20 +2111,45 @@ class LiekoDBCore {
         }
     }
 
-    async getAdminUsers(req, res) {
-        try {
-            const data = await this.readManageDB();
-            const users = data.users.map(user => ({
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                createdAt: user.createdAt,
-                lastLogin: user.lastLogin
-            }));
-            res.json({ users });
+    async handleRegister(req, res) {
+        if (!isRegisterEnabled) {
+            throw Object.assign(new Error('Account registration is disabled'), ERROR_CODES.REGISTRATION_DISABLED);
+        }
+        try {
+            const { username, email, password } = req.body;
+            if (!username || !email || !password) {
+                throw Object.assign(new Error('Missing required fields'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            }
+            const hashedPassword = await bcrypt.hash(password, 12);
+            const newUser = {
+                id: uuidv4(),
+                username,
+                email,
+                password: hashedPassword,
+                role: 'user',
+                createdAt: new Date().toISOString(),
+                lastLogin: null
+            };
+            await this.updateManageDB(data => {
+                if (data.users.find(u => u.username === username)) {
+                    throw Object.assign(new Error('Username already exists'), ERROR_CODES.USERNAME_EXISTS);
+                }
+                if (data.users.find(u => u.email === email)) {
+                    throw Object.assign(new Error('Email already exists'), ERROR_CODES.EMAIL_EXISTS);
+                }
+                data.users.push(newUser);
+            });
+            res.status(201).json({
+                message: 'User created successfully',
+                user: {
+                    id: newUser.id,
+                    username: newUser.username,
+                    email: newUser.email,
+                    role: newUser.role
+                }
+            });
         } catch (error) {
-            console.error('Failed to get users:', error);
+            console.error('Registration error:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -816,12 +2158,153 @@ class LiekoDBCore {
         }
     }
 
-    async getAllProjects(req, res) {
+    async authenticateUser(req, res, next) {
+        try {
+            const token = req.headers.authorization?.replace('Bearer ', '');
+            if (!token) {
+                throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
+            }
+            const decoded = jwt.verify(token, this.jwtSecret);
+            req.user = decoded;
+            next();
+        } catch (error) {
+            console.error('Authentication error:', error);
+            const status = error.name === 'JsonWebTokenError' ? 401 : error.status || 500;
+            res.status(status).json({
+                error: error.message || ERROR_CODES.INVALID_TOKEN.message,
+                code: error.name === 'JsonWebTokenError' ? ERROR_CODES.INVALID_TOKEN.code : error.code || ERROR_CODES.SERVER_ERROR.code,
+                status
+            });
+        }
+    }
+
+    // EventSource cannot set headers, so streaming routes also take the token as ?token=
+    acceptQueryToken(req, res, next) {
+        if (!req.headers.authorization && typeof req.query.token === 'string') {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    }
+
+    // Resolves a bearer token to the project it opens: a user JWT of the owner or an admin for `projectId`, or a project token
+    async resolveProjectToken(token, projectId, ip = null) {
+        if (!token) {
+            throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
+        }
+
+        // First, try to authenticate as a user JWT token
         try {
+            const decoded = jwt.verify(token, this.jwtSecret);
             const data = await this.readManageDB();
-            res.json({ projects: data.projects });
+            const project = data.projects.find(p => p.id === projectId);
+
+            if (!project) {
+                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            }
+
+            if (decoded.role === 'admin' || decoded.userId === project.ownerId) {
+                return { user: decoded, projectId, permissions: 'full' };
+            }
         } catch (error) {
-            console.error('Failed to get projects:', error);
+            if (error.name !== 'JsonWebTokenError') {
+                throw error;
+            }
+        }
+
+        // Fallback to project token authentication
+        const data = await this.readManageDB();
+        const tokenData = this.findProjectToken(data, token);
+        this.recordTokenUsage(tokenData, ip);
+        // A rotated-out secret stops working at the end of its grace period, even if the token itself lives on
+        const deadlines = [tokenData.expiresAt, tokenData.token !== token && tokenData.previousToken.expiresAt].filter(Boolean);
+        return { projectId: tokenData.projectId, tokenData, permissions: tokenData.permissions, tokenExpiresAt: deadlines.sort()[0] || null };
+    }
+
+    // Registers a long-lived connection; `close` ends it once its token expires or is changed. Returns the cleanup to run when it ends.
+    trackTokenConnection(auth, close) {
+        const connection = {
+            tokenId: auth.tokenData?.id ?? null,
+            userId: auth.user?.userId ?? null,
+            projectId: auth.projectId,
+            close: () => {
+                untrack();
+                close();
+            }
+        };
+        let timer = null;
+        if (auth.tokenExpiresAt) {
+            // Timers cannot wait longer than about 24 days; a connection that outlives that is closed and re-authenticated
+            timer = setTimeout(connection.close, Math.min(Math.max(Date.parse(auth.tokenExpiresAt) - Date.now(), 0), 2 ** 31 - 1));
+            timer.unref();
+        }
+        const untrack = () => {
+            clearTimeout(timer);
+            this.tokenConnections.delete(connection);
+        };
+        this.tokenConnections.add(connection);
+        return untrack;
+    }
+
+    closeTokenConnections(predicate) {
+        for (const connection of [...this.tokenConnections]) {
+            if (predicate(connection)) connection.close();
+        }
+    }
+
+    // Finds the project token a secret belongs to; the previous secret of a rotated token keeps working until its grace period ends
+    findProjectToken(data, token) {
+        const now = Date.now();
+        const tokenData = data.tokens.find(t => t.token === token || (t.previousToken?.token === token && Date.parse(t.previousToken.expiresAt) > now));
+        if (!tokenData || !tokenData.active) {
+            throw Object.assign(new Error('Invalid project token'), ERROR_CODES.INVALID_TOKEN);
+        }
+        if (isTokenExpired(tokenData, now)) {
+            throw Object.assign(new Error(`Project token expired at ${tokenData.expiresAt}`), ERROR_CODES.TOKEN_EXPIRED, { message: `Project token expired at ${tokenData.expiresAt}` });
+        }
+        return tokenData;
+    }
+
+    // Usage is only kept in memory here and written to tokenUsage.json every TOKEN_USAGE_INTERVAL_MS
+    recordTokenUsage(tokenData, ip) {
+        this.tokenUsage.set(tokenData.id, { lastUsedAt: new Date().toISOString(), lastUsedIp: ip });
+        this.tokenUsageDirty = true;
+    }
+
+    withTokenUsage(token) {
+        return { ...token, lastUsedAt: null, lastUsedIp: null, ...this.tokenUsage.get(token.id) };
+    }
+
+    async loadTokenUsage() {
+        const usage = await this.readJsonFile(this.tokenUsageFile) || {};
+        // Entries of tokens deleted since the last run are dropped
+        const { tokens } = await this.readManageDB();
+        for (const token of tokens) {
+            if (usage[token.id]) this.tokenUsage.set(token.id, usage[token.id]);
+        }
+    }
+
+    async flushTokenUsage() {
+        if (!this.tokenUsageDirty) return;
+        this.tokenUsageDirty = false;
+        try {
+            await writeFileAtomic(this.tokenUsageFile, JSON.stringify(Object.fromEntries(this.tokenUsage)));
+        } catch (error) {
+            this.tokenUsageDirty = true;
+            console.error('Failed to save token usage:', error);
+        }
+    }
+
+    async authenticateProjectToken(req, res, next) {
+        try {
+            const token = req.headers.authorization?.replace('Bearer ', '');
+            Object.assign(req, await this.resolveProjectToken(token, req.params.projectId || req.projectId, req.ip));
+            // On collection routes the token's scope decides the permissions the route checks
+            if (req.params.collection !== undefined) {
+                req.permissions = this.requireCollectionAccess(req, req.params.collection);
+            }
+            next();
+        } catch (error) {
+            console.error('Project token authentication error:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -830,25 +2313,84 @@ class LiekoDBCore {
         }
     }
 
-    async deleteUser(req, res) {
+    // Returns the permissions `auth` has on a collection, failing when they are below `required`
+    requireCollectionAccess(auth, collectionName, required = 'read') {
+        const permissions = auth.tokenData ? getCollectionPermissions(auth.tokenData, collectionName) : auth.permissions;
+        if (!permissions || !hasPermission(permissions, required)) {
+            const message = permissions
+                ? `Token needs '${required}' access to collection '${collectionName}'`
+                : `Token has no access to collection '${collectionName}'`;
+            throw Object.assign(new Error(message), ERROR_CODES.FORBIDDEN, { message });
+        }
+        return permissions;
+    }
+
+    // Lists the project collections a token can see, each with its permissions
+    getVisibleCollections(auth, collections = []) {
+        return collections
+            .map(collection => ({ ...collection, permissions: auth.tokenData ? getCollectionPermissions(auth.tokenData, collection.name) : auth.permissions }))
+            .filter(collection => collection.permissions);
+    }
+
+    requireReadAccess(req, res, next) {
+        if (!['read', 'write', 'full'].includes(req.permissions)) {
+            res.status(403).json(ERROR_CODES.FORBIDDEN);
+        } else {
+            next();
+        }
+    }
+
+    // History and trash collections are named '<collection>.history' and '<collection>.trash', so a name with
+    // a dot would reach them directly
+    validateCollectionParam(req, res, next, collection) {
+        if (!this.isValidId(collection)) {
+            res.status(400).json(ERROR_CODES.INVALID_COLLECTION_NAME);
+        } else {
+            next();
+        }
+    }
+
+    requireWriteAccess(req, res, next) {
+        if (!['write', 'full'].includes(req.permissions)) {
+            res.status(403).json(ERROR_CODES.FORBIDDEN);
+        } else {
+            next();
+        }
+    }
+
+    requireFullAccess(req, res, next) {
+        if (req.permissions !== 'full') {
+            res.status(403).json(ERROR_CODES.FORBIDDEN);
+        } else {
+            next();
+        }
+    }
+
+    requireAdminAccess(req, res, next) {
+        if (req.user.role !== 'admin') {
+            res.status(403).json(ERROR_CODES.FORBIDDEN);
+        } else {
+            next();
+        }
+    }
+
+    async getUserProjects(req, res) {
         try {
-            const { userId } = req.params;
             const data = await this.readManageDB();
-            const userIndex = data.users.findIndex(u => u.id === userId);
-            if (userIndex === -1) {
-                throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
+            if (!data || !Array.isArray(data.users) || !Array.isArray(data.projects)) {
+                console.error('Invalid manageDB structure:', data);
+                throw Object.assign(new Error('Invalid database structure'), ERROR_CODES.DATABASE_ERROR);
             }
-            if (data.users[userIndex].role === 'admin' && req.user.id !== userId) {
-                throw Object.assign(new Error('Cannot delete another admin'), ERROR_CODES.FORBIDDEN);
+
+            const user = data.users.find(u => u.id === req.user.userId);
+            if (!user) {
+                throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
             }
-            data.users.splice(userIndex, 1);
-            data.projects = data.projects.filter(p => p.ownerId !== userId);
-            data.tokens = data.tokens.filter(t => !data.projects.some(p => p.id === t.projectId));
-            await this.writeManageDB(data);
-            data.projects.forEach(p => this.collectionCache.delete(p.id));
-            res.status(204).send();
+
+            const projects = data.projects.filter(p => p.ownerId === req.user.userId || req.user.role === 'admin');
+            res.json({ projects });
         } catch (error) {
-            console.error('Failed to delete user:', error);
+            console.error('Failed to get user projects:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -857,23 +2399,37 @@ class LiekoDBCore {
         }
     }
 
-    async updateUserRole(req, res) {
+    async createProject(req, res) {
         try {
-            const { userId } = req.params;
-            const { role } = req.body;
-            if (!['user', 'admin'].includes(role)) {
-                throw Object.assign(new Error('Invalid role'), ERROR_CODES.INVALID_ROLE);
-            }
-            const data = await this.readManageDB();
-            const user = data.users.find(u => u.id === userId);
-            if (!user) {
-                throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
+            const { name, description } = req.body;
+            if (!name || name.trim() === '') {
+                throw Object.assign(new Error('Project name is required and cannot be empty'), ERROR_CODES.INVALID_PROJECT_NAME);
             }
-            user.role = role;
-            await this.writeManageDB(data);
-            res.json({ message: 'User role updated', user: { id: user.id, username: user.username, role } });
+
+            const newProject = {
+                id: uuidv4(),
+                name: name.trim(),
+                description: description || '',
+                ownerId: req.user.userId,
+                collections: [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const defaultToken = createDefaultToken(newProject.id);
+
+            await this.updateManageDB(data => {
+                data.projects.push(newProject);
+                data.tokens.push(defaultToken);
+            });
+
+            this.collectionCache.set(newProject.id, new Set());
+
+            res.status(201).json({
+                token: defaultToken.token
+            });
         } catch (error) {
-            console.error('Failed to update user role:', error);
+            console.error('Failed to create project:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -882,18 +2438,26 @@ class LiekoDBCore {
         }
     }
 
-    async deleteProjectAdmin(req, res) {
+    async deleteProject(req, res) {
         try {
             const { projectId } = req.params;
-            const data = await this.readManageDB();
-            const projectIndex = data.projects.findIndex(p => p.id === projectId);
-            if (projectIndex === -1) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
-            }
-            data.projects.splice(projectIndex, 1);
-            data.tokens = data.tokens.filter(t => t.projectId !== projectId);
-            await this.writeManageDB(data);
-            await fs.rm(path.join(this.projectsDir, projectId), { recursive: true, force: true });
+            await this.updateManageDB(data => {
+                const projectIndex = data.projects.findIndex(p => p.id === projectId);
+                if (projectIndex === -1) {
+                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+                }
+                if (data.projects[projectIndex].ownerId !== req.user.userId && req.user.role !== 'admin') {
+                    throw Object.assign(new Error('Not authorized to delete this project'), ERROR_CODES.FORBIDDEN);
+                }
+                data.projects.splice(projectIndex, 1);
+                data.tokens = data.tokens.filter(t => t.projectId !== projectId);
+                if (data.webhooks) data.webhooks = data.webhooks.filter(w => w.projectId !== projectId);
+            });
+            this.closeTokenConnections(connection => connection.projectId === projectId);
+            this.dropCollectionFromStore(projectId);
+            await this.storage.dropProject(projectId);
+            await this.dropProjectWebhooks(projectId);
+
             this.collectionCache.delete(projectId);
             res.status(204).send();
         } catch (error) {
@@ -906,17 +2470,24 @@ class LiekoDBCore {
         }
     }
 
-    async getProjectCollections(req, res) {
+    async getProjectDetails(req, res) {
         try {
             const data = await this.readManageDB();
             const project = data.projects.find(p => p.id === req.projectId);
             if (!project) {
                 throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
             }
-            console.log('Returning collections for project:', req.projectId, project.collections);
-            res.json({ collections: project.collections || [] });
+            res.json({
+                id: project.id,
+                name: project.name,
+                description: project.description,
+                ownerId: project.ownerId,
+                collections: this.getVisibleCollections(req, project.collections),
+                createdAt: project.createdAt,
+                updatedAt: project.updatedAt
+            });
         } catch (error) {
-            console.error('Failed to get collections:', error);
+            console.error('Failed to get project details:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -925,34 +2496,20 @@ class LiekoDBCore {
         }
     }
 
-    async updateProjectCollections(req, res) {
+    async getProjectTokens(req, res) {
         try {
-            const { collections } = req.body;
-            console.log('Update collections request:', { projectId: req.projectId, collections });
-            if (!Array.isArray(collections) || !collections.every(c => c.name && typeof c.name === 'string')) {
-                throw Object.assign(new Error('Collections must be an array of objects with a valid name property'), ERROR_CODES.INVALID_REQUEST_BODY);
-            }
             const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === req.projectId);
+            const project = data.projects.find(p => p.id === req.params.projectId);
             if (!project) {
                 throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
             }
-            const existingCollections = project.collections || [];
-            const newCollections = collections.map(c => ({
-                name: c.name.trim(),
-                createdAt: c.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            }));
-            project.collections = [...existingCollections, ...newCollections.filter(nc => !existingCollections.some(ec => ec.name === nc.name))];
-            project.updatedAt = new Date().toISOString();
-            await this.writeManageDB(data);
-            const cacheCollections = this.collectionCache.get(req.projectId) || new Set();
-            newCollections.forEach(c => cacheCollections.add(c.name));
-            this.collectionCache.set(req.projectId, cacheCollections);
-            console.log('Collections updated:', project.collections);
-            res.json({ collections: project.collections });
+            if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+                throw Object.assign(new Error('Not authorized to view tokens'), ERROR_CODES.FORBIDDEN);
+            }
+            const tokens = data.tokens.filter(t => t.projectId === req.params.projectId).map(t => this.withTokenUsage(t));
+            res.json({ tokens });
         } catch (error) {
-            console.error('Failed to update collections:', error);
+            console.error('Failed to get project tokens:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -961,32 +2518,40 @@ class LiekoDBCore {
         }
     }
 
-    async deleteProjectCollections(req, res) {
+    async createProjectToken(req, res) {
         try {
-            const { collections } = req.body;
-            console.log('Delete collections request:', { projectId: req.projectId, collections });
-            if (!Array.isArray(collections) || !collections.every(c => c.name)) {
-                throw Object.assign(new Error('Collections must be an array of objects with name property'), ERROR_CODES.INVALID_REQUEST_BODY);
-            }
-            const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === req.projectId);
-            if (!project) {
-                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
-            }
-            project.collections = project.collections.filter(c => !collections.some(d => d.name === c.name));
-            project.updatedAt = new Date().toISOString();
-            await this.writeManageDB(data);
-            const cacheCollections = this.collectionCache.get(req.projectId) || new Set();
-            collections.forEach(c => cacheCollections.delete(c.name));
-            this.collectionCache.set(req.projectId, cacheCollections);
-            for (const collection of collections) {
-                const collectionPath = path.join(this.projectsDir, req.projectId, `${collection.name}.json`);
-                await fs.unlink(collectionPath).catch(() => { });
+            const { projectId } = req.params;
+            const { name, permissions } = req.body;
+            if (!name || !['read', 'write', 'full'].includes(permissions)) {
+                throw Object.assign(new Error('Invalid token name or permissions'), ERROR_CODES.INVALID_TOKEN_PERMISSIONS);
             }
-            console.log('Collections deleted, remaining:', project.collections);
-            res.status(204).send();
+            const collections = parseTokenCollections(req.body.collections, permissions);
+            const expiresAt = parseTokenExpiry(req.body.expiresAt);
+            const token = await this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === projectId);
+                if (!project) {
+                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+                }
+                if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+                    throw Object.assign(new Error('Not authorized to create tokens'), ERROR_CODES.FORBIDDEN);
+                }
+                const token = {
+                    id: uuidv4(),
+                    projectId,
+                    name: name || 'Unnamed Token',
+                    token: crypto.randomBytes(32).toString('hex'),
+                    permissions,
+                    collections,
+                    active: true,
+                    expiresAt,
+                    createdAt: new Date().toISOString()
+                };
+                data.tokens.push(token);
+                return token;
+            });
+            res.status(201).json(this.withTokenUsage(token));
         } catch (error) {
-            console.error('Failed to delete collections:', error);
+            console.error('Failed to create token:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -995,34 +2560,70 @@ class LiekoDBCore {
         }
     }
 
-    async validateProjectToken(req, res) {
+    async updateProjectToken(req, res) {
         try {
-            const token = req.headers.authorization?.replace('Bearer ', '');
-            if (!token) {
-                throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
+            const { name, permissions, collections, expiresAt } = req.body || {};
+            if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+                throw Object.assign(new Error('Token name must be a non-empty string'), ERROR_CODES.INVALID_TOKEN_PERMISSIONS, { message: 'Token name must be a non-empty string' });
             }
-            const data = await this.readManageDB();
-            const tokenData = data.tokens.find(t => t.token === token && t.active);
-            if (!tokenData) {
-                throw Object.assign(new Error('Invalid token'), ERROR_CODES.INVALID_TOKEN);
+            if (permissions !== undefined && !['read', 'write', 'full'].includes(permissions)) {
+                throw Object.assign(new Error('Invalid token permissions'), ERROR_CODES.INVALID_TOKEN_PERMISSIONS);
             }
-            const project = data.projects.find(p => p.id === tokenData.projectId);
+            const token = await this.updateProjectTokenData(req, 'update', token => {
+                const nextPermissions = permissions ?? token.permissions;
+                // The current scope is checked again, since lowering the permissions can leave it out of bounds
+                const nextCollections = parseTokenCollections(collections === undefined ? token.collections : collections, nextPermissions);
+                Object.assign(token, {
+                    ...(name !== undefined && { name: name.trim() }),
+                    permissions: nextPermissions,
+                    collections: nextCollections,
+                    ...(expiresAt !== undefined && { expiresAt: parseTokenExpiry(expiresAt) }),
+                    updatedAt: new Date().toISOString()
+                });
+            });
+            res.json(this.withTokenUsage(token));
+        } catch (error) {
+            console.error('Failed to update token:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    // Runs `mutator` on a token of the project after checking the user may manage the project's tokens
+    async updateProjectTokenData(req, action, mutator) {
+        const { projectId, tokenId } = req.params;
+        const token = await this.updateManageDB(data => {
+            const project = data.projects.find(p => p.id === projectId);
             if (!project) {
                 throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
             }
-            res.json({
-                project: {
-                    id: project.id,
-                    name: project.name,
-                    createdAt: project.createdAt,
-                    updatedAt: project.updatedAt
-                },
-                name: tokenData.name,
-                permissions: tokenData.permissions,
-                collections: project.collections || []
+            if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+                throw Object.assign(new Error(`Not authorized to ${action} tokens`), ERROR_CODES.FORBIDDEN);
+            }
+            const token = data.tokens.find(t => t.id === tokenId && t.projectId === projectId);
+            if (!token) {
+                throw Object.assign(new Error('Token not found'), ERROR_CODES.TOKEN_NOT_FOUND);
+            }
+            mutator(token);
+            return token;
+        });
+        // Open streams re-authenticate, so they pick up the token's new state
+        this.closeTokenConnections(connection => connection.tokenId === tokenId);
+        return token;
+    }
+
+    async activateProjectToken(req, res) {
+        try {
+            const token = await this.updateProjectTokenData(req, 'activate', token => {
+                token.active = true;
+                token.updatedAt = new Date().toISOString();
             });
+            res.json(this.withTokenUsage(token));
         } catch (error) {
-            console.error('Token validation error:', error);
+            console.error('Failed to activate token:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1031,13 +2632,15 @@ class LiekoDBCore {
         }
     }
 
-    async checkCollection(req, res) {
+    async deactivateProjectToken(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            res.status(200).send();
+            const token = await this.updateProjectTokenData(req, 'deactivate', token => {
+                token.active = false;
+                token.updatedAt = new Date().toISOString();
+            });
+            res.json(this.withTokenUsage(token));
         } catch (error) {
-            console.error('Collection check error:', error);
+            console.error('Failed to deactivate token:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1046,62 +2649,26 @@ class LiekoDBCore {
         }
     }
 
-    async getCollectionRecords(req, res) {
+    // Issues a new secret; the old one keeps working for `gracePeriod` seconds so clients can switch over
+    async rotateProjectToken(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection, false);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-            let records = Object.values(data);
-
-            if (req.query.filter) {
-                try {
-                    const filter = JSON.parse(req.query.filter);
-                    records = records.filter(record => matchFilter(record, filter));
-                } catch (err) {
-                    throw Object.assign(new Error('Invalid filter JSON'), ERROR_CODES.INVALID_FILTER);
-                }
-            }
-
-            if (req.query.fields) {
-                const fields = req.query.fields.split(',');
-                records = records.map(record => {
-                    const filteredRecord = {};
-                    fields.forEach(field => {
-                        if (field in record) {
-                            filteredRecord[field] = record[field];
-                        }
-                    });
-                    return filteredRecord;
-                });
-            }
-
-            if (req.query.sort) {
-                const [field, order] = req.query.sort.split(':');
-                records.sort((a, b) => {
-                    const aVal = a[field];
-                    const bVal = b[field];
-                    const result = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-                    return order === 'desc' ? -result : result;
-                });
+            const { gracePeriod = TOKEN_ROTATION_GRACE_SECONDS } = req.body || {};
+            if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+                throw Object.assign(new Error('gracePeriod must be a non-negative number of seconds'), ERROR_CODES.INVALID_REQUEST_BODY, { message: 'gracePeriod must be a non-negative number of seconds' });
             }
-
-            const offset = parseInt(req.query.offset) || 0;
-            const limit = parseInt(req.query.limit) || records.length;
-            const totalCount = records.length;
-            const actualPage = limit > 0 ? Math.floor(offset / limit) + 1 : 1;
-            const maxPage = limit > 0 ? Math.ceil(totalCount / limit) : 1;
-
-            records = records.slice(offset, offset + limit);
-
-            res.json({
-                data: records,
-                totalCount,
-                actualPage,
-                maxPage
+            const token = await this.updateProjectTokenData(req, 'rotate', token => {
+                const now = Date.now();
+                // Rotating again ends the grace period of the secret before it
+                token.previousToken = gracePeriod > 0
+                    ? { token: token.token, expiresAt: new Date(now + gracePeriod * 1000).toISOString() }
+                    : null;
+                token.token = crypto.randomBytes(32).toString('hex');
+                token.rotatedAt = new Date(now).toISOString();
+                token.updatedAt = token.rotatedAt;
             });
+            res.json(this.withTokenUsage(token));
         } catch (error) {
-            console.error('Failed to get collection records:', error);
+            console.error('Failed to rotate token:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1110,59 +2677,102 @@ class LiekoDBCore {
         }
     }
 
-    async createCollection(req, res) {
+    async deleteProjectToken(req, res) {
         try {
-            const { collection } = req.params;
-            console.log(`Creating collection '${collection}' for project '${req.projectId}' with data:`, req.body);
-
-            // Validate payload
-            if (!req.body || typeof req.body !== 'object') {
-                throw Object.assign(new Error('Invalid request body'), ERROR_CODES.INVALID_REQUEST_BODY);
-            }
-
-            // Ensure collection
-            await this.ensureCollection(req.projectId, collection, true);
-
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            console.log(`Reading collection at ${collectionPath}`);
-            let data = await this.readJsonFile(collectionPath) || {};
+            const { projectId, tokenId } = req.params;
+            await this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === projectId);
+                if (!project) {
+                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+                }
+                if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+                    throw Object.assign(new Error('Not authorized to delete tokens'), ERROR_CODES.FORBIDDEN);
+                }
+                const tokenIndex = data.tokens.findIndex(t => t.id === tokenId && t.projectId === projectId);
+                if (tokenIndex === -1) {
+                    throw Object.assign(new Error('Token not found'), ERROR_CODES.TOKEN_NOT_FOUND);
+                }
+                data.tokens.splice(tokenIndex, 1);
+            });
+            this.tokenUsage.delete(tokenId);
+            this.tokenUsageDirty = true;
+            this.closeTokenConnections(connection => connection.tokenId === tokenId);
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to delete token:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
 
-            const record = {
-                ...req.body,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+    authorizeWebhookAccess(data, req) {
+        const project = data.projects.find(p => p.id === req.params.projectId);
+        if (!project) {
+            throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+        }
+        if (project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+            throw Object.assign(new Error('Not authorized to manage webhooks'), ERROR_CODES.FORBIDDEN);
+        }
+        return project;
+    }
 
-            if (!record.id) {
-                record.id = uuidv4();
-                console.log(`Generated ID for record: ${record.id}`);
-            }
+    findWebhook(data, req) {
+        const webhook = (data.webhooks || []).find(w => w.id === req.params.webhookId && w.projectId === req.params.projectId);
+        if (!webhook) {
+            throw Object.assign(new Error('Webhook not found'), ERROR_CODES.WEBHOOK_NOT_FOUND);
+        }
+        return webhook;
+    }
 
-            if (!this.isValidId(record.id)) {
-                console.log(`Invalid ID format for record ID: ${record.id}`);
-                throw Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT);
+    // Checks the fields present in `input` and applies them over `current`
+    parseWebhookInput(input, current) {
+        if (!isPlainObject(input)) throw invalidWebhook('Webhook must be a JSON object');
+        const webhook = { ...current };
+        if (input.url !== undefined || !current.url) {
+            let url = null;
+            try {
+                url = new URL(input.url);
+            } catch (error) { }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) throw invalidWebhook('url must be an http or https URL');
+            webhook.url = url.toString();
+        }
+        if (input.collections !== undefined) {
+            const valid = input.collections === '*' ||
+                (Array.isArray(input.collections) && input.collections.length > 0 && input.collections.every(name => this.isValidId(name)));
+            if (!valid) throw invalidWebhook("collections must be '*' or a non-empty array of collection names");
+            webhook.collections = input.collections;
+        }
+        if (input.events !== undefined) {
+            if (!Array.isArray(input.events) || input.events.length === 0 || !input.events.every(type => CHANGE_TYPES.includes(type))) {
+                throw invalidWebhook(`events must be a non-empty array of ${CHANGE_TYPES.join(', ')}`);
             }
-
-            if (data[record.id]) {
-                console.log(`Record '${record.id}' already exists in '${collection}'`);
-                throw Object.assign(new Error(`Record '${record.id}' already exists`), ERROR_CODES.RECORD_EXISTS);
+            webhook.events = [...new Set(input.events)];
+        }
+        if (input.filter !== undefined) {
+            if (input.filter !== null) {
+                if (!isPlainObject(input.filter)) throw invalidFilter('Filter must be a JSON object');
+                matchFilter({}, input.filter);
             }
+            webhook.filter = input.filter;
+        }
+        if (input.active !== undefined) {
+            if (typeof input.active !== 'boolean') throw invalidWebhook('active must be a boolean');
+            webhook.active = input.active;
+        }
+        return webhook;
+    }
 
-            data[record.id] = record;
-            console.log(`Writing record to ${collectionPath}:`, data);
-            await this.writeJsonFile(collectionPath, data);
-
-            res.status(201).json({
-                results: [{
-                    id: record.id,
-                    status: 'success',
-                    record
-                }],
-                errors: [],
-                total: 1
-            });
+    async getProjectWebhooks(req, res) {
+        try {
+            const data = await this.readManageDB();
+            this.authorizeWebhookAccess(data, req);
+            const webhooks = (data.webhooks || []).filter(w => w.projectId === req.params.projectId);
+            res.json({ webhooks });
         } catch (error) {
-            console.error(`Error in createCollection for '${req.params.collection}':`, error);
+            console.error('Failed to get project webhooks:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1171,25 +2781,31 @@ class LiekoDBCore {
         }
     }
 
-    async deleteCollection(req, res) {
+    async createProjectWebhook(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            await this.writeJsonFile(collectionPath, {});
-            const cacheCollections = this.collectionCache.get(req.projectId) || new Set();
-            cacheCollections.delete(collection);
-            this.collectionCache.set(req.projectId, cacheCollections);
-            const data = await this.readManageDB();
-            const project = data.projects.find(p => p.id === req.projectId);
-            if (project) {
-                project.collections = project.collections.filter(c => c.name !== collection);
-                project.updatedAt = new Date().toISOString();
-                await this.writeManageDB(data);
-            }
-            res.status(204).send();
+            const { projectId } = req.params;
+            const now = new Date().toISOString();
+            const webhook = this.parseWebhookInput(req.body, {
+                id: uuidv4(),
+                projectId,
+                url: null,
+                collections: '*',
+                events: [...CHANGE_TYPES],
+                filter: null,
+                secret: crypto.randomBytes(32).toString('hex'),
+                active: true,
+                createdAt: now,
+                updatedAt: now
+            });
+            await this.updateManageDB(data => {
+                this.authorizeWebhookAccess(data, req);
+                data.webhooks = data.webhooks || [];
+                data.webhooks.push(webhook);
+            });
+            await this.loadWebhooks();
+            res.status(201).json(webhook);
         } catch (error) {
-            console.error('Failed to delete collection:', error);
+            console.error('Failed to create webhook:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1198,33 +2814,22 @@ class LiekoDBCore {
         }
     }
 
-    async getRecord(req, res) {
+    async updateProjectWebhook(req, res) {
         try {
-            const { collection, id } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath);
-
-            if (!data || !data[id]) {
-                throw Object.assign(new Error(`No Record found, ${collection} with ID ${id}`), ERROR_CODES.RECORD_NOT_FOUND);
-            }
-
-            let record = data[id];
-
-            if (req.query.fields) {
-                const fields = req.query.fields.split(',');
-                const filteredRecord = {};
-                fields.forEach(field => {
-                    if (field in record) {
-                        filteredRecord[field] = record[field];
-                    }
-                });
-                record = filteredRecord;
-            }
-
-            res.json(record);
+            const { rotateSecret, ...input } = req.body || {};
+            const webhook = await this.updateManageDB(data => {
+                this.authorizeWebhookAccess(data, req);
+                const current = this.findWebhook(data, req);
+                const updated = this.parseWebhookInput(input, current);
+                if (rotateSecret === true) updated.secret = crypto.randomBytes(32).toString('hex');
+                updated.updatedAt = new Date().toISOString();
+                data.webhooks[data.webhooks.indexOf(current)] = updated;
+                return updated;
+            });
+            await this.loadWebhooks();
+            res.json(webhook);
         } catch (error) {
-            console.error('Failed to get record:', error);
+            console.error('Failed to update webhook:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1233,43 +2838,19 @@ class LiekoDBCore {
         }
     }
 
-    async updateRecord(req, res) {
+    async deleteProjectWebhook(req, res) {
         try {
-            const { collection, id } = req.params;
-            if (!this.isValidId(id)) {
-                throw Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT);
-            }
-
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-
-            if (!data[id]) {
-                throw Object.assign(new Error(`Record not found in '${collection}'`), ERROR_CODES.RECORD_NOT_FOUND);
-            }
-
-            const record = {
-                ...data[id],
-                ...req.body,
-                id,
-                updatedAt: new Date().toISOString(),
-                createdAt: data[id].createdAt || new Date().toISOString()
-            };
-
-            data[id] = record;
-            await this.writeJsonFile(collectionPath, data);
-
-            res.json({
-                results: [{
-                    id,
-                    status: 'success',
-                    record
-                }],
-                errors: [],
-                total: 1
+            const { projectId, webhookId } = req.params;
+            await this.updateManageDB(data => {
+                this.authorizeWebhookAccess(data, req);
+                const webhook = this.findWebhook(data, req);
+                data.webhooks.splice(data.webhooks.indexOf(webhook), 1);
             });
+            await this.loadWebhooks();
+            await fs.rm(this.getWebhookLogPath(projectId, webhookId), { force: true });
+            res.status(204).send();
         } catch (error) {
-            console.error('Failed to update record:', error);
+            console.error('Failed to delete webhook:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1278,21 +2859,17 @@ class LiekoDBCore {
         }
     }
 
-    async deleteRecord(req, res) {
+    async getWebhookDeliveries(req, res) {
         try {
-            const { collection, id } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-            if (!data[id]) {
-                res.status(204).send();
-            } else {
-                delete data[id];
-                await this.writeJsonFile(collectionPath, data);
-                res.status(204).send();
-            }
+            const data = await this.readManageDB();
+            this.authorizeWebhookAccess(data, req);
+            const webhook = this.findWebhook(data, req);
+            const { status } = req.query;
+            const deliveries = (await this.readWebhookDeliveries(webhook.projectId, webhook.id))
+                .filter(delivery => !status || delivery.status === status);
+            res.json({ deliveries, total: deliveries.length });
         } catch (error) {
-            console.error('Failed to delete record:', error);
+            console.error('Failed to get webhook deliveries:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1301,53 +2878,54 @@ class LiekoDBCore {
         }
     }
 
-    async searchRecords(req, res) {
+    // Sends the event of a logged delivery again as a new delivery, whatever the outcome of the original
+    async redeliverWebhook(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const { term, fields } = req.query;
-            if (!term) {
-                throw Object.assign(new Error('Search term required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            const data = await this.readManageDB();
+            this.authorizeWebhookAccess(data, req);
+            const webhook = this.findWebhook(data, req);
+            const original = (await this.readWebhookDeliveries(webhook.projectId, webhook.id)).find(d => d.id === req.params.deliveryId);
+            if (!original) {
+                throw Object.assign(new Error('Webhook delivery not found'), ERROR_CODES.DELIVERY_NOT_FOUND);
             }
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath) || {};
-            let records = Object.values(data);
-            const searchFields = fields ? fields.split(',') : Object.keys(records[0] || {});
-            const searchTerm = term.toLowerCase();
-            records = records.filter(record => {
-                return searchFields.some(field => {
-                    const value = record[field];
-                    return value && typeof value === 'string' && value.toLowerCase().includes(searchTerm);
-                });
+            const delivery = createWebhookDelivery(webhook.id, original.event, original.id);
+            await this.queueWebhookDeliveries(webhook.projectId, webhook.id, [delivery]);
+            res.status(202).json(delivery);
+        } catch (error) {
+            console.error('Failed to redeliver webhook:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    // Snapshots outlive their project, so admins can still reach those of a deleted one
+    async authorizeSnapshotAccess(req) {
+        const { projectId } = req.params;
+        const data = await this.readManageDB();
+        const project = data.projects.find(p => p.id === projectId) || null;
+        if (!this.isValidId(projectId) || (!project && req.user.role !== 'admin')) {
+            throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+        }
+        if (project && project.ownerId !== req.user.userId && req.user.role !== 'admin') {
+            throw Object.assign(new Error('Not authorized to manage snapshots'), ERROR_CODES.FORBIDDEN);
+        }
+        return project;
+    }
+
+    async getProjectSnapshots(req, res) {
+        try {
+            await this.authorizeSnapshotAccess(req);
+            const snapshots = await this.listProjectSnapshots(req.params.projectId);
+            res.json({
+                snapshots,
+                total: snapshots.length,
+                schedule: { intervalMs: SNAPSHOT_INTERVAL_MS, retention: SNAPSHOT_RETENTION }
             });
-            if (req.query.sort) {
-                const [field, order] = req.query.sort.split(':');
-                records.sort((a, b) => {
-                    const aVal = a[field];
-                    const bVal = b[field];
-                    const result = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-                    return order === 'desc' ? -result : result;
-                });
-            }
-            if (req.query.fields) {
-                const fields = req.query.fields.split(',');
-                records = records.map(record => {
-                    const filtered = {};
-                    for (const field of fields) {
-                        if (field in record) {
-                            filtered[field] = record[field];
-                        }
-                    }
-                    return filtered;
-                });
-            }
-            const offset = parseInt(req.query.offset) || 0;
-            const limit = parseInt(req.query.limit) || records.length;
-            const totalCount = records.length;
-            records = records.slice(offset, offset + limit);
-            res.json({ data: records, totalCount });
         } catch (error) {
-            console.error('Failed to search collection:', error);
+            console.error('Failed to get project snapshots:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1356,25 +2934,13 @@ class LiekoDBCore {
         }
     }
 
-    async countRecords(req, res) {
+    async createProjectSnapshotHandler(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-            let records = Object.values(data);
-            if (req.query.filter) {
-                console.log('[DEBUG] raw filter:', req.query.filter);
-                try {
-                    const filter = JSON.parse(req.query.filter);
-                    records = records.filter(record => matchFilter(record, filter));
-                } catch (err) {
-                    throw Object.assign(new Error('Invalid filter JSON'), ERROR_CODES.INVALID_FILTER);
-                }
-            }
-            res.json({ count: records.length });
+            await this.authorizeSnapshotAccess(req);
+            const snapshot = await this.createProjectSnapshot(req.params.projectId, 'manual', req.user.userId);
+            res.status(201).json(snapshot);
         } catch (error) {
-            console.error('Failed to count collection:', error);
+            console.error('Failed to create project snapshot:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1383,23 +2949,18 @@ class LiekoDBCore {
         }
     }
 
-    async findOneRecord(req, res) {
+    async downloadProjectSnapshot(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-            let filter;
-            try {
-                filter = req.query.filter ? JSON.parse(req.query.filter) : {};
-            } catch (error) {
-                throw Object.assign(new Error('Invalid filter format'), ERROR_CODES.INVALID_FILTER);
+            const { projectId, snapshotId } = req.params;
+            await this.authorizeSnapshotAccess(req);
+            const snapshotPath = this.getSnapshotPath(projectId, snapshotId);
+            const found = this.isValidId(snapshotId) && await fs.access(snapshotPath).then(() => true, () => false);
+            if (!found) {
+                throw Object.assign(new Error(`Snapshot '${snapshotId}' not found`), ERROR_CODES.SNAPSHOT_NOT_FOUND, { message: `Snapshot '${snapshotId}' not found` });
             }
-            const records = Object.values(data);
-            const result = records.find(record => matchFilter(record, filter));
-            res.json(result || null);
+            res.download(snapshotPath, `liekodb-${projectId}-${snapshotId}.json`);
         } catch (error) {
-            console.error('Failed to find record:', error);
+            console.error('Failed to download project snapshot:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1408,16 +2969,43 @@ class LiekoDBCore {
         }
     }
 
-    async getKeys(req, res) {
+    async restoreProjectSnapshotHandler(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath) || {};
-            const keys = Object.keys(data);
-            res.json({ keys });
+            const { projectId, snapshotId } = req.params;
+            const { target, name } = req.body || {};
+            if (!['original', 'clone'].includes(target)) {
+                throw Object.assign(new Error("target must be 'original' or 'clone'"), ERROR_CODES.INVALID_REQUEST_BODY, { message: "target must be 'original' or 'clone'" });
+            }
+            const existing = await this.authorizeSnapshotAccess(req);
+            const snapshot = await this.readProjectSnapshot(projectId, snapshotId);
+            const now = new Date().toISOString();
+
+            if (target === 'clone') {
+                const project = {
+                    ...snapshot.project,
+                    id: uuidv4(),
+                    name: typeof name === 'string' && name.trim() !== '' ? name.trim() : `${snapshot.project.name} (restored)`,
+                    ownerId: req.user.userId,
+                    createdAt: now,
+                    updatedAt: now
+                };
+                const token = await this.restoreProjectSnapshot(snapshot, project);
+                return res.status(201).json({ projectId: project.id, snapshotId, target, token: token.token });
+            }
+
+            // Restoring over live data is not undoable otherwise, so keep what is about to be replaced
+            const backup = existing ? await this.createProjectSnapshot(projectId, 'pre-restore', req.user.userId) : null;
+            const project = { ...snapshot.project, ownerId: existing?.ownerId ?? snapshot.project.ownerId, updatedAt: now };
+            const token = await this.restoreProjectSnapshot(snapshot, project);
+            res.json({
+                projectId,
+                snapshotId,
+                target,
+                preRestoreSnapshotId: backup?.id || null,
+                ...(token && { token: token.token })
+            });
         } catch (error) {
-            console.error('Failed to get collection keys:', error);
+            console.error('Failed to restore project snapshot:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1426,16 +3014,17 @@ class LiekoDBCore {
         }
     }
 
-    async getEntries(req, res) {
+    async deleteProjectSnapshot(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath) || {};
-            const entries = Object.entries(data).map(([id, record]) => ({ id, ...record }));
-            res.json({ entries });
+            const { projectId, snapshotId } = req.params;
+            await this.authorizeSnapshotAccess(req);
+            const removed = this.isValidId(snapshotId) && await this.removeProjectSnapshot(projectId, snapshotId).then(() => true, () => false);
+            if (!removed) {
+                throw Object.assign(new Error(`Snapshot '${snapshotId}' not found`), ERROR_CODES.SNAPSHOT_NOT_FOUND, { message: `Snapshot '${snapshotId}' not found` });
+            }
+            res.status(204).send();
         } catch (error) {
-            console.error('Failed to get collection entries:', error);
+            console.error('Failed to delete project snapshot:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1444,16 +3033,20 @@ class LiekoDBCore {
         }
     }
 
-    async getSize(req, res) {
+    async getAdminUsers(req, res) {
         try {
-            const { collection } = req.params;
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath) || {};
-            const size = Object.keys(data).length;
-            res.json({ size });
+            const data = await this.readManageDB();
+            const users = data.users.map(user => ({
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                createdAt: user.createdAt,
+                lastLogin: user.lastLogin
+            }));
+            res.json({ users });
         } catch (error) {
-            console.error('Failed to get collection size:', error);
+            console.error('Failed to get users:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1462,79 +3055,43 @@ class LiekoDBCore {
         }
     }
 
-    async batchSet(req, res) {
+    async getAllProjects(req, res) {
         try {
-            const { collection } = req.params;
-            const { records } = req.body;
-            if (!Array.isArray(records) || records.length === 0) {
-                throw Object.assign(new Error('Records must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
-            }
-
-            await this.ensureCollection(req.projectId, collection, true);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
-
-            const results = [];
-            const errors = [];
-
-            for (const record of records) {
-                if (!record || typeof record !== 'object') {
-                    errors.push({
-                        id: record?.id || null,
-                        error: 'Invalid record format',
-                        code: ERROR_CODES.INVALID_REQUEST_BODY.code,
-                        status: 400
-                    });
-                    continue;
-                }
-
-                const newRecord = {
-                    ...record,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
-
-                if (!newRecord.id) {
-                    newRecord.id = uuidv4();
-                }
+            const data = await this.readManageDB();
+            res.json({ projects: data.projects });
+        } catch (error) {
+            console.error('Failed to get projects:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
 
-                if (!this.isValidId(newRecord.id)) {
-                    errors.push({
-                        id: newRecord.id,
-                        error: 'Invalid ID format',
-                        code: ERROR_CODES.INVALID_ID_FORMAT.code,
-                        status: 400
-                    });
-                    continue;
+    async deleteUser(req, res) {
+        try {
+            const { userId } = req.params;
+            const data = await this.updateManageDB(data => {
+                const userIndex = data.users.findIndex(u => u.id === userId);
+                if (userIndex === -1) {
+                    throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
                 }
-
-                if (data[newRecord.id]) {
-                    errors.push({
-                        id: newRecord.id,
-                        error: `Record '${newRecord.id}' already exists`,
-                        code: ERROR_CODES.RECORD_EXISTS.code,
-                        status: 409
-                    });
-                    continue;
+                if (data.users[userIndex].role === 'admin' && req.user.id !== userId) {
+                    throw Object.assign(new Error('Cannot delete another admin'), ERROR_CODES.FORBIDDEN);
                 }
-
-                data[newRecord.id] = newRecord;
-                results.push({
-                    id: newRecord.id,
-                    status: 'success',
-                    record: newRecord
-                });
-            }
-
-            await this.writeJsonFile(collectionPath, data);
-
-            res.status(201).json({
-                results,
-                errors,
-                total: records.length
+                data.users.splice(userIndex, 1);
+                data.projects = data.projects.filter(p => p.ownerId !== userId);
+                data.tokens = data.tokens.filter(t => !data.projects.some(p => p.id === t.projectId));
+                if (data.webhooks) data.webhooks = data.webhooks.filter(w => data.projects.some(p => p.id === w.projectId));
+                return data;
             });
+            await this.loadWebhooks();
+            this.closeTokenConnections(connection => connection.userId === userId || !data.projects.some(p => p.id === connection.projectId));
+            data.projects.forEach(p => this.collectionCache.delete(p.id));
+            res.status(204).send();
         } catch (error) {
-            console.error('Failed to batch set records:', error);
+            console.error('Failed to delete user:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1543,56 +3100,72 @@ class LiekoDBCore {
         }
     }
 
-    async batchGet(req, res) {
+    async updateUserRole(req, res) {
         try {
-            const { collection } = req.params;
-            const { ids } = req.body;
-            if (!Array.isArray(ids) || ids.length === 0) {
-                throw Object.assign(new Error('IDs must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            const { userId } = req.params;
+            const { role } = req.body;
+            if (!['user', 'admin'].includes(role)) {
+                throw Object.assign(new Error('Invalid role'), ERROR_CODES.INVALID_ROLE);
             }
-
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            const data = await this.readJsonFile(collectionPath) || {};
-
-            const results = [];
-            const errors = [];
-
-            for (const id of ids) {
-                if (!this.isValidId(id)) {
-                    errors.push({
-                        id,
-                        error: 'Invalid ID format',
-                        code: ERROR_CODES.INVALID_ID_FORMAT.code,
-                        status: 400
-                    });
-                    continue;
+            const user = await this.updateManageDB(data => {
+                const user = data.users.find(u => u.id === userId);
+                if (!user) {
+                    throw Object.assign(new Error('User not found'), ERROR_CODES.USER_NOT_FOUND);
                 }
+                user.role = role;
+                return user;
+            });
+            res.json({ message: 'User role updated', user: { id: user.id, username: user.username, role } });
+        } catch (error) {
+            console.error('Failed to update user role:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
 
-                if (!data[id]) {
-                    errors.push({
-                        id,
-                        error: `Record '${id}' not found`,
-                        code: ERROR_CODES.RECORD_NOT_FOUND.code,
-                        status: 404
-                    });
-                    continue;
+    async deleteProjectAdmin(req, res) {
+        try {
+            const { projectId } = req.params;
+            await this.updateManageDB(data => {
+                const projectIndex = data.projects.findIndex(p => p.id === projectId);
+                if (projectIndex === -1) {
+                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
                 }
+                data.projects.splice(projectIndex, 1);
+                data.tokens = data.tokens.filter(t => t.projectId !== projectId);
+                if (data.webhooks) data.webhooks = data.webhooks.filter(w => w.projectId !== projectId);
+            });
+            this.closeTokenConnections(connection => connection.projectId === projectId);
+            this.dropCollectionFromStore(projectId);
+            await this.storage.dropProject(projectId);
+            await this.dropProjectWebhooks(projectId);
+            this.collectionCache.delete(projectId);
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to delete project:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
 
-                results.push({
-                    id,
-                    status: 'success',
-                    record: data[id]
-                });
+    async getProjectCollections(req, res) {
+        try {
+            const data = await this.readManageDB();
+            const project = data.projects.find(p => p.id === req.projectId);
+            if (!project) {
+                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
             }
-
-            res.json({
-                results,
-                errors,
-                total: ids.length
-            });
+            const collections = this.getVisibleCollections(req, project.collections);
+            console.log('Returning collections for project:', req.projectId, collections);
+            res.json({ collections });
         } catch (error) {
-            console.error('Failed to batch get records:', error);
+            console.error('Failed to get collections:', error);
             res.status(error.status || 500).json({
                 error: error.message || ERROR_CODES.SERVER_ERROR.message,
                 code: error.code || ERROR_CODES.SERVER_ERROR.code,
@@ -1601,265 +3174,3688 @@ class LiekoDBCore {
         }
     }
 
-    async batchDelete(req, res) {
-        try {
-            const { collection } = req.params;
-            const { ids } = req.body;
-            if (!Array.isArray(ids) || ids.length === 0) {
-                throw Object.assign(new Error('IDs must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
-            }
+    async updateProjectCollections(req, res) {
+        try {
+            const { collections } = req.body;
+            console.log('Update collections request:', { projectId: req.projectId, collections });
+            if (!Array.isArray(collections) || !collections.every(c => c.name && typeof c.name === 'string')) {
+                throw Object.assign(new Error('Collections must be an array of objects with a valid name property'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+            if (!collections.every(c => this.isValidId(c.name.trim()))) {
+                throw Object.assign(new Error(ERROR_CODES.INVALID_COLLECTION_NAME.message), ERROR_CODES.INVALID_COLLECTION_NAME);
+            }
+            collections.forEach(c => this.requireCollectionAccess(req, c.name.trim(), 'write'));
+            const { project, newCollections } = await this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === req.projectId);
+                if (!project) {
+                    throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+                }
+                const existingCollections = project.collections || [];
+                const newCollections = collections.map(c => ({
+                    name: c.name.trim(),
+                    createdAt: c.createdAt || new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                }));
+                project.collections = [...existingCollections, ...newCollections.filter(nc => !existingCollections.some(ec => ec.name === nc.name))];
+                project.updatedAt = new Date().toISOString();
+                return { project, newCollections };
+            });
+            const cacheCollections = this.collectionCache.get(req.projectId) || new Set();
+            newCollections.forEach(c => cacheCollections.add(c.name));
+            this.collectionCache.set(req.projectId, cacheCollections);
+            console.log('Collections updated:', project.collections);
+            res.json({ collections: project.collections });
+        } catch (error) {
+            console.error('Failed to update collections:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async deleteProjectCollections(req, res) {
+        try {
+            const { collections } = req.body;
+            console.log('Delete collections request:', { projectId: req.projectId, collections });
+            if (!Array.isArray(collections) || !collections.every(c => c.name)) {
+                throw Object.assign(new Error('Collections must be an array of objects with name property'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+            const names = collections.map(c => c.name);
+            names.forEach(name => this.requireCollectionAccess(req, name, 'full'));
+            const dropped = await this.withCollectionLocks(req.projectId, names, async () => {
+                const dropped = await this.trashCollections(req.projectId, names, req);
+                for (const name of dropped) await this.dropCollectionStorage(req.projectId, name);
+                return dropped;
+            });
+            console.log('Collections deleted:', dropped, 'moved to trash:', names.filter(name => !dropped.includes(name)));
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to delete collections:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getProjectTrash(req, res) {
+        try {
+            const data = await this.readManageDB();
+            const project = data.projects.find(p => p.id === req.projectId);
+            if (!project) {
+                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            }
+            const records = [];
+            for (const collection of this.getVisibleCollections(req, project.collections)) {
+                const trashName = getTrashCollectionName(collection.name);
+                if (!(await this.storage.exists(req.projectId, trashName))) continue;
+                const trash = await this.loadCollection(req.projectId, trashName);
+                const count = Object.values(trash).filter(entry => !isExpired(entry)).length;
+                if (count > 0) records.push({ collection: collection.name, count });
+            }
+            res.json({
+                collections: this.getVisibleCollections(req, project.trash).filter(entry => !isExpired(entry)),
+                records
+            });
+        } catch (error) {
+            console.error('Failed to get project trash:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async restoreTrashedCollection(req, res) {
+        try {
+            const { collection } = req.params;
+            const restored = await this.withCollectionLock(req.projectId, collection, () => this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === req.projectId);
+                const trashed = project?.trash?.find(c => c.name === collection && !isExpired(c));
+                if (!trashed) {
+                    const message = `Collection '${collection}' is not in the trash`;
+                    throw Object.assign(new Error(message), ERROR_CODES.COLLECTION_NOT_FOUND, { message });
+                }
+                const { deletedAt, expiresAt, deletedBy, ...restored } = trashed;
+                project.trash = project.trash.filter(c => c !== trashed);
+                if (!project.collections) project.collections = [];
+                if (!project.collections.some(c => c.name === collection)) {
+                    project.collections.push({ ...restored, updatedAt: new Date().toISOString() });
+                }
+                project.updatedAt = new Date().toISOString();
+                return restored;
+            }));
+            const cacheCollections = this.collectionCache.get(req.projectId) || new Set();
+            cacheCollections.add(collection);
+            this.collectionCache.set(req.projectId, cacheCollections);
+            res.json({ collection: restored });
+        } catch (error) {
+            console.error('Failed to restore collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async purgeTrashedCollectionHandler(req, res) {
+        try {
+            const { collection } = req.params;
+            if (!(await this.purgeTrashedCollection(req.projectId, collection))) {
+                const message = `Collection '${collection}' is not in the trash`;
+                throw Object.assign(new Error(message), ERROR_CODES.COLLECTION_NOT_FOUND, { message });
+            }
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to purge collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async validateProjectToken(req, res) {
+        try {
+            const token = req.headers.authorization?.replace('Bearer ', '');
+            if (!token) {
+                throw Object.assign(new Error('No token provided'), ERROR_CODES.NO_TOKEN_PROVIDED);
+            }
+            const data = await this.readManageDB();
+            const tokenData = this.findProjectToken(data, token);
+            this.recordTokenUsage(tokenData, req.ip);
+            const project = data.projects.find(p => p.id === tokenData.projectId);
+            if (!project) {
+                throw Object.assign(new Error('Project not found'), ERROR_CODES.PROJECT_NOT_FOUND);
+            }
+            res.json({
+                project: {
+                    id: project.id,
+                    name: project.name,
+                    createdAt: project.createdAt,
+                    updatedAt: project.updatedAt
+                },
+                name: tokenData.name,
+                permissions: tokenData.permissions,
+                scope: tokenData.collections ?? '*',
+                expiresAt: tokenData.expiresAt ?? null,
+                collections: this.getVisibleCollections({ tokenData }, project.collections)
+            });
+        } catch (error) {
+            console.error('Token validation error:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async checkCollection(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            res.status(200).send();
+        } catch (error) {
+            console.error('Collection check error:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getCollectionSettingsHandler(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const settings = await this.getCollectionSettings(req.projectId, collection);
+            res.json({ collection, settings });
+        } catch (error) {
+            console.error('Failed to get collection settings:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async updateCollectionSettings(req, res) {
+        try {
+            const { collection } = req.params;
+            const updates = req.body;
+            if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+                throw Object.assign(new Error('Settings must be an object'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+            // Validate everything up front so a bad key never leaves settings half-applied
+            const normalized = {};
+            for (const [key, value] of Object.entries(updates)) {
+                const normalize = COLLECTION_SETTINGS[key];
+                if (!normalize) {
+                    throw invalidSettings(`Unknown collection setting '${key}'`);
+                }
+                normalized[key] = value === null ? null : normalize(value);
+            }
+
+            const settings = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                if (normalized.unique) {
+                    const data = await this.loadCollection(req.projectId, collection);
+                    for (const fields of normalized.unique) {
+                        const constraint = new UniqueIndex(fields);
+                        for (const [id, record] of Object.entries(data)) {
+                            const error = findUniqueConflict([constraint], id, record);
+                            if (error) throw error;
+                            constraint.add(id, record);
+                        }
+                    }
+                }
+                return this.updateManageDB(data => {
+                    const project = data.projects.find(p => p.id === req.projectId);
+                    const entry = project?.collections?.find(c => c.name === collection);
+                    if (!entry) {
+                        throw Object.assign(new Error(`Collection '${collection}' does not exist`), ERROR_CODES.COLLECTION_NOT_FOUND);
+                    }
+                    entry.settings = { ...entry.settings };
+                    for (const [key, value] of Object.entries(normalized)) {
+                        if (value === null) delete entry.settings[key];
+                        else entry.settings[key] = value;
+                    }
+                    entry.updatedAt = new Date().toISOString();
+                    return entry.settings;
+                });
+            });
+            res.json({ collection, settings });
+        } catch (error) {
+            console.error('Failed to update collection settings:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async getCollectionRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection, false);
+            const filter = this.parseFilter(req.query.filter);
+            const sort = this.parseSort(req.query.sort);
+            let { records, explain } = await this.queryRecords(req.projectId, collection, filter, sort);
+
+            if (req.query.fields) {
+                const fields = req.query.fields.split(',');
+                records = records.map(record => {
+                    const filteredRecord = {};
+                    fields.forEach(field => {
+                        if (field in record) {
+                            filteredRecord[field] = record[field];
+                        }
+                    });
+                    return filteredRecord;
+                });
+            }
+
+            const offset = parseInt(req.query.offset) || 0;
+            const limit = parseInt(req.query.limit) || records.length;
+            const totalCount = records.length;
+            const actualPage = limit > 0 ? Math.floor(offset / limit) + 1 : 1;
+            const maxPage = limit > 0 ? Math.ceil(totalCount / limit) : 1;
+
+            records = records.slice(offset, offset + limit);
+
+            res.json({
+                data: records,
+                totalCount,
+                actualPage,
+                maxPage,
+                ...(req.query.explain === 'true' && { explain })
+            });
+        } catch (error) {
+            console.error('Failed to get collection records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async createCollection(req, res) {
+        try {
+            const { collection } = req.params;
+            console.log(`Creating collection '${collection}' for project '${req.projectId}' with data:`, req.body);
+
+            // Validate payload
+            if (!req.body || typeof req.body !== 'object') {
+                throw Object.assign(new Error('Invalid request body'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            // Ensure collection, then read-modify-write under the collection lock
+            const record = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection, true);
+
+                let data = await this.loadCollection(req.projectId, collection);
+
+                const record = {
+                    ...req.body,
+                    _rev: 1,
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+
+                if (!record.id) {
+                    record.id = uuidv4();
+                    console.log(`Generated ID for record: ${record.id}`);
+                }
+
+                if (!this.isValidId(record.id)) {
+                    console.log(`Invalid ID format for record ID: ${record.id}`);
+                    throw Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT);
+                }
+
+                // An expired record that has not been swept yet can be replaced
+                if (data[record.id] && !isRecordExpired(data[record.id])) {
+                    console.log(`Record '${record.id}' already exists in '${collection}'`);
+                    throw Object.assign(new Error(`Record '${record.id}' already exists`), ERROR_CODES.RECORD_EXISTS);
+                }
+
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                guard.applyTtl(record);
+                const violation = guard.check(record.id, record);
+                if (violation) throw violation;
+
+                console.log(`Writing record '${record.id}' to '${collection}'`);
+                await this.saveCollection(req.projectId, collection, [{ op: 'put', id: record.id, record }]);
+                return record;
+            });
+
+            res.status(201).json({
+                results: [{
+                    id: record.id,
+                    status: 'success',
+                    record
+                }],
+                errors: [],
+                total: 1
+            });
+        } catch (error) {
+            console.error(`Error in createCollection for '${req.params.collection}':`, error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async deleteCollection(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const dropped = await this.trashCollections(req.projectId, [collection], req);
+                if (dropped.includes(collection)) await this.dropCollectionStorage(req.projectId, collection);
+            });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to delete collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getRecord(req, res) {
+        try {
+            const { collection, id } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadCollection(req.projectId, collection);
+
+            let record = isRecordExpired(data[id]) ? undefined : data[id];
+            if (req.query.asOf) {
+                const time = Date.parse(req.query.asOf);
+                if (Number.isNaN(time)) {
+                    throw Object.assign(new Error('asOf must be an ISO 8601 timestamp'), ERROR_CODES.INVALID_FIELD, { message: 'asOf must be an ISO 8601 timestamp' });
+                }
+                const versions = await this.getRecordVersions(req.projectId, collection, id);
+                record = findVersionAt(data[id], versions, time);
+                if (!record || isRecordExpired(record, time)) {
+                    const message = `No version of ${collection} with ID ${id} at ${req.query.asOf}`;
+                    throw Object.assign(new Error(message), ERROR_CODES.RECORD_NOT_FOUND, { message });
+                }
+            } else if (!record) {
+                throw Object.assign(new Error(`No Record found, ${collection} with ID ${id}`), ERROR_CODES.RECORD_NOT_FOUND);
+            }
+            res.set('ETag', formatRevision(record._rev));
+
+            if (req.query.fields) {
+                const fields = req.query.fields.split(',');
+                const filteredRecord = {};
+                fields.forEach(field => {
+                    if (field in record) {
+                        filteredRecord[field] = record[field];
+                    }
+                });
+                record = filteredRecord;
+            }
+
+            res.json(record);
+        } catch (error) {
+            console.error('Failed to get record:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async updateRecord(req, res) {
+        try {
+            const { collection, id } = req.params;
+            if (!this.isValidId(id)) {
+                throw Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT);
+            }
+
+            const { _rev: bodyRevision, ...body } = req.body || {};
+            const expectedRevision = this.getExpectedRevision(req, bodyRevision);
+
+            const record = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                let data = await this.loadCollection(req.projectId, collection);
+
+                if (!data[id] || isRecordExpired(data[id])) {
+                    if (expectedRevision !== null) throw revisionConflict(id, null, expectedRevision);
+                    throw Object.assign(new Error(`Record not found in '${collection}'`), ERROR_CODES.RECORD_NOT_FOUND);
+                }
+                const conflict = checkRevision(id, data[id], expectedRevision);
+                if (conflict) throw conflict;
+
+                const record = {
+                    ...mergeUpdate(data[id], body),
+                    id,
+                    _rev: nextRevision(data[id]),
+                    updatedAt: new Date().toISOString(),
+                    createdAt: data[id].createdAt || new Date().toISOString()
+                };
+
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const violation = guard.check(id, record);
+                if (violation) throw violation;
+
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'update');
+                history.add(id, data[id]);
+                await this.saveCollection(req.projectId, collection, [{ op: 'put', id, record }]);
+                await history.save();
+                return record;
+            });
+
+            res.set('ETag', formatRevision(record._rev));
+            res.json({
+                results: [{
+                    id,
+                    status: 'success',
+                    record
+                }],
+                errors: [],
+                total: 1
+            });
+        } catch (error) {
+            console.error('Failed to update record:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async deleteRecord(req, res) {
+        try {
+            const { collection, id } = req.params;
+            const expectedRevision = this.getExpectedRevision(req, req.body?._rev);
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                let data = await this.loadCollection(req.projectId, collection);
+                if (!data[id] && expectedRevision !== null) {
+                    throw revisionConflict(id, null, expectedRevision);
+                }
+                const conflict = data[id] && checkRevision(id, data[id], expectedRevision);
+                if (conflict) throw conflict;
+                if (data[id]) {
+                    const hooks = await this.createHookRunner(req.projectId, collection, req);
+                    const rejection = hooks.beforeDelete(id, data[id]);
+                    if (rejection) throw rejection;
+                    const history = await this.createHistoryLog(req.projectId, collection, req, 'delete');
+                    const trash = await this.createTrashBin(req.projectId, collection, req);
+                    history.add(id, data[id]);
+                    trash.add(data[id]);
+                    // The trash is written first so a failed delete never loses the record
+                    await trash.save();
+                    await this.saveCollection(req.projectId, collection, [{ op: 'delete', id, previous: data[id] }]);
+                    await history.save();
+                }
+            });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Failed to delete record:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async searchRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const { term, fields } = req.query;
+            if (!term) {
+                throw Object.assign(new Error('Search term required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            }
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            let records = Object.values(data);
+            const searchFields = fields ? fields.split(',') : Object.keys(records[0] || {});
+            const searchTerm = term.toLowerCase();
+            records = records.filter(record => {
+                return searchFields.some(field => {
+                    const value = record[field];
+                    return value && typeof value === 'string' && value.toLowerCase().includes(searchTerm);
+                });
+            });
+            if (req.query.sort) {
+                const [field, order] = req.query.sort.split(':');
+                records.sort((a, b) => {
+                    const aVal = a[field];
+                    const bVal = b[field];
+                    const result = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+                    return order === 'desc' ? -result : result;
+                });
+            }
+            if (req.query.fields) {
+                const fields = req.query.fields.split(',');
+                records = records.map(record => {
+                    const filtered = {};
+                    for (const field of fields) {
+                        if (field in record) {
+                            filtered[field] = record[field];
+                        }
+                    }
+                    return filtered;
+                });
+            }
+            const offset = parseInt(req.query.offset) || 0;
+            const limit = parseInt(req.query.limit) || records.length;
+            const totalCount = records.length;
+            records = records.slice(offset, offset + limit);
+            res.json({ data: records, totalCount });
+        } catch (error) {
+            console.error('Failed to search collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async countRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const filter = this.parseFilter(req.query.filter);
+            const { records, explain } = await this.queryRecords(req.projectId, collection, filter);
+            res.json({ count: records.length, ...(req.query.explain === 'true' && { explain }) });
+        } catch (error) {
+            console.error('Failed to count collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async findOneRecord(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const filter = this.parseFilter(req.query.filter);
+            const { records, explain } = await this.queryRecords(req.projectId, collection, filter);
+            if (req.query.explain === 'true') {
+                return res.json({ data: records[0] || null, explain });
+            }
+            res.json(records[0] || null);
+        } catch (error) {
+            console.error('Failed to find record:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async aggregateRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            const { pipeline } = req.body;
+            if (!Array.isArray(pipeline)) {
+                throw invalidPipeline('Pipeline must be an array of stages');
+            }
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            const results = runPipeline(Object.values(data), pipeline);
+            res.json({ data: results, count: results.length });
+        } catch (error) {
+            console.error('Failed to aggregate collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async validateCollectionRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            // Dry run against a proposed schema, or the current one, without changing any settings
+            const schema = req.body?.schema !== undefined
+                ? COLLECTION_SETTINGS.schema(req.body.schema)
+                : (await this.getCollectionSettings(req.projectId, collection)).schema;
+            if (!schema) {
+                throw invalidSettings(`Collection '${collection}' has no schema to validate against`);
+            }
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            const violations = [];
+            for (const [id, record] of Object.entries(data)) {
+                const errors = validateSchema(schema, stripSystemFields(record));
+                if (errors.length > 0) violations.push({ id, errors });
+            }
+            res.json({
+                valid: violations.length === 0,
+                checked: Object.keys(data).length,
+                violations
+            });
+        } catch (error) {
+            console.error('Failed to validate collection:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getKeys(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            const keys = Object.keys(data);
+            res.json({ keys });
+        } catch (error) {
+            console.error('Failed to get collection keys:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getEntries(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            const entries = Object.entries(data).map(([id, record]) => ({ id, ...record }));
+            res.json({ entries });
+        } catch (error) {
+            console.error('Failed to get collection entries:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async getSize(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadLiveCollection(req.projectId, collection);
+            const size = Object.keys(data).length;
+            res.json({ size });
+        } catch (error) {
+            console.error('Failed to get collection size:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async streamChanges(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const filter = this.parseFilter(req.query.filter);
+            // Surfaces malformed filters as a 400 while a JSON response is still possible
+            if (filter) matchFilter({}, filter);
+            const types = req.query.types ? req.query.types.split(',') : null;
+            if (types && !types.every(type => CHANGE_TYPES.includes(type))) {
+                const message = `types must be a list of ${CHANGE_TYPES.join(', ')}`;
+                throw Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+            }
+            const resumeToken = req.headers['last-event-id'] || req.query.resumeToken;
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const key = `${req.projectId}/${collection}`;
+            const send = entry => {
+                const { event } = entry;
+                if (event.type === 'reset') return writeSseEvent(res, 'reset', event, event.resumeToken);
+                try {
+                    if (!matchChange(entry, filter, types)) return;
+                } catch (error) {
+                    writeSseEvent(res, 'error', { error: error.message, code: error.code, status: error.status });
+                    return res.end();
+                }
+                writeSseEvent(res, 'change', event, event.resumeToken);
+            };
+            // Replay, subscribe and the ready event happen in one tick so no write can slip in between
+            if (resumeToken) {
+                const missed = this.changeFeed.since(key, resumeToken);
+                if (missed) missed.forEach(send);
+                else writeSseEvent(res, 'reset', { type: 'reset', resumeToken: this.changeFeed.currentToken(key) });
+            }
+            const unsubscribe = this.changeFeed.subscribe(key, send);
+            writeSseEvent(res, 'ready', { collection, resumeToken: this.changeFeed.currentToken(key) }, this.changeFeed.currentToken(key));
+
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), CHANGE_FEED_HEARTBEAT_MS);
+            const untrack = this.trackTokenConnection(req, () => {
+                const { code, status, message } = ERROR_CODES.TOKEN_CHANGED;
+                writeSseEvent(res, 'error', { error: message, code, status });
+                res.end();
+            });
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+                untrack();
+            });
+        } catch (error) {
+            console.error('Failed to stream changes:', error);
+            if (res.headersSent) return res.destroy();
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    setupRealtime(server) {
+        this.realtime = new WebSocketServer({ noServer: true, maxPayload: REALTIME_MAX_PAYLOAD });
+        server.on('upgrade', (req, socket, head) => this.handleRealtimeUpgrade(req, socket, head));
+        // Sockets that missed the previous ping are gone without a close frame
+        this.realtimeTimer = setInterval(() => {
+            for (const ws of this.realtime.clients) {
+                if (!ws.isAlive) {
+                    ws.terminate();
+                    continue;
+                }
+                ws.isAlive = false;
+                ws.ping();
+            }
+        }, CHANGE_FEED_HEARTBEAT_MS);
+        this.realtimeTimer.unref();
+    }
+
+    async handleRealtimeUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api/realtime') return socket.destroy();
+        try {
+            // Browsers cannot set headers on a WebSocket, so the token may also come as ?token=
+            const token = req.headers.authorization?.replace('Bearer ', '') || url.searchParams.get('token');
+            const auth = await this.resolveProjectToken(token, url.searchParams.get('projectId'), req.socket.remoteAddress);
+            if (!['read', 'write', 'full'].includes(auth.permissions)) {
+                throw Object.assign(new Error(ERROR_CODES.FORBIDDEN.message), ERROR_CODES.FORBIDDEN);
+            }
+            this.realtime.handleUpgrade(req, socket, head, ws => this.handleRealtimeConnection(ws, auth));
+        } catch (error) {
+            console.error('Realtime authentication error:', error);
+            const status = error.status || 500;
+            const body = JSON.stringify({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status
+            });
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+        }
+    }
+
+    // One socket carries any number of subscriptions, each named by the client and fed from the collection's change feed
+    handleRealtimeConnection(ws, auth) {
+        const subscriptions = new Map();
+        const send = message => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        };
+        const sendError = (subscription, error) => send({
+            type: 'error',
+            subscription,
+            error: error.message || ERROR_CODES.SERVER_ERROR.message,
+            code: error.code || ERROR_CODES.SERVER_ERROR.code,
+            status: error.status || 500
+        });
+        const unsubscribe = subscription => {
+            subscriptions.get(subscription)?.();
+            subscriptions.delete(subscription);
+        };
+
+        const subscribe = async ({ subscription, collection, filter = null, resumeToken }) => {
+            if (typeof subscription !== 'string' || subscription === '' || subscriptions.has(subscription)) {
+                throw Object.assign(new Error('subscription must be a unique non-empty string'), ERROR_CODES.INVALID_FIELD, { message: 'subscription must be a unique non-empty string' });
+            }
+            if (!this.isValidId(collection)) {
+                throw Object.assign(new Error('collection must be a valid collection name'), ERROR_CODES.INVALID_FIELD, { message: 'collection must be a valid collection name' });
+            }
+            this.requireCollectionAccess(auth, collection);
+            // Reserved right away so a repeated subscribe during the awaits below is rejected
+            subscriptions.set(subscription, () => { });
+            try {
+                await this.ensureCollection(auth.projectId, collection);
+                if (filter !== null) {
+                    if (!isPlainObject(filter)) throw invalidFilter('Filter must be a JSON object');
+                    matchFilter({}, filter);
+                }
+            } catch (error) {
+                subscriptions.delete(subscription);
+                throw error;
+            }
+            if (!subscriptions.has(subscription)) return;
+
+            const key = `${auth.projectId}/${collection}`;
+            const listener = entry => {
+                const { event } = entry;
+                if (event.type === 'reset') return send({ type: 'reset', subscription, resumeToken: event.resumeToken });
+                try {
+                    if (!matchChange(entry, filter)) return;
+                } catch (error) {
+                    unsubscribe(subscription);
+                    return sendError(subscription, error);
+                }
+                send({ type: 'change', subscription, event });
+            };
+            // Same ordering as the SSE stream: replay, subscribe and confirm within one tick
+            if (resumeToken) {
+                const missed = this.changeFeed.since(key, resumeToken);
+                if (missed) missed.forEach(listener);
+                else send({ type: 'reset', subscription, resumeToken: this.changeFeed.currentToken(key) });
+            }
+            subscriptions.set(subscription, this.changeFeed.subscribe(key, listener));
+            send({ type: 'subscribed', subscription, collection, resumeToken: this.changeFeed.currentToken(key) });
+        };
+
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', async data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return sendError(null, Object.assign(new Error('Message must be valid JSON'), ERROR_CODES.INVALID_FIELD, { message: 'Message must be valid JSON' }));
+            }
+            try {
+                if (message?.type === 'subscribe') {
+                    await subscribe(message);
+                } else if (message?.type === 'unsubscribe') {
+                    unsubscribe(message.subscription);
+                    send({ type: 'unsubscribed', subscription: message.subscription });
+                } else {
+                    throw Object.assign(new Error('type must be subscribe or unsubscribe'), ERROR_CODES.INVALID_FIELD, { message: 'type must be subscribe or unsubscribe' });
+                }
+            } catch (error) {
+                console.error('Realtime message error:', error);
+                sendError(message?.subscription ?? null, error);
+            }
+        });
+        const untrack = this.trackTokenConnection(auth, () => {
+            sendError(null, Object.assign(new Error(ERROR_CODES.TOKEN_CHANGED.message), ERROR_CODES.TOKEN_CHANGED));
+            ws.close(1008, 'Token changed');
+        });
+        ws.on('close', () => {
+            untrack();
+            for (const subscription of [...subscriptions.keys()]) unsubscribe(subscription);
+        });
+    }
+
+    async exportRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            const format = req.query.format || 'ndjson';
+            if (!EXPORT_FORMATS[format]) {
+                const message = `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+                throw Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+            }
+            await this.ensureCollection(req.projectId, collection);
+            const filter = this.parseFilter(req.query.filter);
+            const records = await this.scanRecords(req.projectId, collection, filter);
+            const fields = req.query.fields ? req.query.fields.split(',') : null;
+
+            res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+            res.set('Content-Disposition', `attachment; filename="${collection}.${EXPORT_FORMATS[format].extension}"`);
+            // Records are read and serialized a chunk at a time so neither the result nor the response is held in memory
+            // as a whole. Without `fields`, CSV columns take a first pass over the records that only collects field names.
+            const columns = format === 'csv' ? (fields || getCsvColumns(records())) : null;
+            if (format === 'csv') await writeToStream(res, formatCsvRow(columns) + '\n');
+            if (format === 'json') await writeToStream(res, '[');
+            let chunk = [];
+            let written = 0;
+            const writeChunk = async () => {
+                if (format === 'csv') {
+                    await writeToStream(res, chunk.map(record => formatCsvRow(columns.map(column => record[column]))).join('\n') + '\n');
+                } else if (format === 'json') {
+                    await writeToStream(res, (written > 0 ? ',' : '') + chunk.map(record => JSON.stringify(record)).join(','));
+                } else {
+                    await writeToStream(res, chunk.map(record => JSON.stringify(record)).join('\n') + '\n');
+                }
+                written += chunk.length;
+                chunk = [];
+            };
+            for (const record of records()) {
+                chunk.push(fields ? pickFields(record, fields) : record);
+                if (chunk.length >= EXPORT_CHUNK_SIZE) await writeChunk();
+            }
+            if (chunk.length > 0) await writeChunk();
+            res.end(format === 'json' ? ']' : undefined);
+        } catch (error) {
+            console.error('Failed to export collection:', error);
+            // Once streaming has started the status is sent; cutting the response short is the only signal left
+            if (res.headersSent) return res.destroy();
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async importRecords(req, res) {
+        const progress = req.query.progress === 'true';
+        try {
+            const { collection } = req.params;
+            const format = req.query.format || 'ndjson';
+            const mode = req.query.mode || 'upsert';
+            if (!EXPORT_FORMATS[format]) {
+                const message = `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+                throw Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+            }
+            if (!IMPORT_MODES.includes(mode)) {
+                const message = `mode must be one of ${IMPORT_MODES.join(', ')}`;
+                throw Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+            }
+            // Replace deletes every record missing from the import
+            if (mode === 'replace' && req.permissions !== 'full') {
+                throw Object.assign(new Error('Replace imports require full access'), ERROR_CODES.FORBIDDEN, { message: 'Replace imports require full access' });
+            }
+            await this.withCollectionLock(req.projectId, collection, () => this.ensureCollection(req.projectId, collection, true));
+
+            const report = { processed: 0, imported: 0, created: 0, updated: 0, deleted: 0, failed: 0, errors: [] };
+            const seen = mode === 'replace' ? new Set() : null;
+            if (progress) res.status(200).set('Content-Type', 'application/x-ndjson');
+
+            // Each batch is written under the collection lock on its own, so a long import never blocks other requests
+            let batch = [];
+            const flush = async () => {
+                await this.importBatch(req, collection, mode, batch, report, seen);
+                batch = [];
+                if (progress) {
+                    const { processed, imported, failed } = report;
+                    await writeToStream(res, JSON.stringify({ type: 'progress', processed, imported, failed }) + '\n');
+                }
+            };
+            req.setEncoding('utf8');
+            for await (const item of readImportRecords(req, format)) {
+                batch.push(item);
+                if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+            }
+            if (batch.length > 0) await flush();
+            if (seen) report.deleted = await this.deleteUnimportedRecords(req, collection, seen);
+
+            if (progress) {
+                res.end(JSON.stringify({ type: 'result', ...report }) + '\n');
+            } else {
+                res.json(report);
+            }
+        } catch (error) {
+            console.error('Failed to import records:', error);
+            const body = {
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            };
+            if (res.headersSent) return res.end(JSON.stringify({ type: 'error', ...body }) + '\n');
+            res.status(error.status || 500).json(body);
+        }
+    }
+
+    async importBatch(req, collection, mode, items, report, seen) {
+        await this.withCollectionLock(req.projectId, collection, async () => {
+            await this.ensureCollection(req.projectId, collection);
+            const batch = createBatchView(await this.loadCollection(req.projectId, collection));
+            const guard = await this.createWriteGuard(req.projectId, collection, req);
+            const history = await this.createHistoryLog(req.projectId, collection, req, 'import');
+            const changes = [];
+            const fail = (line, id, error) => {
+                report.failed++;
+                report.errors.push({ line, ...batchError(id, error) });
+            };
+
+            for (const { line, record: input, error } of items) {
+                report.processed++;
+                if (error) {
+                    fail(line, null, error);
+                    continue;
+                }
+                const { _rev, ...body } = input;
+                const id = body.id === undefined || body.id === null || body.id === '' ? uuidv4() : body.id;
+                // A failed line still counts as present, so replace never deletes the record it meant to write
+                seen?.add(id);
+                if (!this.isValidId(id)) {
+                    fail(line, id, Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT));
+                    continue;
+                }
+                const current = isRecordExpired(batch.get(id)) ? null : batch.get(id) || null;
+                if (current && mode === 'insert') {
+                    fail(line, id, Object.assign(new Error(`Record '${id}' already exists`), ERROR_CODES.RECORD_EXISTS, { message: `Record '${id}' already exists` }));
+                    continue;
+                }
+
+                const now = new Date().toISOString();
+                const record = current
+                    ? { ...body, id, _rev: nextRevision(current), createdAt: current.createdAt || now, updatedAt: now }
+                    : guard.applyTtl({ ...body, id, _rev: 1, createdAt: now, updatedAt: now });
+                const violation = guard.check(id, record);
+                if (violation) {
+                    fail(line, id, violation);
+                    continue;
+                }
+
+                // Later lines in the same batch must see this one
+                guard.accept(id, record);
+                if (current) history.add(id, current);
+                batch.put(id, record);
+                changes.push({ op: 'put', id, record });
+                report.imported++;
+                if (current) report.updated++;
+                else report.created++;
+            }
+
+            await this.saveCollection(req.projectId, collection, changes);
+            await history.save();
+        });
+    }
+
+    async deleteUnimportedRecords(req, collection, seen) {
+        return this.withCollectionLock(req.projectId, collection, async () => {
+            const data = await this.loadCollection(req.projectId, collection);
+            const hooks = await this.createHookRunner(req.projectId, collection, req);
+            // Records a beforeDelete hook rejects are kept
+            const ids = Object.keys(data).filter(id => !seen.has(id) && !hooks.beforeDelete(id, data[id]));
+            if (ids.length === 0) return 0;
+            const history = await this.createHistoryLog(req.projectId, collection, req, 'delete');
+            const trash = await this.createTrashBin(req.projectId, collection, req);
+            for (const id of ids) {
+                history.add(id, data[id]);
+                trash.add(data[id]);
+            }
+            // The trash is written first so a failed delete never loses the records
+            await trash.save();
+            await this.saveCollection(req.projectId, collection, ids.map(id => ({ op: 'delete', id, previous: data[id] })));
+            await history.save();
+            return ids.length;
+        });
+    }
+
+    async batchSet(req, res) {
+        try {
+            const { collection } = req.params;
+            const { records } = req.body;
+            if (!Array.isArray(records) || records.length === 0) {
+                throw Object.assign(new Error('Records must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const results = [];
+            const errors = [];
+
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection, true);
+                const batch = createBatchView(await this.loadCollection(req.projectId, collection));
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+
+                for (const record of records) {
+                    if (!record || typeof record !== 'object') {
+                        errors.push({
+                            id: record?.id || null,
+                            error: 'Invalid record format',
+                            code: ERROR_CODES.INVALID_REQUEST_BODY.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+
+                    const newRecord = {
+                        ...record,
+                        _rev: 1,
+                        createdAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    };
+
+                    if (!newRecord.id) {
+                        newRecord.id = uuidv4();
+                    }
+
+                    if (!this.isValidId(newRecord.id)) {
+                        errors.push({
+                            id: newRecord.id,
+                            error: 'Invalid ID format',
+                            code: ERROR_CODES.INVALID_ID_FORMAT.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+
+                    if (batch.get(newRecord.id) && !isRecordExpired(batch.get(newRecord.id))) {
+                        errors.push({
+                            id: newRecord.id,
+                            error: `Record '${newRecord.id}' already exists`,
+                            code: ERROR_CODES.RECORD_EXISTS.code,
+                            status: 409
+                        });
+                        continue;
+                    }
+
+                    guard.applyTtl(newRecord);
+                    const violation = guard.check(newRecord.id, newRecord);
+                    if (violation) {
+                        errors.push(batchError(newRecord.id, violation));
+                        continue;
+                    }
+
+                    // Later items in the same batch must see this one
+                    guard.accept(newRecord.id, newRecord);
+                    batch.put(newRecord.id, newRecord);
+                    results.push({
+                        id: newRecord.id,
+                        status: 'success',
+                        record: newRecord
+                    });
+                }
+
+                await this.saveCollection(req.projectId, collection, results.map(r => ({ op: 'put', id: r.id, record: r.record })));
+            });
+
+            res.status(201).json({
+                results,
+                errors,
+                total: records.length
+            });
+        } catch (error) {
+            console.error('Failed to batch set records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async updateMany(req, res) {
+        try {
+            const { collection } = req.params;
+            const { filter, update, dryRun = false } = req.body;
+            if (!isPlainObject(filter)) {
+                throw invalidFilter('Filter must be an object; use {} to match every record');
+            }
+            if (!isPlainObject(update) || Object.keys(update).length === 0) {
+                throw Object.assign(new Error('Update must be a non-empty object'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const ids = [];
+            const errors = [];
+            let matched = 0;
+
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const data = await this.loadCollection(req.projectId, collection);
+                const { records } = await this.queryRecords(req.projectId, collection, filter);
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const changes = [];
+                matched = records.length;
+
+                for (const current of records) {
+                    const { id } = current;
+                    let merged;
+                    try {
+                        merged = mergeUpdate(current, update);
+                    } catch (error) {
+                        // A malformed update document fails the same way for every record
+                        if (error.code === ERROR_CODES.INVALID_UPDATE.code) throw error;
+                        errors.push(batchError(id, error));
+                        continue;
+                    }
+                    const record = { ...merged, id, _rev: current._rev, updatedAt: current.updatedAt, createdAt: current.createdAt };
+                    if (valuesEqual(record, current)) continue;
+                    record._rev = nextRevision(current);
+                    record.updatedAt = new Date().toISOString();
+
+                    const violation = guard.check(id, record);
+                    if (violation) {
+                        errors.push(batchError(id, violation));
+                        continue;
+                    }
+                    guard.accept(id, record);
+                    ids.push(id);
+                    changes.push({ op: 'put', id, record });
+                }
+
+                if (!dryRun) {
+                    const history = await this.createHistoryLog(req.projectId, collection, req, 'update');
+                    changes.forEach(change => history.add(change.id, data[change.id]));
+                    await this.saveCollection(req.projectId, collection, changes);
+                    await history.save();
+                } else {
+                    // Nothing was written, so drop the keys the dry run reserved
+                    changes.forEach(change => guard.accept(change.id, data[change.id]));
+                }
+            });
+
+            res.json({
+                matched,
+                modified: ids.length,
+                ids,
+                errors,
+                dryRun: Boolean(dryRun)
+            });
+        } catch (error) {
+            console.error('Failed to update records by filter:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async deleteMany(req, res) {
+        try {
+            const { collection } = req.params;
+            const { filter, dryRun = false } = req.body;
+            if (!isPlainObject(filter)) {
+                throw invalidFilter('Filter must be an object; use {} to match every record');
+            }
+
+            const ids = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const data = await this.loadCollection(req.projectId, collection);
+                const { records } = await this.queryRecords(req.projectId, collection, filter);
+                const ids = records.map(record => record.id);
+                // A beforeDelete hook rejecting any matched record stops the whole delete
+                const hooks = await this.createHookRunner(req.projectId, collection, req);
+                for (const id of ids) {
+                    const rejection = hooks.beforeDelete(id, data[id]);
+                    if (rejection) throw rejection;
+                }
+                if (!dryRun) {
+                    const history = await this.createHistoryLog(req.projectId, collection, req, 'delete');
+                    const trash = await this.createTrashBin(req.projectId, collection, req);
+                    ids.forEach(id => {
+                        history.add(id, data[id]);
+                        trash.add(data[id]);
+                    });
+                    await trash.save();
+                    const changes = ids.map(id => ({ op: 'delete', id, previous: data[id] }));
+                    await this.saveCollection(req.projectId, collection, changes);
+                    await history.save();
+                }
+                return ids;
+            });
+
+            res.json({
+                matched: ids.length,
+                deleted: dryRun ? 0 : ids.length,
+                ids,
+                dryRun: Boolean(dryRun)
+            });
+        } catch (error) {
+            console.error('Failed to delete records by filter:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async getCollectionTrash(req, res) {
+        try {
+            const { collection } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const trash = await this.loadCollection(req.projectId, getTrashCollectionName(collection));
+            const records = Object.values(trash)
+                .filter(entry => !isExpired(entry))
+                .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+            res.json({ records, total: records.length });
+        } catch (error) {
+            console.error('Failed to get collection trash:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async restoreTrashedRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            const { ids } = req.body || {};
+            if (!Array.isArray(ids) || ids.length === 0) {
+                throw Object.assign(new Error('IDs must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const results = [];
+            const errors = [];
+
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const batch = createBatchView(await this.loadCollection(req.projectId, collection));
+                const trashName = getTrashCollectionName(collection);
+                const trash = await this.loadCollection(req.projectId, trashName);
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'restore');
+
+                for (const id of ids) {
+                    if (!this.isValidId(id)) {
+                        errors.push({
+                            id,
+                            error: 'Invalid ID format',
+                            code: ERROR_CODES.INVALID_ID_FORMAT.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+                    if (!trash[id] || isExpired(trash[id])) {
+                        errors.push({
+                            id,
+                            error: `Record '${id}' is not in the trash`,
+                            code: ERROR_CODES.RECORD_NOT_FOUND.code,
+                            status: 404
+                        });
+                        continue;
+                    }
+                    // An expired record that the sweep has not removed yet does not hold on to its id
+                    if (batch.get(id) && !isRecordExpired(batch.get(id))) {
+                        errors.push({
+                            id,
+                            error: `Record '${id}' already exists`,
+                            code: ERROR_CODES.RECORD_EXISTS.code,
+                            status: 409
+                        });
+                        continue;
+                    }
+
+                    const record = {
+                        ...trash[id].record,
+                        _rev: nextRevision(trash[id].record),
+                        updatedAt: new Date().toISOString()
+                    };
+                    const violation = guard.check(id, record);
+                    if (violation) {
+                        errors.push(batchError(id, violation));
+                        continue;
+                    }
+
+                    guard.accept(id, record);
+                    history.add(id, batch.get(id));
+                    batch.put(id, record);
+                    results.push({
+                        id,
+                        status: 'success',
+                        record
+                    });
+                }
+
+                // Records are written back before they leave the trash
+                await this.saveCollection(req.projectId, collection, results.map(r => ({ op: 'put', id: r.id, record: r.record })));
+                await this.saveCollection(req.projectId, trashName, results.map(r => ({ op: 'delete', id: r.id })));
+                await history.save();
+            });
+
+            res.json({
+                results,
+                errors,
+                total: ids.length
+            });
+        } catch (error) {
+            console.error('Failed to restore records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async purgeTrashedRecords(req, res) {
+        try {
+            const { collection } = req.params;
+            const { ids } = req.body || {};
+            if (ids !== undefined && !Array.isArray(ids)) {
+                throw Object.assign(new Error('IDs must be an array; omit it to empty the trash'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const purged = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const trashName = getTrashCollectionName(collection);
+                const trash = await this.loadCollection(req.projectId, trashName);
+                const purged = (ids || Object.keys(trash)).filter(id => Object.hasOwn(trash, id));
+                await this.saveCollection(req.projectId, trashName, purged.map(id => ({ op: 'delete', id })));
+                return purged;
+            });
+
+            res.json({ purged: purged.length, ids: purged });
+        } catch (error) {
+            console.error('Failed to purge trashed records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async batchGet(req, res) {
+        try {
+            const { collection } = req.params;
+            const { ids } = req.body;
+            if (!Array.isArray(ids) || ids.length === 0) {
+                throw Object.assign(new Error('IDs must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadCollection(req.projectId, collection);
+
+            const results = [];
+            const errors = [];
+
+            for (const id of ids) {
+                if (!this.isValidId(id)) {
+                    errors.push({
+                        id,
+                        error: 'Invalid ID format',
+                        code: ERROR_CODES.INVALID_ID_FORMAT.code,
+                        status: 400
+                    });
+                    continue;
+                }
+
+                if (!data[id] || isRecordExpired(data[id])) {
+                    errors.push({
+                        id,
+                        error: `Record '${id}' not found`,
+                        code: ERROR_CODES.RECORD_NOT_FOUND.code,
+                        status: 404
+                    });
+                    continue;
+                }
+
+                results.push({
+                    id,
+                    status: 'success',
+                    record: data[id]
+                });
+            }
+
+            res.json({
+                results,
+                errors,
+                total: ids.length
+            });
+        } catch (error) {
+            console.error('Failed to batch get records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async batchDelete(req, res) {
+        try {
+            const { collection } = req.params;
+            const { ids } = req.body;
+            if (!Array.isArray(ids) || ids.length === 0) {
+                throw Object.assign(new Error('IDs must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const results = [];
+            const errors = [];
+
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                let data = await this.loadCollection(req.projectId, collection);
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'delete');
+                const trash = await this.createTrashBin(req.projectId, collection, req);
+                const hooks = await this.createHookRunner(req.projectId, collection, req);
+                const deleted = [];
+
+                for (const id of ids) {
+                    if (!this.isValidId(id)) {
+                        errors.push({
+                            id,
+                            error: 'Invalid ID format',
+                            code: ERROR_CODES.INVALID_ID_FORMAT.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+
+                    if (!data[id]) {
+                        results.push({
+                            id,
+                            status: 'success',
+                            message: `Record '${id}' not found, nothing to delete`
+                        });
+                        continue;
+                    }
+
+                    const rejection = hooks.beforeDelete(id, data[id]);
+                    if (rejection) {
+                        errors.push(batchError(id, rejection));
+                        continue;
+                    }
+
+                    history.add(id, data[id]);
+                    trash.add(data[id]);
+                    deleted.push(id);
+                    results.push({
+                        id,
+                        status: 'success',
+                        message: `Record '${id}' deleted`
+                    });
+                }
+
+                await trash.save();
+                const changes = deleted.map(id => ({ op: 'delete', id, previous: data[id] }));
+                await this.saveCollection(req.projectId, collection, changes);
+                await history.save();
+            });
+
+            res.json({
+                results,
+                errors,
+                total: ids.length
+            });
+        } catch (error) {
+            console.error('Failed to batch delete records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async batchUpdate(req, res) {
+        try {
+            const { collection } = req.params;
+            const { updates } = req.body;
+            if (!Array.isArray(updates) || updates.length === 0) {
+                throw Object.assign(new Error('Updates must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+            }
+
+            const results = [];
+            const errors = [];
+
+            await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const batch = createBatchView(await this.loadCollection(req.projectId, collection));
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'update');
+
+                for (const update of updates) {
+                    const { id, data: updateData } = update;
+                    if (!this.isValidId(id)) {
+                        errors.push({
+                            id,
+                            error: 'Invalid ID format',
+                            code: ERROR_CODES.INVALID_ID_FORMAT.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+
+                    if (!batch.get(id) || isRecordExpired(batch.get(id))) {
+                        errors.push({
+                            id,
+                            error: `Record '${id}' not found`,
+                            code: ERROR_CODES.RECORD_NOT_FOUND.code,
+                            status: 404
+                        });
+                        continue;
+                    }
+
+                    if (!updateData || typeof updateData !== 'object') {
+                        errors.push({
+                            id,
+                            error: 'Invalid update data',
+                            code: ERROR_CODES.INVALID_REQUEST_BODY.code,
+                            status: 400
+                        });
+                        continue;
+                    }
+
+                    const { _rev: dataRevision, ...changes } = updateData;
+                    let merged;
+                    try {
+                        const expectedRevision = parseRevision(update._rev ?? dataRevision ?? null);
+                        const conflict = checkRevision(id, batch.get(id), expectedRevision);
+                        if (conflict) throw conflict;
+                        merged = mergeUpdate(batch.get(id), changes);
+                    } catch (error) {
+                        errors.push(batchError(id, error));
+                        continue;
+                    }
+
+                    const record = {
+                        ...merged,
+                        id,
+                        _rev: nextRevision(batch.get(id)),
+                        updatedAt: new Date().toISOString(),
+                        createdAt: batch.get(id).createdAt || new Date().toISOString()
+                    };
+
+                    const violation = guard.check(id, record);
+                    if (violation) {
+                        errors.push(batchError(id, violation));
+                        continue;
+                    }
+
+                    guard.accept(id, record);
+                    history.add(id, batch.get(id));
+                    batch.put(id, record);
+                    results.push({
+                        id,
+                        status: 'success',
+                        record
+                    });
+                }
+
+                await this.saveCollection(req.projectId, collection, results.map(r => ({ op: 'put', id: r.id, record: r.record })));
+                await history.save();
+            });
+
+            res.json({
+                results,
+                errors,
+                total: updates.length
+            });
+        } catch (error) {
+            console.error('Failed to batch update records:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async incrementRecordField(req, res) {
+        try {
+            const { collection, id } = req.params;
+            const { field, value = 1 } = req.body;
+            if (!field || typeof field !== 'string') {
+                throw Object.assign(new Error('Field name is required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            }
+            if (typeof value !== 'number') {
+                throw Object.assign(new Error('Increment value must be a number'), ERROR_CODES.INVALID_FIELD);
+            }
+            const expectedRevision = this.getExpectedRevision(req, req.body._rev);
+
+            const record = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                let data = await this.loadCollection(req.projectId, collection);
+
+                if (!data[id] || isRecordExpired(data[id])) {
+                    if (expectedRevision !== null) throw revisionConflict(id, null, expectedRevision);
+                    throw Object.assign(new Error(`Record '${id}' not found`), ERROR_CODES.RECORD_NOT_FOUND);
+                }
+                const conflict = checkRevision(id, data[id], expectedRevision);
+                if (conflict) throw conflict;
+
+                if (typeof getFieldValue(data[id], field) !== 'number') {
+                    throw Object.assign(new Error(`Field '${field}' is not a number`), ERROR_CODES.INVALID_FIELD);
+                }
+
+                const record = {
+                    ...applyUpdate(data[id], { $inc: { [field]: value } }),
+                    _rev: nextRevision(data[id]),
+                    updatedAt: new Date().toISOString()
+                };
+
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const violation = guard.check(id, record);
+                if (violation) throw violation;
+
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'increment');
+                history.add(id, data[id]);
+                await this.saveCollection(req.projectId, collection, [{ op: 'put', id, record }]);
+                await history.save();
+                return record;
+            });
+
+            res.set('ETag', formatRevision(record._rev));
+            res.json({
+                results: [{
+                    id,
+                    status: 'success',
+                    record
+                }],
+                errors: [],
+                total: 1
+            });
+        } catch (error) {
+            console.error('Failed to increment field:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async decrementRecordField(req, res) {
+        try {
+            const { collection, id } = req.params;
+            const { field, value = 1 } = req.body;
+            if (!field || typeof field !== 'string') {
+                throw Object.assign(new Error('Field name is required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
+            }
+            if (typeof value !== 'number') {
+                throw Object.assign(new Error('Decrement value must be a number'), ERROR_CODES.INVALID_FIELD);
+            }
+            const expectedRevision = this.getExpectedRevision(req, req.body._rev);
+
+            const record = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                let data = await this.loadCollection(req.projectId, collection);
+
+                if (!data[id] || isRecordExpired(data[id])) {
+                    if (expectedRevision !== null) throw revisionConflict(id, null, expectedRevision);
+                    throw Object.assign(new Error(`Record '${id}' not found`), ERROR_CODES.RECORD_NOT_FOUND);
+                }
+                const conflict = checkRevision(id, data[id], expectedRevision);
+                if (conflict) throw conflict;
+
+                if (typeof getFieldValue(data[id], field) !== 'number') {
+                    throw Object.assign(new Error(`Field '${field}' is not a number`), ERROR_CODES.INVALID_FIELD);
+                }
+
+                const record = {
+                    ...applyUpdate(data[id], { $inc: { [field]: -value } }),
+                    _rev: nextRevision(data[id]),
+                    updatedAt: new Date().toISOString()
+                };
+
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const violation = guard.check(id, record);
+                if (violation) throw violation;
+
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'decrement');
+                history.add(id, data[id]);
+                await this.saveCollection(req.projectId, collection, [{ op: 'put', id, record }]);
+                await history.save();
+                return record;
+            });
+
+            res.set('ETag', formatRevision(record._rev));
+            res.json({
+                results: [{
+                    id,
+                    status: 'success',
+                    record
+                }],
+                errors: [],
+                total: 1
+            });
+        } catch (error) {
+            console.error('Failed to decrement field:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async getRecordHistory(req, res) {
+        try {
+            const { collection, id } = req.params;
+            await this.ensureCollection(req.projectId, collection);
+            const data = await this.loadCollection(req.projectId, collection);
+            const versions = await this.getRecordVersions(req.projectId, collection, id);
+            if (!data[id] && versions.length === 0) {
+                throw Object.assign(new Error(`No Record found, ${collection} with ID ${id}`), ERROR_CODES.RECORD_NOT_FOUND);
+            }
+            res.json({
+                id,
+                current: data[id] || null,
+                versions: [...versions].reverse(),
+                total: versions.length
+            });
+        } catch (error) {
+            console.error('Failed to get record history:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500
+            });
+        }
+    }
+
+    async revertRecord(req, res) {
+        try {
+            const { collection, id } = req.params;
+            const { version } = req.body || {};
+            if (!Number.isInteger(version)) {
+                throw Object.assign(new Error('version must be the _rev of a version from the record history'), ERROR_CODES.INVALID_REQUEST_BODY, { message: 'version must be the _rev of a version from the record history' });
+            }
+            const expectedRevision = this.getExpectedRevision(req, req.body._rev);
+
+            const record = await this.withCollectionLock(req.projectId, collection, async () => {
+                await this.ensureCollection(req.projectId, collection);
+                const data = await this.loadCollection(req.projectId, collection);
+                const current = isRecordExpired(data[id]) ? null : data[id] || null;
+                if (!current && expectedRevision !== null) throw revisionConflict(id, null, expectedRevision);
+                const conflict = current && checkRevision(id, current, expectedRevision);
+                if (conflict) throw conflict;
+
+                // A record deleted and created again restarts at _rev 1, so prefer the latest match
+                const versions = await this.getRecordVersions(req.projectId, collection, id);
+                const target = versions.findLast(entry => entry.rev === version);
+                if (!target) {
+                    const message = `Version ${version} of record '${id}' is not in the history`;
+                    throw Object.assign(new Error(message), ERROR_CODES.RECORD_NOT_FOUND, { message });
+                }
+
+                const latestRevision = Math.max(current?._rev || 0, ...versions.map(entry => entry.rev));
+                const record = {
+                    ...target.record,
+                    id,
+                    _rev: latestRevision + 1,
+                    updatedAt: new Date().toISOString(),
+                    createdAt: current?.createdAt || target.record.createdAt || new Date().toISOString()
+                };
+
+                const guard = await this.createWriteGuard(req.projectId, collection, req);
+                const violation = guard.check(id, record);
+                if (violation) throw violation;
+
+                const history = await this.createHistoryLog(req.projectId, collection, req, 'revert');
+                history.add(id, current);
+                await this.saveCollection(req.projectId, collection, [{ op: 'put', id, record }]);
+                await history.save();
+                return record;
+            });
+
+            res.set('ETag', formatRevision(record._rev));
+            res.json({
+                results: [{
+                    id,
+                    status: 'success',
+                    record
+                }],
+                errors: [],
+                total: 1
+            });
+        } catch (error) {
+            console.error('Failed to revert record:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    async runTransaction(req, res) {
+        try {
+            const { operations } = req.body || {};
+            if (!Array.isArray(operations) || operations.length === 0) {
+                throw invalidTransaction('Operations must be a non-empty array');
+            }
+            const parsed = operations.map((operation, index) => {
+                const result = parseTransactionOperation(operation, index);
+                if (!this.isValidId(result.collection)) {
+                    throw invalidTransaction(`Operation ${index} has an invalid collection name`);
+                }
+                return result;
+            });
+            // Deleting a record needs full access, same as DELETE /api/collections/:collection/:id
+            if (req.permissions !== 'full' && parsed.some(operation => operation.op === 'delete')) {
+                throw Object.assign(new Error('Delete operations require full access'), ERROR_CODES.FORBIDDEN, { message: 'Delete operations require full access' });
+            }
+            parsed.forEach(operation => this.requireCollectionAccess(req, operation.collection, operation.op === 'delete' ? 'full' : 'write'));
+
+            const collections = [...new Set(parsed.map(operation => operation.collection))];
+            const results = await this.withCollectionLocks(req.projectId, collections, () => this.executeTransaction(req, parsed));
+
+            res.json({
+                results,
+                errors: [],
+                total: results.length
+            });
+        } catch (error) {
+            console.error('Failed to run transaction:', error);
+            res.status(error.status || 500).json({
+                error: error.message || ERROR_CODES.SERVER_ERROR.message,
+                code: error.code || ERROR_CODES.SERVER_ERROR.code,
+                status: error.status || 500,
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+
+    // Applies the operations to the resident collections one by one with an undo log, then persists
+    // them; any failure rolls every collection back to where it was before the transaction
+    async executeTransaction(req, operations) {
+        const { projectId } = req;
+        const names = [...new Set(operations.map(operation => operation.collection))];
+        const creating = new Set(operations.filter(operation => operation.op === 'create').map(operation => operation.collection));
+        for (const name of names.filter(name => !creating.has(name))) {
+            await this.ensureCollection(projectId, name);
+        }
+        const created = [];
+        for (const name of names.filter(name => creating.has(name))) {
+            if (!(await this.storage.exists(projectId, name))) created.push(name);
+            await this.ensureCollection(projectId, name, true);
+        }
+
+        const states = new Map();
+        for (const name of names) {
+            const guard = await this.createWriteGuard(projectId, name, req);
+            const history = await this.createHistoryLog(projectId, name, req);
+            const trash = await this.createTrashBin(projectId, name, req);
+            const entry = await this.loadCollectionEntry(projectId, name);
+            states.set(name, { entry, guard, history, trash, changes: [], undo: [] });
+        }
+        const apply = (entry, changes) => {
+            applyChanges(entry.data, changes);
+            if (entry.indexes) updateIndexes([...entry.indexes.values(), ...entry.constraints], changes);
+        };
+        const dropCreated = async () => {
+            if (created.length === 0) return;
+            await this.updateManageDB(data => {
+                const project = data.projects.find(p => p.id === projectId);
+                if (project) project.collections = project.collections.filter(c => !created.includes(c.name));
+            });
+            const cacheCollections = this.collectionCache.get(projectId) || new Set();
+            for (const name of created) {
+                cacheCollections.delete(name);
+                this.dropCollectionFromStore(projectId, name);
+                await this.storage.drop(projectId, name);
+            }
+        };
+
+        // Operations see the changes of the ones before them; nothing is awaited until the undo log has
+        // reverted the resident copies again, so no other request sees uncommitted changes
+        const results = [];
+        try {
+            operations.forEach((operation, index) => {
+                const state = states.get(operation.collection);
+                let result;
+                try {
+                    result = this.prepareTransactionChange(state, operation);
+                } catch (error) {
+                    throw transactionError(index, operation, error);
+                }
+                if (result.change) {
+                    const previous = state.entry.data[result.change.id];
+                    state.history.add(result.change.id, previous, operation.op);
+                    if (result.change.op === 'delete') state.trash.add(previous);
+                    state.undo.unshift(previous ? { op: 'put', id: result.change.id, record: previous } : { op: 'delete', id: result.change.id, previous: result.change.record });
+                    state.changes.push(result.change);
+                    apply(state.entry, [result.change]);
+                }
+                results.push({
+                    index,
+                    op: operation.op,
+                    collection: operation.collection,
+                    id: result.id,
+                    status: 'success',
+                    record: result.record
+                });
+            });
+        } catch (error) {
+            for (const state of states.values()) apply(state.entry, state.undo);
+            await dropCreated();
+            throw error;
+        }
+        for (const state of states.values()) apply(state.entry, state.undo);
+
+        const changed = [...states.values()].filter(state => state.changes.length > 0);
+        try {
+            // Soft-deleted records reach the trash before they leave their collection
+            for (const state of states.values()) await state.trash.save();
+            if (changed.length > 0) await this.persistTransaction(projectId, changed, { afterHooks: !req.fromHook });
+        } catch (error) {
+            await dropCreated();
+            throw error;
+        }
+        for (const state of changed) await state.history.save();
+        return results;
+    }
+
+    prepareTransactionChange(state, operation) {
+        const { op, data, expectedRevision, match } = operation;
+        const now = new Date().toISOString();
+        const id = op === 'create' ? (data.id || uuidv4()) : operation.id;
+        if (!this.isValidId(id)) {
+            throw Object.assign(new Error('Invalid ID format'), ERROR_CODES.INVALID_ID_FORMAT);
+        }
+        // Expired records that have not been swept yet count as absent
+        const current = isRecordExpired(state.entry.data[id]) ? null : state.entry.data[id] || null;
+
+        if (!current && expectedRevision !== null) throw revisionConflict(id, null, expectedRevision);
+        const conflict = current && checkRevision(id, current, expectedRevision);
+        if (conflict) throw conflict;
+        if (match && !(current && matchFilter(current, match))) throw preconditionFailed(id, match);
+
+        let record;
+        if (op === 'create') {
+            if (current) {
+                throw Object.assign(new Error(`Record '${id}' already exists`), ERROR_CODES.RECORD_EXISTS, { message: `Record '${id}' already exists` });
+            }
+            record = state.guard.applyTtl({ ...data, id, _rev: 1, createdAt: now, updatedAt: now });
+        } else if (!current) {
+            if (op === 'delete') return { id, record: null, change: null };
+            throw Object.assign(new Error(`Record '${id}' not found`), ERROR_CODES.RECORD_NOT_FOUND, { message: `Record '${id}' not found` });
+        } else if (op === 'delete') {
+            const rejection = state.guard.checkDelete(id, current);
+            if (rejection) throw rejection;
+            return { id, record: null, change: { op: 'delete', id, previous: current } };
+        } else if (op === 'update') {
+            record = { ...mergeUpdate(current, data), id, _rev: nextRevision(current), updatedAt: now, createdAt: current.createdAt || now };
+        } else {
+            if (typeof getFieldValue(current, operation.field) !== 'number') {
+                throw invalidUpdateField(`Field '${operation.field}' is not a number`);
+            }
+            record = { ...applyUpdate(current, { $inc: { [operation.field]: operation.value } }), _rev: nextRevision(current), updatedAt: now };
+        }
+
+        const violation = state.guard.check(id, record);
+        if (violation) throw violation;
+        return { id, record, change: { op: 'put', id, record } };
+    }
+}
+
+// Utility functions for durable storage
+async function syncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fs.open(dirPath, 'r');
+        await handle.sync();
+    } catch (error) {
+        // Directory fsync is not supported on every platform (e.g. Windows)
+        if (!['EISDIR', 'EPERM', 'EINVAL', 'EBADF'].includes(error.code)) {
+            throw error;
+        }
+    } finally {
+        await handle?.close();
+    }
+}
+
+async function writeFileAtomic(filePath, content) {
+    // Write to a temp file, fsync it, then rename over the target so a crash never leaves a truncated file
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => { });
+        throw error;
+    }
+    await syncDirectory(path.dirname(filePath));
+}
+
+async function appendDurably(filePath, content, description) {
+    try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const handle = await fs.open(filePath, 'a');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    } catch (error) {
+        console.error(`Error appending to ${description} ${filePath}:`, error);
+        throw Object.assign(new Error(`Failed to append to ${description} ${filePath}`), ERROR_CODES.FILE_SYSTEM_ERROR);
+    }
+}
+
+// A batch's records reach the resident collection only once they are saved; the items after them read them through this view
+function createBatchView(data) {
+    const written = new Map();
+    return {
+        get: id => written.get(id) || data[id],
+        put: (id, record) => written.set(id, record)
+    };
+}
+
+function applyChanges(data, changes) {
+    for (const change of changes) {
+        if (change.op === 'put' && change.id && change.record) {
+            data[change.id] = change.record;
+        } else if (change.op === 'delete' && change.id) {
+            delete data[change.id];
+        } else if (change.op === 'clear') {
+            for (const id of Object.keys(data)) delete data[id];
+        }
+    }
+    return data;
+}
+
+// Utility functions for filtering records
+function getFieldValues(value, segments) {
+    if (segments.length === 0) return [value];
+    if (value === null || typeof value !== 'object') return [undefined];
+    const [segment, ...rest] = segments;
+    if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+        // Descend into every element, e.g. 'items.sku' over an array of line items
+        const values = value.flatMap(element => getFieldValues(element, segments));
+        return values.length > 0 ? values : [undefined];
+    }
+    return getFieldValues(getOwnField(value, segment), rest);
+}
+
+function isOperatorObject(condition) {
+    if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) return false;
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(k => k.startsWith('$'));
+}
+
+function valuesEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every(k => valuesEqual(a[k], b[k]));
+}
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = getValueType(value);
+    return types.some(t => {
+        if (t === 'int') return Number.isInteger(value);
+        if (t === 'bool') return actual === 'boolean';
+        return actual === t;
+    });
+}
+
+function invalidFilter(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_FILTER, { message });
+}
+
+function compileRegex(pattern, options = '') {
+    try {
+        return new RegExp(pattern, options);
+    } catch (error) {
+        throw invalidFilter(`Invalid regular expression '${pattern}'`);
+    }
+}
+
+function matchFilter(record, filter) {
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+        throw invalidFilter('Filter must be an object');
+    }
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            if (!Array.isArray(condition)) {
+                throw invalidFilter(`${key} requires an array of filters`);
+            }
+            if (key === '$and') return condition.every(sub => matchFilter(record, sub));
+            if (key === '$or') return condition.some(sub => matchFilter(record, sub));
+            return !condition.some(sub => matchFilter(record, sub));
+        }
+        if (key.startsWith('$')) {
+            throw invalidFilter(`Unknown top-level operator '${key}'`);
+        }
+        return matchCondition(getFieldValues(record, key.split('.')), condition);
+    });
+}
+
+function matchCondition(values, condition) {
+    if (isOperatorObject(condition)) {
+        // Every operator in the object must hold, e.g. { $gte: 18, $lt: 65 }
+        return Object.entries(condition).every(([operator, operand]) => matchOperator(values, operator, operand, condition));
+    }
+    return values.some(value => matchesValue(value, v => valuesEqual(v, condition)));
+}
+
+// Scalar conditions match an array when the array itself or any of its elements matches
+function matchesValue(value, predicate) {
+    return predicate(value) || (Array.isArray(value) && value.some(predicate));
+}
+
+function matchOperator(values, operator, operand, condition) {
+    const some = predicate => values.some(value => matchesValue(value, predicate));
+    switch (operator) {
+        case '$eq':
+            return some(v => valuesEqual(v, operand));
+        case '$ne':
+            return !some(v => valuesEqual(v, operand));
+        case '$gt':
+            return some(v => v !== undefined && v !== null && v > operand);
+        case '$gte':
+            return some(v => v !== undefined && v !== null && v >= operand);
+        case '$lt':
+            return some(v => v !== undefined && v !== null && v < operand);
+        case '$lte':
+            return some(v => v !== undefined && v !== null && v <= operand);
+        case '$in':
+            if (!Array.isArray(operand)) throw invalidFilter('$in requires an array');
+            return some(v => operand.some(candidate => valuesEqual(v, candidate)));
+        case '$nin':
+            if (!Array.isArray(operand)) throw invalidFilter('$nin requires an array');
+            return !some(v => operand.some(candidate => valuesEqual(v, candidate)));
+        case '$exists':
+            return values.some(v => v !== undefined) === Boolean(operand);
+        case '$type':
+            return some(v => matchesType(v, operand));
+        case '$regex': {
+            const regex = compileRegex(operand, condition.$options);
+            return some(v => typeof v === 'string' && regex.test(v));
+        }
+        case '$options':
+            if (condition.$regex === undefined) throw invalidFilter('$options requires $regex');
+            return true;
+        case '$all':
+            if (!Array.isArray(operand)) throw invalidFilter('$all requires an array');
+            return operand.length > 0 && operand.every(candidate => isOperatorObject(candidate)
+                ? matchCondition(values, candidate)
+                : some(v => valuesEqual(v, candidate)));
+        case '$size':
+            if (!Number.isInteger(operand) || operand < 0) throw invalidFilter('$size requires a non-negative integer');
+            return values.some(v => Array.isArray(v) && v.length === operand);
+        case '$elemMatch':
+            if (typeof operand !== 'object' || operand === null || Array.isArray(operand)) {
+                throw invalidFilter('$elemMatch requires an object');
+            }
+            return values.some(v => Array.isArray(v) && v.some(element => isOperatorObject(operand)
+                ? matchCondition([element], operand)
+                : typeof element === 'object' && element !== null && !Array.isArray(element) && matchFilter(element, operand)));
+        case '$not':
+            if (typeof operand === 'string') {
+                const regex = compileRegex(operand);
+                return !some(v => typeof v === 'string' && regex.test(v));
+            }
+            if (!isOperatorObject(operand)) throw invalidFilter('$not requires an operator object or a regex');
+            return !matchCondition(values, operand);
+        default:
+            throw invalidFilter(`Unknown operator '${operator}'`);
+    }
+}
+
+// Utility functions for secondary indexes
+function isIndexableValue(value) {
+    return value === null || typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && !Number.isNaN(value));
+}
+
+function updateIndexes(indexes, changes) {
+    for (const index of indexes) {
+        for (const change of changes) {
+            if (change.op === 'put' && change.id && change.record) {
+                index.remove(change.id);
+                index.add(change.id, change.record);
+            } else if (change.op === 'delete' && change.id) {
+                index.remove(change.id);
+            } else if (change.op === 'clear') {
+                index.clear();
+            }
+        }
+    }
+}
+
+const RANGE_TESTS = {
+    $gt: (value, operand) => value > operand,
+    $gte: (value, operand) => value >= operand,
+    $lt: (value, operand) => value < operand,
+    $lte: (value, operand) => value <= operand
+};
+
+// Candidate ids for one field condition, or null when the index can't narrow it down
+function scanIndex(index, condition) {
+    if (!isOperatorObject(condition)) {
+        return isIndexableValue(condition) ? index.lookup([condition]) : null;
+    }
+    let candidates = null;
+    const narrow = ids => {
+        candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+    };
+    for (const [operator, operand] of Object.entries(condition)) {
+        if (operator === '$eq' && isIndexableValue(operand)) {
+            narrow(index.lookup([operand]));
+        } else if (operator === '$in' && Array.isArray(operand) && operand.every(isIndexableValue)) {
+            narrow(index.lookup(operand));
+        } else if (RANGE_TESTS[operator] && (typeof operand === 'number' || typeof operand === 'string')) {
+            narrow(index.range(key => key !== null && RANGE_TESTS[operator](key, operand)));
+        }
+    }
+    return candidates;
+}
+
+// Picks the most selective indexed condition among the filter's top-level fields and $and clauses
+function planIndexScan(indexes, filter) {
+    if (indexes.size === 0) return null;
+    let best = null;
+    const visit = clauses => {
+        for (const [key, condition] of Object.entries(clauses)) {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(clause => typeof clause === 'object' && clause !== null && visit(clause));
+                continue;
+            }
+            const index = indexes.get(key);
+            const ids = index ? scanIndex(index, condition) : null;
+            if (ids && (!best || ids.size < best.ids.size)) best = { field: key, ids };
+        }
+    };
+    visit(filter);
+    return best;
+}
+
+function findUniqueConflict(constraints, id, record, isLive = () => true) {
+    for (const constraint of constraints) {
+        const conflictingId = constraint.conflict(id, record);
+        if (conflictingId && isLive(conflictingId)) {
+            const fields = constraint.fields.join(', ');
+            const message = `Record '${conflictingId}' already has the same value for unique field${constraint.fields.length > 1 ? 's' : ''} '${fields}'`;
+            return Object.assign(new Error(message), ERROR_CODES.UNIQUE_VIOLATION, {
+                message,
+                details: { fields: constraint.fields, conflictingId }
+            });
+        }
+    }
+    return null;
+}
+
+function batchError(id, error) {
+    return {
+        id,
+        error: error.message,
+        code: error.code,
+        status: error.status,
+        ...(error.details && { details: error.details })
+    };
+}
+
+// Utility functions for schema validation
+const SYSTEM_FIELDS = ['id', '_rev', 'createdAt', 'updatedAt', 'expiresAt'];
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const SCHEMA_KEYWORDS = new Set([
+    'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern',
+    'minItems', 'maxItems', 'uniqueItems',
+    '$schema', '$id', 'title', 'description', 'default', 'examples'
+]);
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Schemas describe the user's data, so the server-managed fields are left out
+function stripSystemFields(record) {
+    const result = { ...record };
+    SYSTEM_FIELDS.forEach(field => delete result[field]);
+    return result;
+}
+
+function checkSchemaDefinition(schema, path = 'schema') {
+    if (!isPlainObject(schema)) throw invalidSettings(`${path} must be an object`);
+    for (const keyword of Object.keys(schema)) {
+        if (!SCHEMA_KEYWORDS.has(keyword)) throw invalidSettings(`${path} uses unsupported keyword '${keyword}'`);
+    }
+    const types = schema.type === undefined ? [] : Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.every(type => SCHEMA_TYPES.includes(type))) {
+        throw invalidSettings(`${path}.type must be one of ${SCHEMA_TYPES.join(', ')}`);
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) throw invalidSettings(`${path}.enum must be an array`);
+    if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(key => typeof key === 'string'))) {
+        throw invalidSettings(`${path}.required must be an array of property names`);
+    }
+    for (const keyword of ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'minItems', 'maxItems']) {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') throw invalidSettings(`${path}.${keyword} must be a number`);
+    }
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (error) {
+            throw invalidSettings(`${path}.pattern is not a valid regular expression`);
+        }
+    }
+    if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) throw invalidSettings(`${path}.properties must be an object`);
+        for (const [key, child] of Object.entries(schema.properties)) checkSchemaDefinition(child, `${path}.properties.${key}`);
+    }
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+        checkSchemaDefinition(schema.additionalProperties, `${path}.additionalProperties`);
+    }
+    if (schema.items !== undefined) checkSchemaDefinition(schema.items, `${path}.items`);
+}
+
+function matchesSchemaType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return getValueType(value) === type;
+}
+
+function validateSchema(schema, value, path = '', errors = []) {
+    const at = path || '(root)';
+    const fail = (keyword, message) => errors.push({ path: at, keyword, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            fail('type', `must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(candidate => valuesEqual(value, candidate))) {
+        fail('enum', `must be one of ${schema.enum.map(candidate => JSON.stringify(candidate)).join(', ')}`);
+    }
+    if (schema.const !== undefined && !valuesEqual(value, schema.const)) {
+        fail('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+        if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => valuesEqual(item, other)) !== i)) {
+            fail('uniqueItems', 'must not contain duplicate items');
+        }
+        if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors));
+    }
+
+    if (isPlainObject(value)) {
+        const childPath = key => (path ? `${path}.${key}` : key);
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: childPath(key), keyword: 'required', message: 'is required' });
+        }
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                validateSchema(properties[key], child, childPath(key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(key), keyword: 'additionalProperties', message: 'is not allowed' });
+            } else if (isPlainObject(schema.additionalProperties)) {
+                validateSchema(schema.additionalProperties, child, childPath(key), errors);
+            }
+        }
+    }
+    return errors;
+}
+
+function findSchemaViolation(schema, record) {
+    const errors = validateSchema(schema, stripSystemFields(record));
+    if (errors.length === 0) return null;
+    const [first] = errors;
+    const message = `Record does not match the collection schema: ${first.path} ${first.message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`;
+    return Object.assign(new Error(message), ERROR_CODES.VALIDATION_FAILED, { message, details: { errors } });
+}
+
+// Segments that would reach an object's prototype instead of a field of the record
+const UNSAFE_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+function isFieldPath(field) {
+    return typeof field === 'string' && /^[^$.][^$]*$/.test(field)
+        && field.split('.').every(segment => segment !== '' && !UNSAFE_PATH_SEGMENTS.includes(segment));
+}
+
+// Inherited properties such as 'toString' are not fields of a record
+function getOwnField(target, key) {
+    return Object.hasOwn(target, key) ? target[key] : undefined;
+}
+
+// Utility functions for collection hooks
+const HOOK_NAMES = ['beforeInsert', 'beforeUpdate', 'beforeDelete', 'afterInsert', 'afterUpdate', 'afterDelete'];
+const AFTER_HOOKS = { insert: 'afterInsert', update: 'afterUpdate', delete: 'afterDelete' };
+// A hook may change any field except the ones the server maintains
+const HOOK_PROTECTED_FIELDS = ['id', '_rev', 'createdAt', 'updatedAt'];
+
+// Hook source becomes the body of `hook`. Only strings cross between the server and the context:
+// events go in and results come out as JSON, so hook code never holds a reference to a server object.
+const HOOK_RUNTIME_HEAD = `'use strict';
+const reject = (message, options = {}) => {
+    throw { rejected: true, message: String(message), code: options.code, status: options.status, details: options.details };
+};
+const hook = function (event, db) {
+`;
+const HOOK_RUNTIME_TAIL = `
+};
+// Only after-hooks may write; a before-hook calling db fails instead of losing the write
+const writable = globalThis.writable === true;
+delete globalThis.writable;
+globalThis.run = input => {
+    const event = JSON.parse(input);
+    const writes = [];
+    const write = change => {
+        if (!writable) throw new Error('db writes are only available in after-hooks');
+        writes.push(change);
+    };
+    const db = Object.freeze({
+        create: (collection, data) => write({ op: 'create', collection, data }),
+        update: (collection, id, data) => write({ op: 'update', collection, id, data }),
+        delete: (collection, id) => write({ op: 'delete', collection, id }),
+        increment: (collection, id, field, value = 1) => write({ op: 'increment', collection, id, field, value })
+    });
+    try {
+        const result = hook(event, db);
+        if (result && typeof result.then === 'function') throw new Error('hooks must be synchronous');
+        return JSON.stringify({ record: result === undefined ? event.record : result, writes });
+    } catch (error) {
+        if (error && error.rejected === true) return JSON.stringify({ rejection: error });
+        return JSON.stringify({ error: String(error && error.message || error) });
+    }
+};
+`;
+const HOOK_INVOKE = new vm.Script('run(input)');
+
+function compileHook(collectionName, name, source) {
+    const script = new vm.Script(HOOK_RUNTIME_HEAD + source + HOOK_RUNTIME_TAIL, {
+        filename: `${collectionName}.${name}.js`,
+        lineOffset: -HOOK_RUNTIME_HEAD.split('\n').length + 1
+    });
+    // A null-prototype global keeps the context's own Object and Function; eval and new Function are disabled.
+    // Promise jobs a hook queues run before runInContext returns, so they are covered by its timeout.
+    // Node 20 aborts when that timeout cuts off a promise job while async hooks track promises, so the server uses no AsyncLocalStorage.
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+    context.writable = name.startsWith('after');
+    script.runInContext(context, { timeout: HOOK_TIMEOUT_MS });
+    return { context };
+}
+
+function createHookBudget() {
+    return { spent: 0, failure: null };
+}
+
+// After the first timeout the budget stays exhausted, so a batch fails its remaining records without running them
+function runHook(compiled, event, budget) {
+    if (budget.failure) return { error: budget.failure };
+    const timeout = Math.floor(Math.min(HOOK_TIMEOUT_MS, HOOK_BUDGET_MS - budget.spent));
+    if (timeout < 1) {
+        budget.failure = `exceeded the ${HOOK_BUDGET_MS}ms hook time budget of the request`;
+        return { error: budget.failure };
+    }
+    compiled.context.input = JSON.stringify(event);
+    const started = performance.now();
+    try {
+        const output = JSON.parse(HOOK_INVOKE.runInContext(compiled.context, { timeout }));
+        return isPlainObject(output) ? output : { error: 'the hook runtime was overwritten' };
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') return { error: error.message };
+        budget.failure = timeout < HOOK_TIMEOUT_MS
+            ? `exceeded the ${HOOK_BUDGET_MS}ms hook time budget of the request`
+            : `exceeded the ${HOOK_TIMEOUT_MS}ms time limit`;
+        return { error: budget.failure };
+    } finally {
+        budget.spent += performance.now() - started;
+        delete compiled.context.input;
+    }
+}
+
+function hookError(collectionName, name, output) {
+    if (output.rejection) {
+        const { message, code, status, details } = output.rejection;
+        return Object.assign(new Error(message), ERROR_CODES.HOOK_REJECTED, {
+            message,
+            ...(typeof code === 'string' && code && { code }),
+            ...(Number.isInteger(status) && status >= 400 && status < 500 && { status }),
+            ...(details !== undefined && { details })
+        });
+    }
+    const message = `Hook '${name}' of '${collectionName}' failed: ${output.error}`;
+    return Object.assign(new Error(message), ERROR_CODES.HOOK_FAILED, { message });
+}
+
+function applyHookRecord(record, result) {
+    for (const key of Object.keys(record)) {
+        if (!HOOK_PROTECTED_FIELDS.includes(key)) delete record[key];
+    }
+    for (const [key, value] of Object.entries(result)) {
+        if (!HOOK_PROTECTED_FIELDS.includes(key)) record[key] = value;
+    }
+}
+
+const COLLECTION_SETTINGS = {
+    indexes(value) {
+        if (!Array.isArray(value) || !value.every(isFieldPath)) {
+            throw invalidSettings('indexes must be an array of field paths such as "email" or "address.city"');
+        }
+        return [...new Set(value)];
+    },
+
+    unique(value) {
+        // Each constraint is a field path or an array of paths for a compound key
+        const constraints = Array.isArray(value) ? value.map(fields => (Array.isArray(fields) ? fields : [fields])) : null;
+        if (!constraints || !constraints.every(fields => fields.length > 0 && fields.every(isFieldPath))) {
+            throw invalidSettings('unique must be an array of field paths or arrays of field paths, e.g. ["email", ["orgId", "slug"]]');
+        }
+        return constraints;
+    },
+
+    schema(value) {
+        checkSchemaDefinition(value);
+        return value;
+    },
+
+    history(value) {
+        // `true` turns history on with the default retention
+        const options = value === true ? {} : value;
+        if (!isPlainObject(options) || Object.keys(options).some(key => !['maxVersions', 'maxAgeDays'].includes(key))) {
+            throw invalidSettings('history must be true or an object with maxVersions and/or maxAgeDays');
+        }
+        const { maxVersions = DEFAULT_HISTORY_VERSIONS, maxAgeDays = null } = options;
+        if (!Number.isInteger(maxVersions) || maxVersions < 1) {
+            throw invalidSettings('history.maxVersions must be a positive integer');
+        }
+        if (maxAgeDays !== null && (typeof maxAgeDays !== 'number' || !(maxAgeDays > 0))) {
+            throw invalidSettings('history.maxAgeDays must be a positive number');
+        }
+        return { maxVersions, maxAgeDays };
+    },
+
+    softDelete(value) {
+        // `true` turns soft delete on with the default retention
+        const options = value === true ? {} : value;
+        if (!isPlainObject(options) || Object.keys(options).some(key => key !== 'retentionDays')) {
+            throw invalidSettings('softDelete must be true or an object with retentionDays');
+        }
+        const { retentionDays = DEFAULT_TRASH_RETENTION_DAYS } = options;
+        if (typeof retentionDays !== 'number' || !(retentionDays > 0)) {
+            throw invalidSettings('softDelete.retentionDays must be a positive number');
+        }
+        return { retentionDays };
+    },
+
+    hooks(value) {
+        if (!isPlainObject(value) || !Object.keys(value).every(name => HOOK_NAMES.includes(name))) {
+            throw invalidSettings(`hooks must be an object with any of ${HOOK_NAMES.join(', ')}`);
+        }
+        for (const [name, source] of Object.entries(value)) {
+            if (typeof source !== 'string' || source.trim() === '') {
+                throw invalidSettings(`hooks.${name} must be a non-empty string of JavaScript`);
+            }
+            try {
+                compileHook('settings', name, source);
+            } catch (error) {
+                throw invalidSettings(`hooks.${name} does not compile: ${error.message}`);
+            }
+        }
+        return value;
+    },
+
+    ttl(value) {
+        // Default lifetime in seconds for records created without their own expiresAt
+        if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+            throw invalidSettings('ttl must be a positive number of seconds');
+        }
+        return value;
+    }
+};
+
+function invalidSettings(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_SETTINGS, { message });
+}
+
+// Utility functions for project tokens
+const PERMISSION_LEVELS = ['read', 'write', 'full'];
+const COLLECTION_PATTERN = /^[a-zA-Z0-9_*-]+$/;
+
+function isTokenExpired(tokenData, now = Date.now()) {
+    return Boolean(tokenData.expiresAt) && Date.parse(tokenData.expiresAt) <= now;
+}
+
+function parseTokenExpiry(value) {
+    if (value === undefined || value === null) return null;
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time) || time <= Date.now()) {
+        const message = 'expiresAt must be a future ISO 8601 date, or null for a token that does not expire';
+        throw Object.assign(new Error(message), ERROR_CODES.INVALID_REQUEST_BODY, { message });
+    }
+    return new Date(time).toISOString();
+}
+
+function hasPermission(permissions, required) {
+    return PERMISSION_LEVELS.indexOf(permissions) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+function matchCollectionPattern(pattern, name) {
+    // Patterns only contain name characters and '*', so nothing else needs escaping
+    return new RegExp(`^${pattern.split('*').join('.*')}$`).test(name);
+}
+
+// A token scope is '*', a list of collection names and globs, or an object mapping names and globs to a
+// permission level no higher than the token's own
+function parseTokenCollections(value, permissions) {
+    const invalid = message => Object.assign(new Error(message), ERROR_CODES.INVALID_TOKEN_PERMISSIONS, { message });
+    if (value === undefined || value === '*') return '*';
+    if (typeof value === 'string') value = [value];
+    if (Array.isArray(value)) {
+        if (value.length === 0 || !value.every(pattern => typeof pattern === 'string' && COLLECTION_PATTERN.test(pattern))) {
+            throw invalid('collections must be a non-empty list of collection names or globs');
+        }
+        return value.includes('*') ? '*' : [...new Set(value)];
+    }
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        throw invalid("collections must be '*', a list of collection names or globs, or an object of permissions per collection");
+    }
+    for (const [pattern, level] of Object.entries(value)) {
+        if (!COLLECTION_PATTERN.test(pattern)) throw invalid(`'${pattern}' is not a valid collection name or glob`);
+        if (!PERMISSION_LEVELS.includes(level)) throw invalid(`Permissions for '${pattern}' must be one of ${PERMISSION_LEVELS.join(', ')}`);
+        if (!hasPermission(permissions, level)) throw invalid(`Permissions for '${pattern}' cannot exceed the token's '${permissions}'`);
+    }
+    return value;
+}
+
+// Returns the permission level a project token has on a collection, or null when it is out of scope. An exact
+// name wins over globs and a longer glob over a shorter one.
+function getCollectionPermissions(tokenData, collectionName) {
+    const scope = tokenData.collections ?? '*';
+    if (scope === '*') return tokenData.permissions;
+    if (Array.isArray(scope)) {
+        return scope.some(pattern => matchCollectionPattern(pattern, collectionName)) ? tokenData.permissions : null;
+    }
+    if (Object.hasOwn(scope, collectionName)) return scope[collectionName];
+    const pattern = Object.keys(scope)
+        .filter(pattern => matchCollectionPattern(pattern, collectionName))
+        .sort((a, b) => b.length - a.length)[0];
+    return pattern ? scope[pattern] : null;
+}
+
+// Utility functions for record revisions
+function parseRevision(value) {
+    if (value === null || value === undefined) return null;
+    // Accept the bare number or the quoted (optionally weak) ETag form, e.g. W/"3"
+    const revision = typeof value === 'number' ? value : Number(String(value).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+    if (!Number.isInteger(revision) || revision < 0) {
+        throw Object.assign(new Error(`Invalid revision '${value}'`), ERROR_CODES.INVALID_REQUEST_BODY, { message: `Invalid revision '${value}'` });
+    }
+    return revision;
+}
+
+function formatRevision(revision) {
+    return `"${revision || 0}"`;
+}
+
+function nextRevision(record) {
+    return (record._rev || 0) + 1;
+}
+
+function revisionConflict(id, currentRevision, expectedRevision) {
+    const message = currentRevision === null
+        ? `Record '${id}' does not exist, expected revision ${expectedRevision}`
+        : `Record '${id}' is at revision ${currentRevision}, expected ${expectedRevision}`;
+    return Object.assign(new Error(message), ERROR_CODES.REVISION_CONFLICT, {
+        message,
+        details: { id, currentRevision, expectedRevision }
+    });
+}
+
+function checkRevision(id, record, expectedRevision) {
+    if (expectedRevision === null || expectedRevision === '*') return null;
+    const currentRevision = record._rev || 0;
+    return currentRevision === expectedRevision ? null : revisionConflict(id, currentRevision, expectedRevision);
+}
+
+// Utility functions for record history
+const DEFAULT_HISTORY_VERSIONS = 50;
+
+// The dot keeps it (and the trash) out of the namespace of user collections, which only allow letters, digits, _ and -
+function getHistoryCollectionName(collectionName) {
+    return `${collectionName}.history`;
+}
+
+// Each version was live from its own updatedAt until the write that replaced it
+function findVersionAt(current, versions, time) {
+    const timeline = versions.map(version => ({ record: version.record, until: Date.parse(version.changedAt) }));
+    if (current) timeline.push({ record: current, until: Infinity });
+    const match = timeline.find(({ record, until }) => {
+        const since = Date.parse(record.updatedAt || record.createdAt);
+        return (Number.isNaN(since) || since <= time) && time < until;
+    });
+    return match ? match.record : null;
+}
+
+// Utility functions for the trash
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+function getTrashCollectionName(collectionName) {
+    return `${collectionName}.trash`;
+}
+
+function isExpired(entry, now = Date.now()) {
+    return Date.parse(entry.expiresAt) <= now;
+}
+
+// Utility functions for record expiry
+function isRecordExpired(record, now = Date.now()) {
+    return Boolean(record) && record.expiresAt !== null && record.expiresAt !== undefined && Date.parse(record.expiresAt) <= now;
+}
+
+function findExpiryViolation(record) {
+    const { expiresAt } = record;
+    if (expiresAt === null || expiresAt === undefined) return null;
+    if (typeof expiresAt !== 'string' || Number.isNaN(Date.parse(expiresAt))) {
+        const message = 'expiresAt must be an ISO 8601 timestamp or null';
+        return Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message, details: { field: 'expiresAt' } });
+    }
+    return null;
+}
+
+// Utility functions for snapshots
+function createDefaultToken(projectId) {
+    return {
+        id: uuidv4(),
+        projectId,
+        name: 'Default Token',
+        token: crypto.randomBytes(32).toString('hex'),
+        permissions: 'full',
+        collections: '*',
+        active: true,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function getProjectCollectionNames(project) {
+    // Trashed collections keep their storage until they are purged
+    return [...(project?.collections || []), ...(project?.trash || [])].map(collection => collection.name);
+}
+
+function createSnapshotId(date) {
+    // Sorts by creation time and is a valid ID, e.g. 2026-01-31T02-00-00-000Z-3fa2
+    return `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Utility functions for import and export
+const EXPORT_FORMATS = {
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+const IMPORT_MODES = ['upsert', 'insert', 'replace'];
+const EXPORT_CHUNK_SIZE = 100;
+const IMPORT_BATCH_SIZE = 500;
+
+function isImportRequest(req) {
+    return req.method === 'POST' && /^\/api\/collections\/[^/]+\/import$/.test(req.path);
+}
+
+function writeToStream(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    // Wait for the client to catch up, but give up if it goes away
+    return new Promise((resolve, reject) => {
+        const onDrain = () => { res.off('close', onClose); resolve(); };
+        const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+const CHANGE_TYPES = ['insert', 'update', 'delete'];
+
+// Deletes are matched against the record as it was before it went away
+function matchChange({ event, previous }, filter, types = null) {
+    if (types && !types.includes(event.type)) return false;
+    const record = event.record || previous;
+    return !filter || !record || matchFilter(record, filter);
+}
+
+function createWebhookDelivery(webhookId, event, redeliveryOf = null) {
+    return {
+        id: uuidv4(),
+        webhookId,
+        event,
+        ...(redeliveryOf && { redeliveryOf }),
+        status: 'pending',
+        responseCode: null,
+        attempts: [],
+        nextAttemptAt: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Receivers recompute this over the raw request body and compare it with X-LiekoDB-Signature
+// The timestamp is signed with the body so a captured request cannot be replayed later
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function invalidWebhook(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+}
+
+function writeSseEvent(res, event, data, id) {
+    if (res.writableEnded) return;
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function pickFields(record, fields) {
+    const picked = {};
+    for (const field of fields) {
+        if (field in record) picked[field] = record[field];
+    }
+    return picked;
+}
+
+function getCsvColumns(records) {
+    const columns = new Set(['id']);
+    for (const record of records) {
+        for (const key of Object.keys(record)) columns.add(key);
+    }
+    return [...columns];
+}
+
+function formatCsvRow(values) {
+    return values.map(value => {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function parseCsvValue(text) {
+    // CSV has no types: numbers, booleans, null and JSON objects or arrays (as written by the export) are restored
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null') return null;
+    if (/^[[{]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+    return text;
+}
+
+function importLineError(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_REQUEST_BODY, { message });
+}
 
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
+function toImportItem(line, value) {
+    if (!isPlainObject(value)) return { line, error: importLineError('Each record must be a JSON object') };
+    return { line, record: value };
+}
 
-            const results = [];
-            const errors = [];
+function parseImportJson(line, text) {
+    try {
+        return toImportItem(line, JSON.parse(text));
+    } catch (error) {
+        return { line, error: importLineError(`Invalid JSON: ${error.message}`) };
+    }
+}
 
-            for (const id of ids) {
-                if (!this.isValidId(id)) {
-                    errors.push({
-                        id,
-                        error: 'Invalid ID format',
-                        code: ERROR_CODES.INVALID_ID_FORMAT.code,
-                        status: 400
-                    });
-                    continue;
-                }
+function recordTooLarge(line) {
+    return { line, error: importLineError(`Record is larger than ${IMPORT_MAX_RECORD_BYTES} bytes`) };
+}
 
-                if (!data[id]) {
-                    results.push({
-                        id,
-                        status: 'success',
-                        message: `Record '${id}' not found, nothing to delete`
-                    });
-                    continue;
-                }
+// Code points are counted as their UTF-8 length, the size they had in the request
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+}
 
-                delete data[id];
-                results.push({
-                    id,
-                    status: 'success',
-                    message: `Record '${id}' deleted`
-                });
+async function* readNdjsonRecords(stream) {
+    // A line longer than IMPORT_MAX_RECORD_BYTES is dropped as it arrives instead of being buffered
+    let buffer = '';
+    let bufferBytes = 0;
+    let tooLarge = false;
+    let line = 0;
+    for await (const chunk of stream) {
+        const pieces = chunk.split('\n');
+        const rest = pieces.pop();
+        for (const piece of pieces) {
+            line++;
+            if (tooLarge || bufferBytes + Buffer.byteLength(piece) > IMPORT_MAX_RECORD_BYTES) {
+                yield recordTooLarge(line);
+            } else if ((buffer + piece).trim() !== '') {
+                yield parseImportJson(line, buffer + piece);
             }
+            buffer = '';
+            bufferBytes = 0;
+            tooLarge = false;
+        }
+        if (tooLarge) continue;
+        bufferBytes += Buffer.byteLength(rest);
+        if (bufferBytes > IMPORT_MAX_RECORD_BYTES) {
+            tooLarge = true;
+            buffer = '';
+        } else {
+            buffer += rest;
+        }
+    }
+    line++;
+    if (tooLarge) yield recordTooLarge(line);
+    else if (buffer.trim() !== '') yield parseImportJson(line, buffer);
+}
 
-            await this.writeJsonFile(collectionPath, data);
-
-            res.json({
-                results,
-                errors,
-                total: ids.length
-            });
-        } catch (error) {
-            console.error('Failed to batch delete records:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
+async function* readCsvRecords(stream) {
+    // Incremental RFC 4180 parser; quoted fields may contain commas, quotes and newlines
+    let header = null;
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteSeen = false;
+    let line = 1;
+    let rowLine = 1;
+    let rowBytes = 0;
+    const rows = [];
+    const endRow = () => {
+        row.push(field);
+        if (rowBytes > IMPORT_MAX_RECORD_BYTES) rows.push({ line: rowLine, tooLarge: true });
+        else if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, values: row });
+        row = [];
+        field = '';
+        rowBytes = 0;
+    };
+    // Characters of a row past IMPORT_MAX_RECORD_BYTES are not kept; the row is reported once it ends
+    const append = char => {
+        rowBytes += utf8Length(char);
+        if (rowBytes <= IMPORT_MAX_RECORD_BYTES) field += char;
+    };
+    const toItems = function* () {
+        for (const { line, values, tooLarge } of rows.splice(0)) {
+            if (tooLarge) {
+                if (!header) throw importLineError(`The header is larger than ${IMPORT_MAX_RECORD_BYTES} bytes`);
+                yield recordTooLarge(line);
+                continue;
+            }
+            if (!header) {
+                header = values.map(value => value.trim());
+                continue;
+            }
+            if (values.length > header.length) {
+                yield { line, error: importLineError(`Row has ${values.length} values but the header has ${header.length} columns`) };
+                continue;
+            }
+            const record = {};
+            header.forEach((column, index) => {
+                const value = values[index];
+                if (value === undefined || value === '') return;
+                record[column] = column === 'id' ? value : parseCsvValue(value);
             });
+            yield { line, record };
+        }
+    };
+
+    for await (const chunk of stream) {
+        for (const char of chunk) {
+            if (inQuotes) {
+                if (quoteSeen) {
+                    quoteSeen = false;
+                    if (char === '"') {
+                        append('"');
+                        continue;
+                    }
+                    inQuotes = false;
+                } else if (char === '"') {
+                    quoteSeen = true;
+                    continue;
+                } else {
+                    if (char === '\n') line++;
+                    append(char);
+                    continue;
+                }
+            }
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+                rowBytes++;
+            } else if (char === '\n') {
+                endRow();
+                line++;
+                rowLine = line;
+            } else if (char !== '\r') {
+                append(char);
+            }
         }
+        yield* toItems();
     }
+    if (field !== '' || row.length > 0) endRow();
+    yield* toItems();
+}
 
-    async batchUpdate(req, res) {
-        try {
-            const { collection } = req.params;
-            const { updates } = req.body;
-            if (!Array.isArray(updates) || updates.length === 0) {
-                throw Object.assign(new Error('Updates must be a non-empty array'), ERROR_CODES.INVALID_REQUEST_BODY);
+async function* readJsonArrayRecords(stream) {
+    // Splits a top-level array into its elements without parsing the whole document at once
+    let state = 'start';
+    let buffer = '';
+    let bufferBytes = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let line = 1;
+    let startLine = 1;
+
+    for await (const chunk of stream) {
+        const items = [];
+        for (const char of chunk) {
+            if (state === 'element') {
+                if (inString) {
+                    if (escaped) escaped = false;
+                    else if (char === '\\') escaped = true;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                } else if ((char === ',' || char === ']') && depth === 0) {
+                    // An element past IMPORT_MAX_RECORD_BYTES is still scanned to its end, but no longer kept
+                    if (bufferBytes > IMPORT_MAX_RECORD_BYTES) items.push(recordTooLarge(startLine));
+                    else if (buffer.trim() !== '') items.push(parseImportJson(startLine, buffer));
+                    buffer = '';
+                    state = char === ',' ? 'array' : 'end';
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                }
+                if (state === 'element') {
+                    bufferBytes += utf8Length(char);
+                    if (bufferBytes <= IMPORT_MAX_RECORD_BYTES) buffer += char;
+                }
+            } else if (state === 'array' && !/\s/.test(char)) {
+                state = 'element';
+                startLine = line;
+                bufferBytes = utf8Length(char);
+                if (char === ']') {
+                    state = 'end';
+                } else {
+                    buffer = char;
+                    inString = char === '"';
+                    depth = char === '{' || char === '[' ? 1 : 0;
+                }
+            } else if (state === 'start' && !/\s/.test(char)) {
+                if (char !== '[') throw importLineError('A JSON import must be an array of records');
+                state = 'array';
             }
+            if (char === '\n') line++;
+        }
+        yield* items;
+    }
+    if (state === 'element' && buffer.trim() !== '') {
+        yield { line: startLine, error: importLineError('Unexpected end of input, the array is not closed') };
+    }
+}
 
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
+function readImportRecords(stream, format) {
+    if (format === 'csv') return readCsvRecords(stream);
+    if (format === 'json') return readJsonArrayRecords(stream);
+    return readNdjsonRecords(stream);
+}
 
-            const results = [];
-            const errors = [];
+// Utility functions for transactions
+const TRANSACTION_OPERATIONS = ['create', 'update', 'delete', 'increment'];
 
-            for (const update of updates) {
-                const { id, data: updateData } = update;
-                if (!this.isValidId(id)) {
-                    errors.push({
-                        id,
-                        error: 'Invalid ID format',
-                        code: ERROR_CODES.INVALID_ID_FORMAT.code,
-                        status: 400
-                    });
-                    continue;
-                }
+function invalidTransaction(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_TRANSACTION, { message });
+}
 
-                if (!data[id]) {
-                    errors.push({
-                        id,
-                        error: `Record '${id}' not found`,
-                        code: ERROR_CODES.RECORD_NOT_FOUND.code,
-                        status: 404
-                    });
-                    continue;
-                }
+function preconditionFailed(id, match) {
+    const message = `Record '${id}' does not match the precondition`;
+    return Object.assign(new Error(message), ERROR_CODES.PRECONDITION_FAILED, { message, details: { id, match } });
+}
 
-                if (!updateData || typeof updateData !== 'object') {
-                    errors.push({
-                        id,
-                        error: 'Invalid update data',
-                        code: ERROR_CODES.INVALID_REQUEST_BODY.code,
-                        status: 400
-                    });
-                    continue;
-                }
+function parseTransactionOperation(operation, index) {
+    if (!isPlainObject(operation)) {
+        throw invalidTransaction(`Operation ${index} must be an object`);
+    }
+    const { op, collection, id, data, field, value = 1, _rev, match } = operation;
+    if (!TRANSACTION_OPERATIONS.includes(op)) {
+        throw invalidTransaction(`Operation ${index} has unknown op '${op}', expected one of: ${TRANSACTION_OPERATIONS.join(', ')}`);
+    }
+    if (typeof collection !== 'string' || !collection) {
+        throw invalidTransaction(`Operation ${index} is missing a collection`);
+    }
+    if (op === 'create') {
+        if (data !== undefined && !isPlainObject(data)) throw invalidTransaction(`Operation ${index} data must be an object`);
+        if (_rev !== undefined || match !== undefined) throw invalidTransaction(`Operation ${index} creates a record and cannot have preconditions`);
+    } else if (typeof id !== 'string' || !id) {
+        throw invalidTransaction(`Operation ${index} is missing a record id`);
+    }
+    if (op === 'update' && !isPlainObject(data)) {
+        throw invalidTransaction(`Operation ${index} needs a data object with fields or update operators`);
+    }
+    if (op === 'increment' && (typeof field !== 'string' || !field || typeof value !== 'number')) {
+        throw invalidTransaction(`Operation ${index} needs a field name and a numeric value`);
+    }
+    if (match !== undefined && !isPlainObject(match)) {
+        throw invalidTransaction(`Operation ${index} match must be a filter object`);
+    }
+    // `_rev` is a precondition here, never part of the written fields
+    const { _rev: ignoredRevision, ...fields } = data || {};
+    return {
+        op,
+        collection,
+        id,
+        data: fields,
+        field,
+        value,
+        match: match || null,
+        expectedRevision: _rev === '*' ? '*' : parseRevision(_rev)
+    };
+}
 
-                const record = {
-                    ...data[id],
-                    ...updateData,
-                    id,
-                    updatedAt: new Date().toISOString(),
-                    createdAt: data[id].createdAt || new Date().toISOString()
-                };
+function transactionError(index, operation, error) {
+    if (!error.code) return error;
+    const message = `Transaction aborted at operation ${index} (${operation.op} in '${operation.collection}'): ${error.message}`;
+    return Object.assign(new Error(message), {
+        code: error.code,
+        status: error.status,
+        message,
+        details: { index, op: operation.op, collection: operation.collection, id: operation.id ?? operation.data.id, ...error.details }
+    });
+}
 
-                data[id] = record;
-                results.push({
-                    id,
-                    status: 'success',
-                    record
-                });
-            }
+// Utility functions for update documents
+function invalidUpdate(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_UPDATE, { message });
+}
 
-            await this.writeJsonFile(collectionPath, data);
+function invalidUpdateField(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_FIELD, { message });
+}
 
-            res.json({
-                results,
-                errors,
-                total: updates.length
-            });
-        } catch (error) {
-            console.error('Failed to batch update records:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+function isUpdateDocument(body) {
+    const keys = Object.keys(body || {});
+    const operators = keys.filter(key => key.startsWith('$'));
+    if (operators.length > 0 && operators.length !== keys.length) {
+        throw invalidUpdate('An update document cannot mix update operators and plain fields');
+    }
+    return operators.length > 0;
+}
+
+// Plain objects keep the original shallow-merge behaviour; operator documents are applied per path
+function mergeUpdate(record, body) {
+    return isUpdateDocument(body) ? applyUpdate(record, body) : { ...record, ...body };
+}
+
+function resolveUpdateParent(record, path, create) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = record;
+    for (const key of keys) {
+        const value = getOwnField(target, key);
+        if (value === undefined || value === null) {
+            if (!create) return { target: null, key: last };
+            target[key] = {};
+        } else if (typeof value !== 'object') {
+            throw invalidUpdateField(`Cannot create field '${path}': '${key}' is not an object`);
         }
+        target = target[key];
     }
+    return { target, key: last };
+}
 
-    async incrementRecordField(req, res) {
-        try {
-            const { collection, id } = req.params;
-            const { field, value = 1 } = req.body;
-            if (!field || typeof field !== 'string') {
-                throw Object.assign(new Error('Field name is required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
-            }
-            if (typeof value !== 'number') {
-                throw Object.assign(new Error('Increment value must be a number'), ERROR_CODES.INVALID_FIELD);
-            }
+function parseEach(operand) {
+    if (isPlainObject(operand) && '$each' in operand) {
+        if (!Array.isArray(operand.$each)) throw invalidUpdate('$each requires an array');
+        return { values: operand.$each, slice: operand.$slice };
+    }
+    return { values: [operand], slice: undefined };
+}
 
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
+function matchesPullCondition(element, condition) {
+    if (isOperatorObject(condition)) return matchCondition([element], condition);
+    if (isPlainObject(condition) && isPlainObject(element)) return matchFilter(element, condition);
+    return valuesEqual(element, condition);
+}
 
-            if (!data[id]) {
-                throw Object.assign(new Error(`Record '${id}' not found`), ERROR_CODES.RECORD_NOT_FOUND);
-            }
+// Each operator gets the field's current own value, so inherited properties never count as fields
+const UPDATE_OPERATORS = {
+    $set(target, key, value) {
+        target[key] = value;
+    },
+
+    $unset(target, key) {
+        delete target[key];
+    },
+
+    $inc(target, key, amount, path, current) {
+        if (typeof amount !== 'number') throw invalidUpdate(`$inc requires a number for '${path}'`);
+        if (current !== undefined && typeof current !== 'number') throw invalidUpdateField(`Field '${path}' is not a number`);
+        target[key] = (current || 0) + amount;
+    },
+
+    $mul(target, key, factor, path, current) {
+        if (typeof factor !== 'number') throw invalidUpdate(`$mul requires a number for '${path}'`);
+        if (current !== undefined && typeof current !== 'number') throw invalidUpdateField(`Field '${path}' is not a number`);
+        target[key] = (current || 0) * factor;
+    },
+
+    $min(target, key, value, path, current) {
+        if (current === undefined || compareValues(value, current) < 0) target[key] = value;
+    },
+
+    $max(target, key, value, path, current) {
+        if (current === undefined || compareValues(value, current) > 0) target[key] = value;
+    },
+
+    $push(target, key, operand, path, current) {
+        if (current !== undefined && !Array.isArray(current)) throw invalidUpdateField(`Field '${path}' is not an array`);
+        const { values, slice } = parseEach(operand);
+        let array = [...(current || []), ...values];
+        if (slice !== undefined) {
+            if (!Number.isInteger(slice)) throw invalidUpdate('$slice requires an integer');
+            // A negative $slice keeps the last elements, e.g. the 10 most recent entries
+            array = slice < 0 ? array.slice(slice) : array.slice(0, slice);
+        }
+        target[key] = array;
+    },
+
+    $addToSet(target, key, operand, path, current) {
+        if (current !== undefined && !Array.isArray(current)) throw invalidUpdateField(`Field '${path}' is not an array`);
+        const array = [...(current || [])];
+        for (const value of parseEach(operand).values) {
+            if (!array.some(existing => valuesEqual(existing, value))) array.push(value);
+        }
+        target[key] = array;
+    },
+
+    $pull(target, key, condition, path, current) {
+        if (current === undefined) return;
+        if (!Array.isArray(current)) throw invalidUpdateField(`Field '${path}' is not an array`);
+        target[key] = current.filter(element => !matchesPullCondition(element, condition));
+    }
+};
 
-            if (typeof data[id][field] !== 'number') {
-                throw Object.assign(new Error(`Field '${field}' is not a number`), ERROR_CODES.INVALID_FIELD);
+function applyUpdate(record, update) {
+    const result = structuredClone(record);
+    for (const [operator, fields] of Object.entries(update)) {
+        if (operator !== '$rename' && !UPDATE_OPERATORS[operator]) {
+            throw invalidUpdate(`Unknown update operator '${operator}'`);
+        }
+        if (!isPlainObject(fields)) {
+            throw invalidUpdate(`${operator} requires an object of field paths`);
+        }
+        for (const [path, operand] of Object.entries(fields)) {
+            if (!isFieldPath(path)) throw invalidUpdate(`Invalid field path '${path}'`);
+            if (path === 'id' || path.startsWith('id.')) throw invalidUpdate('The record id cannot be updated');
+            if (path === '_rev' || path.startsWith('_rev.')) throw invalidUpdate('The record revision is managed by the server');
+
+            if (operator === '$rename') {
+                if (!isFieldPath(operand) || operand === 'id') throw invalidUpdate(`$rename requires a target field path for '${path}'`);
+                const source = resolveUpdateParent(result, path, false);
+                if (!source.target || getOwnField(source.target, source.key) === undefined) continue;
+                const value = source.target[source.key];
+                delete source.target[source.key];
+                const destination = resolveUpdateParent(result, operand, true);
+                destination.target[destination.key] = value;
+                continue;
             }
 
-            data[id][field] += value;
-            data[id].updatedAt = new Date().toISOString();
+            // $unset and $pull never create missing parents
+            const create = operator !== '$unset' && operator !== '$pull';
+            const { target, key } = resolveUpdateParent(result, path, create);
+            if (target) UPDATE_OPERATORS[operator](target, key, operand, path, getOwnField(target, key));
+        }
+    }
+    return result;
+}
 
-            await this.writeJsonFile(collectionPath, data);
+// Utility functions for aggregation pipelines
+function invalidPipeline(message) {
+    return Object.assign(new Error(message), ERROR_CODES.INVALID_PIPELINE, { message });
+}
 
-            res.json({
-                results: [{
-                    id,
-                    status: 'success',
-                    record: data[id]
-                }],
-                errors: [],
-                total: 1
-            });
-        } catch (error) {
-            console.error('Failed to increment field:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+// Paths only ever walk own properties, so they cannot read or write through a prototype
+function getFieldValue(record, path) {
+    return path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : getOwnField(obj, key)), record);
+}
+
+function setFieldValue(record, path, value) {
+    if (!isFieldPath(path)) throw invalidPipeline(`Invalid field path '${path}'`);
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => {
+        const current = getOwnField(obj, key);
+        if (typeof current !== 'object' || current === null) obj[key] = {};
+        return obj[key];
+    }, record);
+    target[last] = value;
+}
+
+function deleteFieldValue(record, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => (obj === null || typeof obj !== 'object' ? undefined : getOwnField(obj, key)), record);
+    if (target !== null && typeof target === 'object' && Object.hasOwn(target, last)) delete target[last];
+}
+
+const SORT_TYPE_ORDER = { undefined: 0, null: 0, number: 1, string: 2, boolean: 3, object: 4, array: 4 };
+
+function compareValues(a, b) {
+    // Missing and null values sort first, then numbers, strings, booleans and structured values
+    const typeDiff = SORT_TYPE_ORDER[getValueType(a)] - SORT_TYPE_ORDER[getValueType(b)];
+    if (typeDiff !== 0) return typeDiff;
+    if (typeof a === 'object' || a === undefined) return 0;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Resolves '$field' references, literals, and objects of either
+function evaluateExpression(record, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getFieldValue(record, expression.slice(1));
+    }
+    if (typeof expression === 'object' && expression !== null && !Array.isArray(expression)) {
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            // Defined rather than assigned, so a '__proto__' key stays an ordinary field
+            Object.defineProperty(result, key, { value: evaluateExpression(record, value), enumerable: true, writable: true, configurable: true });
         }
+        return result;
     }
+    return expression;
+}
 
-    async decrementRecordField(req, res) {
-        try {
-            const { collection, id } = req.params;
-            const { field, value = 1 } = req.body;
-            if (!field || typeof field !== 'string') {
-                throw Object.assign(new Error('Field name is required'), ERROR_CODES.MISSING_REQUIRED_FIELDS);
-            }
-            if (typeof value !== 'number') {
-                throw Object.assign(new Error('Decrement value must be a number'), ERROR_CODES.INVALID_FIELD);
+const AGGREGATION_STAGES = {
+    $match(records, filter) {
+        return records.filter(record => matchFilter(record, filter));
+    },
+
+    $group(records, spec) {
+        if (typeof spec !== 'object' || spec === null || !('_id' in spec)) {
+            throw invalidPipeline('$group requires an _id expression');
+        }
+        const accumulators = Object.entries(spec).filter(([field]) => field !== '_id').map(([field, accumulator]) => {
+            if (!isFieldPath(field) || field.includes('.')) throw invalidPipeline(`Invalid output field '${field}'`);
+            const operators = typeof accumulator === 'object' && accumulator !== null ? Object.keys(accumulator) : [];
+            if (operators.length !== 1 || !GROUP_ACCUMULATORS[operators[0]]) {
+                throw invalidPipeline(`Invalid accumulator for field '${field}'`);
             }
+            return { field, operator: operators[0], expression: accumulator[operators[0]] };
+        });
 
-            await this.ensureCollection(req.projectId, collection);
-            const collectionPath = path.join(this.projectsDir, req.projectId, `${collection}.json`);
-            let data = await this.readJsonFile(collectionPath) || {};
+        const groups = new Map();
+        for (const record of records) {
+            const id = evaluateExpression(record, spec._id);
+            const key = JSON.stringify(id === undefined ? null : id);
+            if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, records: [] });
+            groups.get(key).records.push(record);
+        }
 
-            if (!data[id]) {
-                throw Object.assign(new Error(`Record '${id}' not found`), ERROR_CODES.RECORD_NOT_FOUND);
+        return [...groups.values()].map(group => {
+            const result = { _id: group.id };
+            for (const { field, operator, expression } of accumulators) {
+                const values = group.records.map(record => evaluateExpression(record, expression));
+                result[field] = GROUP_ACCUMULATORS[operator](values);
             }
+            return result;
+        });
+    },
 
-            if (typeof data[id][field] !== 'number') {
-                throw Object.assign(new Error(`Field '${field}' is not a number`), ERROR_CODES.INVALID_FIELD);
+    $sort(records, spec) {
+        const fields = typeof spec === 'object' && spec !== null ? Object.entries(spec) : [];
+        if (fields.length === 0 || fields.some(([, order]) => order !== 1 && order !== -1)) {
+            throw invalidPipeline('$sort requires fields with 1 (ascending) or -1 (descending)');
+        }
+        return [...records].sort((a, b) => {
+            for (const [field, order] of fields) {
+                const result = compareValues(getFieldValue(a, field), getFieldValue(b, field));
+                if (result !== 0) return result * order;
             }
+            return 0;
+        });
+    },
+
+    $project(records, spec) {
+        const fields = typeof spec === 'object' && spec !== null ? Object.entries(spec) : [];
+        if (fields.length === 0) throw invalidPipeline('$project requires at least one field');
+        const invalid = fields.find(([field]) => !isFieldPath(field));
+        if (invalid) throw invalidPipeline(`Invalid field path '${invalid[0]}'`);
+        const excluded = fields.filter(([, value]) => value === 0 || value === false).map(([field]) => field);
+        const included = fields.filter(([, value]) => value !== 0 && value !== false);
+        if (included.length > 0 && excluded.some(field => field !== 'id' && field !== '_id')) {
+            throw invalidPipeline('$project cannot mix inclusion and exclusion');
+        }
 
-            data[id][field] -= value;
-            data[id].updatedAt = new Date().toISOString();
-
-            await this.writeJsonFile(collectionPath, data);
-
-            res.json({
-                results: [{
-                    id,
-                    status: 'success',
-                    record: data[id]
-                }],
-                errors: [],
-                total: 1
-            });
-        } catch (error) {
-            console.error('Failed to decrement field:', error);
-            res.status(error.status || 500).json({
-                error: error.message || ERROR_CODES.SERVER_ERROR.message,
-                code: error.code || ERROR_CODES.SERVER_ERROR.code,
-                status: error.status || 500
-            });
+        return records.map(record => {
+            if (included.length === 0) {
+                const result = structuredClone(record);
+                excluded.forEach(field => deleteFieldValue(result, field));
+                return result;
+            }
+            const result = {};
+            // Identifiers are kept unless explicitly excluded
+            for (const key of ['id', '_id']) {
+                if (key in record && !(key in spec)) result[key] = record[key];
+            }
+            for (const [field, value] of included) {
+                const projected = value === 1 || value === true ? getFieldValue(record, field) : evaluateExpression(record, value);
+                if (projected !== undefined) setFieldValue(result, field, projected);
+            }
+            return result;
+        });
+    },
+
+    $limit(records, count) {
+        if (!Number.isInteger(count) || count < 0) throw invalidPipeline('$limit requires a non-negative integer');
+        return records.slice(0, count);
+    },
+
+    $skip(records, count) {
+        if (!Number.isInteger(count) || count < 0) throw invalidPipeline('$skip requires a non-negative integer');
+        return records.slice(count);
+    },
+
+    $unwind(records, spec) {
+        const { path: fieldPath, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec || {};
+        if (typeof fieldPath !== 'string' || !fieldPath.startsWith('$')) {
+            throw invalidPipeline("$unwind requires a field path such as '$items'");
         }
+        const field = fieldPath.slice(1);
+        if (!isFieldPath(field)) throw invalidPipeline(`Invalid field path '${field}'`);
+        return records.flatMap(record => {
+            const value = getFieldValue(record, field);
+            if (!Array.isArray(value)) {
+                if (value !== undefined && value !== null) return [record];
+                return preserveNullAndEmptyArrays ? [record] : [];
+            }
+            if (value.length === 0) return preserveNullAndEmptyArrays ? [record] : [];
+            return value.map(element => {
+                const result = structuredClone(record);
+                setFieldValue(result, field, element);
+                return result;
+            });
+        });
     }
-}
+};
 
-// Utility function for filtering records
-function matchFilter(record, filter) {
-    return Object.entries(filter).every(([key, value]) => {
-        let recordValue = key.includes('.') ? key.split('.').reduce((obj, k) => obj && obj[k], record) : record[key];
-        if (typeof value === 'object' && value !== null) {
-            if (value.$eq !== undefined) return recordValue === value.$eq;
-            if (value.$gt !== undefined) return recordValue > value.$gt;
-            if (value.$gte !== undefined) return recordValue >= value.$gte;
-            if (value.$lt !== undefined) return recordValue < value.$lt;
-            if (value.$lte !== undefined) return recordValue <= value.$lte;
-            if (value.$in !== undefined) return Array.isArray(value.$in) && value.$in.includes(recordValue);
-            if (value.$regex !== undefined) return new RegExp(value.$regex).test(recordValue);
-            return false;
-        }
-        return recordValue === value;
-    });
+const GROUP_ACCUMULATORS = {
+    $sum: values => values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0),
+    $avg: values => {
+        const numbers = values.filter(value => typeof value === 'number');
+        return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+    },
+    $min: values => values.filter(value => value !== undefined && value !== null).reduce((min, value) => (min === null || compareValues(value, min) < 0 ? value : min), null),
+    $max: values => values.filter(value => value !== undefined && value !== null).reduce((max, value) => (max === null || compareValues(value, max) > 0 ? value : max), null),
+    $count: values => values.length,
+    $push: values => values.filter(value => value !== undefined)
+};
+
+function runPipeline(records, pipeline) {
+    return pipeline.reduce((current, stage, index) => {
+        const stages = typeof stage === 'object' && stage !== null ? Object.keys(stage) : [];
+        if (stages.length !== 1) {
+            throw invalidPipeline(`Stage ${index} must contain exactly one operator`);
+        }
+        const [name] = stages;
+        if (!AGGREGATION_STAGES[name]) {
+            throw invalidPipeline(`Unknown pipeline stage '${name}'`);
+        }
+        return AGGREGATION_STAGES[name](current, stage[name]);
+    }, records);
 }
 
 const db = new LiekoDBCore();
-db.app.listen(PORT, () => {
+const server = db.app.listen(PORT, () => {
     console.log(`🚀 LiekoDB server is running on ${HOST}:${PORT}`);
     if (HIDE_PANEL) {
         console.log(`🔒 Admin panel is hidden, access it at: ${HOST}:${PORT}/${PANEL_ROUTE}`);
     } else {
         console.log(`🌐 Admin panel is accessible at: ${HOST}:${PORT}/`);
     }
-});
\ No newline at end of file
+});
+db.setupRealtime(server);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        console.log(`Received ${signal}, flushing collections...`);
+        clearInterval(db.flushTimer);
+        clearInterval(db.trashTimer);
+        clearInterval(db.expiryTimer);
+        clearInterval(db.snapshotTimer);
+        clearInterval(db.realtimeTimer);
+        clearInterval(db.tokenUsageTimer);
+        await db.flushCollections();
+        await db.flushTokenUsage();
+        await db.storage.close();
+        process.exit(0);
+    });
+}
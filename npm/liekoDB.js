@@ -54,6 +54,12 @@ class EventEmitter {
     }
 }
 
+const IMPORT_CONTENT_TYPES = {
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv',
+    json: 'application/json'
+};
+
 class liekoDB extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -71,6 +77,14 @@ class liekoDB extends EventEmitter {
         this.retryDelay = options.retryDelay || 1000;
         this.debug = options.debug === true;
         this.throwOnNotFound = options.throwOnNotFound === true;
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+        this._WebSocket = options.WebSocket || null;
+        this._socket = null;
+        this._subscriptions = new Map();
+        this._subscriptionCounter = 0;
+        this._reconnectAttempt = 0;
+        this._reconnectTimer = null;
         this._isReady = false;
         this._isConnecting = false;
         this._collectionCache = new Map();
@@ -173,7 +187,8 @@ class liekoDB extends EventEmitter {
                 operation: operation,
                 timestamp: new Date().toISOString(),
                 ...(context.collection && { collection: context.collection }),
-                ...(context.key && { key: context.key })
+                ...(context.key && { key: context.key }),
+                ...(error.response?.details && { details: error.response.details })
             },
             data: null
         };
@@ -233,7 +248,7 @@ class liekoDB extends EventEmitter {
             return rawResponse;
         }
 
-        if (operation === 'batchSet' || operation === 'batchGet' || operation === 'batchDelete' || operation === 'batchUpdate') {
+        if (operation === 'batchSet' || operation === 'batchGet' || operation === 'batchDelete' || operation === 'batchUpdate' || operation === 'transaction' || operation === 'restore') {
             data = rawResponse.results || [];
             meta = {
                 operation,
@@ -306,6 +321,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'get',
                 collection: collectionName,
                 key
@@ -313,10 +329,15 @@ class liekoDB extends EventEmitter {
         }
     }
 
-    async set(collectionName, id, data) {
+    async set(collectionName, id, data, options = {}) {
         try {
             this.emit('operation:start', { type: 'set', collection: collectionName, id });
-            const payload = { ...data, id };
+            const hasRevision = options.ifRevision !== undefined && options.ifRevision !== null;
+            const payload = { ...data, id, ...(hasRevision && { _rev: options.ifRevision }) };
+            // ttl is in seconds and is sent as an absolute expiry time
+            if (options.ttl !== undefined && options.ttl !== null) {
+                payload.expiresAt = new Date(Date.now() + options.ttl * 1000).toISOString();
+            }
             this._log(`Upsert payload for ${collectionName}/${id}:`, JSON.stringify(payload, null, 2));
             try {
                 const result = await this._request('PUT', `/api/collections/${collectionName}/${id}`, payload);
@@ -325,7 +346,8 @@ class liekoDB extends EventEmitter {
                 this.emit('record:updated', { collection: collectionName, id, data: payload });
                 return response;
             } catch (error) {
-                if (error.status === 404) {
+                // A revision check only makes sense against an existing record, so never fall back to create
+                if (error.status === 404 && !hasRevision) {
                     const result = await this._request('POST', `/api/collections/${collectionName}`, payload);
                     const response = this._transformResponse(result, 'set', { collection: collectionName });
                     this.emit('operation:success', { type: 'set', collection: collectionName, id, result: response });
@@ -340,6 +362,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'set',
                 collection: collectionName,
                 key: id
@@ -347,14 +370,38 @@ class liekoDB extends EventEmitter {
         }
     }
 
-    async update(collectionName, id, updates) {
-        return this.set(collectionName, id, updates);
+    async update(collectionName, id, updates, options = {}) {
+        const isOperatorUpdate = updates && typeof updates === 'object' && Object.keys(updates).some(key => key.startsWith('$'));
+        if (!isOperatorUpdate) {
+            return this.set(collectionName, id, updates, options);
+        }
+        // Update operators need an existing record, so there is no create fallback
+        try {
+            this.emit('operation:start', { type: 'update', collection: collectionName, id });
+            const payload = options.ifRevision !== undefined && options.ifRevision !== null ? { ...updates, _rev: options.ifRevision } : updates;
+            const result = await this._request('PUT', `/api/collections/${collectionName}/${id}`, payload);
+            const response = this._transformResponse(result, 'update', { collection: collectionName });
+            this.emit('operation:success', { type: 'update', collection: collectionName, id, result: response });
+            this.emit('record:updated', { collection: collectionName, id, data: updates });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'update', { collection: collectionName, key: id });
+            this.emit('operation:error', { type: 'update', collection: collectionName, id, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'update',
+                collection: collectionName,
+                key: id
+            });
+        }
     }
 
-    async delete(collectionName, key) {
+    async delete(collectionName, key, options = {}) {
         try {
             this.emit('operation:start', { type: 'delete', collection: collectionName, key });
-            await this._request('DELETE', `/api/collections/${collectionName}/${key}`);
+            await this._request('DELETE', `/api/collections/${collectionName}/${key}${this._permanentParam(options)}`);
             const response = this._transformResponse(true, 'delete', { collection: collectionName });
             this.emit('operation:success', { type: 'delete', collection: collectionName, key, result: response });
             this.emit('record:deleted', { collection: collectionName, key });
@@ -368,6 +415,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'delete',
                 collection: collectionName,
                 key
@@ -387,6 +435,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'has',
                 collection: collectionName,
                 key
@@ -394,10 +443,10 @@ class liekoDB extends EventEmitter {
         }
     }
 
-    async clear(collectionName) {
+    async clear(collectionName, options = {}) {
         try {
             this.emit('operation:start', { type: 'clear', collection: collectionName });
-            await this._request('DELETE', `/api/collections/${collectionName}`);
+            await this._request('DELETE', `/api/collections/${collectionName}${this._permanentParam(options)}`);
             const response = this._transformResponse(true, 'clear', { collection: collectionName });
             this.emit('operation:success', { type: 'clear', collection: collectionName, result: response });
             return response;
@@ -407,6 +456,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'clear',
                 collection: collectionName
             });
@@ -431,6 +481,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'find',
                 collection: collectionName
             });
@@ -454,6 +505,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'findOne',
                 collection: collectionName
             });
@@ -479,6 +531,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'search',
                 collection: collectionName
             });
@@ -499,12 +552,33 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'count',
                 collection: collectionName
             });
         }
     }
 
+    async aggregate(collectionName, pipeline) {
+        try {
+            this.emit('operation:start', { type: 'aggregate', collection: collectionName });
+            const result = await this._request('POST', `/api/collections/${collectionName}/aggregate`, { pipeline });
+            const response = this._transformResponse(result, 'aggregate', { collection: collectionName });
+            this.emit('operation:success', { type: 'aggregate', collection: collectionName, result: response });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'aggregate', { collection: collectionName });
+            this.emit('operation:error', { type: 'aggregate', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'aggregate',
+                collection: collectionName
+            });
+        }
+    }
+
     async paginate(collectionName, page, perPage, options = {}) {
         try {
             this.emit('operation:start', { type: 'paginate', collection: collectionName });
@@ -530,6 +604,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'paginate',
                 collection: collectionName
             });
@@ -550,6 +625,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'increment',
                 collection: collectionName,
                 key: id
@@ -571,6 +647,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'decrement',
                 collection: collectionName,
                 key: id
@@ -578,6 +655,50 @@ class liekoDB extends EventEmitter {
         }
     }
 
+    async history(collectionName, id) {
+        try {
+            this.emit('operation:start', { type: 'history', collection: collectionName, id });
+            const result = await this._request('GET', `/api/collections/${collectionName}/${id}/history`);
+            const response = this._transformResponse(result, 'history', { collection: collectionName });
+            this.emit('operation:success', { type: 'history', collection: collectionName, id, result: response });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'history', { collection: collectionName, key: id });
+            this.emit('operation:error', { type: 'history', collection: collectionName, id, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'history',
+                collection: collectionName,
+                key: id
+            });
+        }
+    }
+
+    async revert(collectionName, id, version, options = {}) {
+        try {
+            this.emit('operation:start', { type: 'revert', collection: collectionName, id });
+            const payload = { version, ...(options.ifRevision !== undefined && options.ifRevision !== null && { _rev: options.ifRevision }) };
+            const result = await this._request('POST', `/api/collections/${collectionName}/${id}/revert`, payload);
+            const response = this._transformResponse(result, 'revert', { collection: collectionName });
+            this.emit('operation:success', { type: 'revert', collection: collectionName, id, result: response });
+            this.emit('record:updated', { collection: collectionName, id, data: result.results[0].record });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'revert', { collection: collectionName, key: id });
+            this.emit('operation:error', { type: 'revert', collection: collectionName, id, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'revert',
+                collection: collectionName,
+                key: id
+            });
+        }
+    }
+
     async batchSet(collectionName, records) {
         try {
             this.emit('operation:start', { type: 'batchSet', collection: collectionName });
@@ -598,12 +719,241 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'batchSet',
                 collection: collectionName
             });
         }
     }
 
+    async updateMany(collectionName, filter, update, options = {}) {
+        try {
+            this.emit('operation:start', { type: 'updateMany', collection: collectionName });
+            const result = await this._request('POST', `/api/collections/${collectionName}/update-many`, { filter, update, dryRun: options.dryRun === true });
+            const response = this._transformResponse(result, 'updateMany', { collection: collectionName });
+            this.emit('operation:success', { type: 'updateMany', collection: collectionName, result: response });
+            if (!result.dryRun) {
+                result.ids.forEach(id => this.emit('record:updated', { collection: collectionName, id, data: update }));
+            }
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'updateMany', { collection: collectionName });
+            this.emit('operation:error', { type: 'updateMany', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'updateMany',
+                collection: collectionName
+            });
+        }
+    }
+
+    async deleteMany(collectionName, filter, options = {}) {
+        try {
+            this.emit('operation:start', { type: 'deleteMany', collection: collectionName });
+            const result = await this._request('POST', `/api/collections/${collectionName}/delete-many${this._permanentParam(options)}`, { filter, dryRun: options.dryRun === true });
+            const response = this._transformResponse(result, 'deleteMany', { collection: collectionName });
+            this.emit('operation:success', { type: 'deleteMany', collection: collectionName, result: response });
+            if (!result.dryRun) {
+                result.ids.forEach(id => this.emit('record:deleted', { collection: collectionName, key: id }));
+            }
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'deleteMany', { collection: collectionName });
+            this.emit('operation:error', { type: 'deleteMany', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'deleteMany',
+                collection: collectionName
+            });
+        }
+    }
+
+    async transaction(callback) {
+        const operations = [];
+        const preconditions = (options = {}) => ({
+            ...(options.ifRevision !== undefined && options.ifRevision !== null && { _rev: options.ifRevision }),
+            ...(options.match && { match: options.match })
+        });
+        const tx = {
+            create: (collectionName, data = {}) => {
+                operations.push({ op: 'create', collection: collectionName, data });
+                return tx;
+            },
+            update: (collectionName, id, data, options = {}) => {
+                operations.push({ op: 'update', collection: collectionName, id, data, ...preconditions(options) });
+                return tx;
+            },
+            delete: (collectionName, id, options = {}) => {
+                operations.push({ op: 'delete', collection: collectionName, id, ...preconditions(options) });
+                return tx;
+            },
+            increment: (collectionName, id, field, amount = 1, options = {}) => {
+                operations.push({ op: 'increment', collection: collectionName, id, field, value: amount, ...preconditions(options) });
+                return tx;
+            },
+            decrement: (collectionName, id, field, amount = 1, options = {}) => tx.increment(collectionName, id, field, -amount, options)
+        };
+
+        // Operations are only queued here; an error thrown by the callback aborts before anything is sent
+        await callback(tx);
+
+        try {
+            this.emit('operation:start', { type: 'transaction', operations: operations.length });
+            const result = operations.length > 0
+                ? await this._request('POST', '/api/transactions', { operations })
+                : { results: [], errors: [], total: 0 };
+            const response = this._transformResponse(result, 'transaction');
+            this.emit('operation:success', { type: 'transaction', result: response });
+            result.results.forEach(r => {
+                if (r.op === 'create') {
+                    this.emit('record:created', { collection: r.collection, id: r.id, data: r.record });
+                } else if (r.op === 'delete') {
+                    this.emit('record:deleted', { collection: r.collection, key: r.id });
+                } else {
+                    this.emit('record:updated', { collection: r.collection, id: r.id, data: r.record });
+                }
+            });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'transaction', { collection: error.response?.details?.collection });
+            this.emit('operation:error', { type: 'transaction', error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'transaction',
+                collection: errorResponse.error.collection
+            });
+        }
+    }
+
+    async trash(collectionName) {
+        try {
+            this.emit('operation:start', { type: 'trash', collection: collectionName });
+            const result = await this._request('GET', `/api/collections/${collectionName}/trash`);
+            const response = this._transformResponse(result, 'trash', { collection: collectionName });
+            this.emit('operation:success', { type: 'trash', collection: collectionName, result: response });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'trash', { collection: collectionName });
+            this.emit('operation:error', { type: 'trash', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'trash',
+                collection: collectionName
+            });
+        }
+    }
+
+    async restore(collectionName, ids) {
+        try {
+            this.emit('operation:start', { type: 'restore', collection: collectionName });
+            const result = await this._request('POST', `/api/collections/${collectionName}/trash/restore`, { ids: Array.isArray(ids) ? ids : [ids] });
+            const response = this._transformResponse(result, 'restore', { collection: collectionName });
+            this.emit('operation:success', { type: 'restore', collection: collectionName, result: response });
+            result.results.forEach(r => this.emit('record:created', { collection: collectionName, id: r.id, data: r.record }));
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'restore', { collection: collectionName });
+            this.emit('operation:error', { type: 'restore', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'restore',
+                collection: collectionName
+            });
+        }
+    }
+
+    async export(collectionName, options = {}) {
+        const { format = 'ndjson' } = options;
+        try {
+            this.emit('operation:start', { type: 'export', collection: collectionName });
+            const queryParams = this._buildQueryParams({ filter: options.filter, fields: options.fields });
+            const separator = queryParams ? '&' : '?';
+            const result = await this._request('GET', `/api/collections/${collectionName}/export${queryParams}${separator}format=${format}`);
+            const response = this._transformResponse(result, 'export', { collection: collectionName });
+            this.emit('operation:success', { type: 'export', collection: collectionName, result: response });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'export', { collection: collectionName });
+            this.emit('operation:error', { type: 'export', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'export',
+                collection: collectionName
+            });
+        }
+    }
+
+    async import(collectionName, data, options = {}) {
+        const { mode = 'upsert' } = options;
+        try {
+            this.emit('operation:start', { type: 'import', collection: collectionName });
+            // Arrays of records are sent as NDJSON; strings, Blobs and streams are sent as they are
+            const format = Array.isArray(data) ? 'ndjson' : (options.format || 'ndjson');
+            const body = Array.isArray(data) ? data.map(record => JSON.stringify(record)).join('\n') : data;
+            const params = new URLSearchParams({ format, mode, progress: 'true' });
+            const result = await this._streamRequest('POST', `/api/collections/${collectionName}/import?${params}`, body, IMPORT_CONTENT_TYPES[format], event => {
+                const progress = { collection: collectionName, processed: event.processed, imported: event.imported, failed: event.failed };
+                this.emit('import:progress', progress);
+                if (typeof options.onProgress === 'function') options.onProgress(progress);
+            }, options.timeout);
+            const response = this._transformResponse(result, 'import', { collection: collectionName });
+            this.emit('operation:success', { type: 'import', collection: collectionName, result: response });
+            return response;
+        } catch (error) {
+            const errorResponse = this._createErrorResponse(error, 'import', { collection: collectionName });
+            this.emit('operation:error', { type: 'import', collection: collectionName, error: errorResponse });
+            throw new DatabaseError(errorResponse.error.message, {
+                code: errorResponse.error.code,
+                status: errorResponse.error.status,
+                details: errorResponse.error.details,
+                operation: 'import',
+                collection: collectionName
+            });
+        }
+    }
+
+    // Changes made by any client are pushed over a shared WebSocket; returns a function that ends the subscription
+    subscribe(collectionName, filter, handler) {
+        if (typeof filter === 'function') {
+            handler = filter;
+            filter = null;
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('A handler function is required');
+        }
+        const subscription = {
+            id: `s${++this._subscriptionCounter}`,
+            collection: collectionName,
+            filter: filter || null,
+            handler,
+            resumeToken: null
+        };
+        this._subscriptions.set(subscription.id, subscription);
+        this._log(`Subscribing to ${collectionName}`, subscription.filter ? JSON.stringify(subscription.filter) : '');
+        if (this._isSocketOpen()) {
+            this._sendSubscribe(subscription);
+        } else {
+            this._connectRealtime();
+        }
+        return () => this._unsubscribe(subscription.id);
+    }
+
+    watch(collectionName, id, handler) {
+        return this.subscribe(collectionName, { id }, handler);
+    }
+
     async batchGet(collectionName, ids) {
         try {
             this.emit('operation:start', { type: 'batchGet', collection: collectionName });
@@ -617,16 +967,17 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'batchGet',
                 collection: collectionName
             });
         }
     }
 
-    async batchDelete(collectionName, ids) {
+    async batchDelete(collectionName, ids, options = {}) {
         try {
             this.emit('operation:start', { type: 'batchDelete', collection: collectionName });
-            const result = await this._request('POST', `/api/collections/${collectionName}/batch-delete`, { ids });
+            const result = await this._request('POST', `/api/collections/${collectionName}/batch-delete${this._permanentParam(options)}`, { ids });
             const response = this._transformResponse(result, 'batchDelete', { collection: collectionName });
             this.emit('operation:success', { type: 'batchDelete', collection: collectionName, result: response });
             if (result.results) {
@@ -643,6 +994,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'batchDelete',
                 collection: collectionName
             });
@@ -669,6 +1021,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'batchUpdate',
                 collection: collectionName
             });
@@ -688,6 +1041,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'keys',
                 collection: collectionName
             });
@@ -711,6 +1065,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'entries',
                 collection: collectionName
             });
@@ -730,6 +1085,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'size',
                 collection: collectionName
             });
@@ -748,6 +1104,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'health'
             });
         }
@@ -767,6 +1124,7 @@ class liekoDB extends EventEmitter {
             throw new DatabaseError(errorResponse.error.message, {
                 code: errorResponse.error.code,
                 status: errorResponse.error.status,
+                details: errorResponse.error.details,
                 operation: 'ping'
             });
         }
@@ -795,11 +1153,17 @@ class liekoDB extends EventEmitter {
             params.set('filter', JSON.stringify(options.filter));
         }
         if (options.fields) params.set('fields', options.fields.join(','));
+        if (options.asOf) params.set('asOf', options.asOf instanceof Date ? options.asOf.toISOString() : options.asOf);
         const queryString = params.toString() ? '?' + params.toString() : '';
         this._log('Query Params:', queryString);
         return queryString;
     }
 
+    // Collections with soft delete move deleted records to their trash unless the delete is permanent
+    _permanentParam(options) {
+        return options.permanent ? '?permanent=true' : '';
+    }
+
     _formatSize(bytes) {
         if (typeof bytes !== 'number' || bytes === 0) return '0 bytes';
         if (bytes < 1000) return `${bytes} bytes`;
@@ -923,6 +1287,200 @@ class liekoDB extends EventEmitter {
         }
     }
 
+    // Sends a raw body and reads an NDJSON response of progress events ending with a result or error line.
+    // The timeout restarts with every event, so long imports only fail when the server goes quiet.
+    async _streamRequest(method, endpoint, body, contentType, onProgress, timeout = this.timeout) {
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), timeout);
+        const options = {
+            method,
+            headers: { ...this._headers, 'Content-Type': contentType },
+            body,
+            signal: controller.signal
+        };
+        // Node's fetch only accepts a stream body in half-duplex mode
+        if (typeof body?.getReader === 'function' || typeof body?.pipe === 'function') options.duplex = 'half';
+        const startTime = performance.now();
+        try {
+            const response = await fetch(`${this.databaseUrl}${endpoint}`, options);
+            if (!response.ok) {
+                const responseData = await response.json().catch(() => null);
+                const error = new Error(responseData?.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.response = responseData;
+                throw error;
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let result = null;
+            const handleLine = line => {
+                if (line.trim() === '') return;
+                const event = JSON.parse(line);
+                if (event.type === 'progress') {
+                    onProgress(event);
+                } else if (event.type === 'error') {
+                    const error = new Error(event.error);
+                    error.status = event.status;
+                    error.response = event;
+                    throw error;
+                } else if (event.type === 'result') {
+                    const { type, ...report } = event;
+                    result = report;
+                }
+            };
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), timeout);
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            }
+            handleLine(buffer);
+            clearTimeout(timeoutId);
+            if (!result) {
+                throw new Error('The server closed the connection before reporting a result');
+            }
+            const duration = performance.now() - startTime;
+            this._log(`Request: ${method} ${endpoint} | Status: ${response.status} | Duration: ${this._formatDuration(duration)}`);
+            this.emit('request:completed', { method, endpoint, status: response.status, duration, durationHuman: this._formatDuration(duration) });
+            return result;
+        } catch (error) {
+            clearTimeout(timeoutId);
+            this._logError(`Request Failed: ${method} ${endpoint} | Status: ${error.status || 'N/A'} | Error: ${error.message}`);
+            this.emit('request:failed', { method, endpoint, status: error.status || 'N/A', error: error.message });
+            throw error;
+        }
+    }
+
+    // Browsers and Node 22+ have a global WebSocket; older Node versions use the `ws` package
+    _getWebSocket() {
+        if (this._WebSocket) return this._WebSocket;
+        if (typeof WebSocket !== 'undefined') return WebSocket;
+        if (typeof require === 'function') return require('ws');
+        throw new Error('No WebSocket implementation available; pass one as options.WebSocket');
+    }
+
+    _isSocketOpen() {
+        return this._socket !== null && this._socket.readyState === this._socket.OPEN;
+    }
+
+    _connectRealtime() {
+        if (this._socket || this._reconnectTimer) return;
+        const WebSocketImpl = this._getWebSocket();
+        const socket = new WebSocketImpl(`${this.databaseUrl.replace(/^http/, 'ws')}/api/realtime?token=${encodeURIComponent(this.token)}`);
+        this._socket = socket;
+        socket.onopen = () => {
+            this._reconnectAttempt = 0;
+            this._log('Realtime connection established');
+            this.emit('realtime:connected');
+            // Each subscription resumes after the last event it saw, so a reconnect does not lose changes
+            this._subscriptions.forEach(subscription => this._sendSubscribe(subscription));
+        };
+        socket.onmessage = event => this._handleRealtimeMessage(event.data);
+        socket.onerror = event => {
+            this._logError('Realtime connection error:', event.message || event.error?.message || 'unknown error');
+        };
+        socket.onclose = event => {
+            if (this._socket !== socket) return;
+            this._socket = null;
+            this._log(`Realtime connection closed (code ${event.code})`);
+            this.emit('realtime:disconnected', { code: event.code, reason: event.reason });
+            if (this._subscriptions.size > 0) this._scheduleReconnect();
+        };
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this._reconnectAttempt);
+        // Jitter keeps clients from reconnecting in lockstep after a server restart
+        const wait = Math.round(delay / 2 + Math.random() * delay / 2);
+        this._reconnectAttempt++;
+        this._log(`Reconnecting in ${wait}ms (attempt ${this._reconnectAttempt})`);
+        this.emit('realtime:reconnecting', { attempt: this._reconnectAttempt, delay: wait });
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._connectRealtime();
+        }, wait);
+    }
+
+    _closeRealtime() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        const socket = this._socket;
+        this._socket = null;
+        if (socket) {
+            socket.close();
+            this.emit('realtime:disconnected', { code: 1000, reason: 'No subscriptions left' });
+        }
+    }
+
+    _sendRealtime(message) {
+        if (this._isSocketOpen()) this._socket.send(JSON.stringify(message));
+    }
+
+    _sendSubscribe(subscription) {
+        this._sendRealtime({
+            type: 'subscribe',
+            subscription: subscription.id,
+            collection: subscription.collection,
+            filter: subscription.filter,
+            ...(subscription.resumeToken && { resumeToken: subscription.resumeToken })
+        });
+    }
+
+    _unsubscribe(id) {
+        if (!this._subscriptions.delete(id)) return;
+        this._sendRealtime({ type: 'unsubscribe', subscription: id });
+        if (this._subscriptions.size === 0) this._closeRealtime();
+    }
+
+    _handleRealtimeMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            this._logError('Invalid realtime message:', error.message);
+            return;
+        }
+        const subscription = this._subscriptions.get(message.subscription);
+        if (!subscription) {
+            if (message.type === 'error') this._logError('Realtime error:', message.error);
+            return;
+        }
+        const notify = event => {
+            try {
+                subscription.handler(event);
+            } catch (error) {
+                console.error('Subscription handler error:', error);
+            }
+        };
+        if (message.type === 'subscribed') {
+            subscription.resumeToken = message.resumeToken;
+            this.emit('realtime:subscribed', { collection: subscription.collection, filter: subscription.filter });
+        } else if (message.type === 'change') {
+            subscription.resumeToken = message.event.resumeToken;
+            notify(message.event);
+        } else if (message.type === 'reset') {
+            // Events were lost (server restart, collection dropped or restored); the handler should reload
+            subscription.resumeToken = message.resumeToken;
+            notify({ type: 'reset', collection: subscription.collection });
+        } else if (message.type === 'error') {
+            const error = new DatabaseError(message.error, {
+                code: message.code,
+                status: message.status,
+                operation: 'subscribe',
+                collection: subscription.collection
+            });
+            this._logError(`Subscription to ${subscription.collection} failed:`, message.error);
+            this.emit('realtime:error', error);
+            this._unsubscribe(subscription.id);
+        }
+    }
+
     _getByteLength(str) {
         if (typeof str !== 'string') return 0;
         if (typeof Buffer !== 'undefined') {
@@ -955,6 +1513,7 @@ class DatabaseError extends Error {
         this.operation = details.operation;
         this.collection = details.collection;
         this.key = details.key;
+        this.details = details.details;
         this.timestamp = new Date().toISOString();
     }
 
@@ -967,6 +1526,7 @@ class DatabaseError extends Error {
             operation: this.operation,
             collection: this.collection,
             key: this.key,
+            details: this.details,
             timestamp: this.timestamp
         };
     }
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6102 });
+    ({ token } = await server.createProject());
+    await server.request('POST', '/api/collections/orders/batch-set', {
+        records: [
+            { id: 'o1', customer: 'ann', total: 10, items: ['a', 'b'] },
+            { id: 'o2', customer: 'bob', total: 30, items: ['c'] },
+            { id: 'o3', customer: 'ann', total: 25, items: [] },
+            { id: 'o4', customer: 'cy', total: 5, status: 'void' }
+        ]
+    }, token);
+});
+
+after(() => server.close());
+
+function aggregate(pipeline) {
+    return server.request('POST', '/api/collections/orders/aggregate', { pipeline }, token);
+}
+
+test('pipelines match, group, sort, skip, limit and project', async () => {
+    const response = await aggregate([
+        { $match: { status: { $ne: 'void' } } },
+        { $group: { _id: '$customer', revenue: { $sum: '$total' }, average: { $avg: '$total' }, orders: { $count: {} }, ids: { $push: '$id' } } },
+        { $sort: { revenue: -1 } },
+        { $skip: 0 },
+        { $limit: 2 },
+        { $project: { customer: '$_id', revenue: 1, average: 1, orders: 1, ids: 1, _id: 0 } }
+    ]);
+    assert.strictEqual(response.status, 200, response.text);
+    assert.deepStrictEqual(response.body.data, [
+        { customer: 'ann', revenue: 35, average: 17.5, orders: 2, ids: ['o1', 'o3'] },
+        { customer: 'bob', revenue: 30, average: 30, orders: 1, ids: ['o2'] }
+    ]);
+});
+
+test('$unwind emits one record per array element', async () => {
+    const response = await aggregate([{ $unwind: '$items' }, { $project: { id: 1, items: 1 } }]);
+    assert.strictEqual(response.status, 200, response.text);
+    assert.deepStrictEqual(response.body.data.map(record => `${record.id}:${record.items}`), ['o1:a', 'o1:b', 'o2:c']);
+});
+
+test('invalid stages are rejected', async () => {
+    assert.strictEqual((await aggregate([{ $bogus: {} }])).status, 400);
+    assert.strictEqual((await aggregate([{ $limit: -1 }])).status, 400);
+    assert.strictEqual((await aggregate([{ $project: { a: 1, b: 0 } }])).status, 400);
+});
+
+test('output paths cannot reach Object.prototype', async () => {
+    const pipelines = [
+        [{ $project: { '__proto__.isAdmin': 'yes' } }],
+        [{ $project: { 'constructor.prototype.isAdmin': 'yes' } }],
+        [{ $unwind: '$__proto__.isAdmin' }],
+        // Parsed from JSON so '__proto__' is an own key, as it is in a request body
+        [JSON.parse('{"$group":{"_id":null,"__proto__":{"$sum":1}}}')]
+    ];
+    for (const pipeline of pipelines) {
+        const response = await aggregate(pipeline);
+        assert.strictEqual(response.status, 400, JSON.stringify(pipeline));
+    }
+
+    const filter = encodeURIComponent(JSON.stringify({ isAdmin: 'yes' }));
+    const matches = await server.request('GET', `/api/collections/orders?filter=${filter}`, undefined, token);
+    assert.deepStrictEqual(matches.body.data, []);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6115 });
+    ({ jwt, token, projectId } = await server.createProject());
+    await server.request('POST', '/api/collections/tasks/batch-set', {
+        records: [
+            { id: 't1', status: 'open', priority: 1 },
+            { id: 't2', status: 'open', priority: 5 },
+            { id: 't3', status: 'done', priority: 5 },
+            { id: 't4', status: 'open', priority: 9 }
+        ]
+    }, token);
+});
+
+after(() => server.close());
+
+async function statuses() {
+    const { body } = await server.request('GET', '/api/collections/tasks?sort=id', undefined, token);
+    return Object.fromEntries(body.data.map(record => [record.id, record.status]));
+}
+
+test('update-many applies an update to every matching record', async () => {
+    const preview = await server.request('POST', '/api/collections/tasks/update-many', {
+        filter: { status: 'open', priority: { $gte: 5 } }, update: { $set: { status: 'urgent' } }, dryRun: true
+    }, token);
+    assert.strictEqual(preview.status, 200, preview.text);
+    assert.deepStrictEqual(preview.body, { matched: 2, modified: 2, ids: ['t2', 't4'], errors: [], dryRun: true });
+    assert.deepStrictEqual(await statuses(), { t1: 'open', t2: 'open', t3: 'done', t4: 'open' });
+
+    const updated = await server.request('POST', '/api/collections/tasks/update-many', {
+        filter: { status: 'open', priority: { $gte: 5 } }, update: { $set: { status: 'urgent' }, $inc: { priority: 1 } }
+    }, token);
+    assert.strictEqual(updated.body.modified, 2);
+    assert.deepStrictEqual(await statuses(), { t1: 'open', t2: 'urgent', t3: 'done', t4: 'urgent' });
+    const { body: t4 } = await server.request('GET', '/api/collections/tasks/t4', undefined, token);
+    assert.deepStrictEqual({ priority: t4.priority, _rev: t4._rev }, { priority: 10, _rev: 2 });
+
+    // Records the update leaves unchanged are matched but not modified
+    const unchanged = await server.request('POST', '/api/collections/tasks/update-many', { filter: {}, update: { $set: { status: 'urgent' } } }, token);
+    assert.deepStrictEqual({ matched: unchanged.body.matched, ids: unchanged.body.ids }, { matched: 4, ids: ['t1', 't3'] });
+});
+
+test('update-many refuses missing filters and malformed updates', async () => {
+    const missing = await server.request('POST', '/api/collections/tasks/update-many', { update: { status: 'x' } }, token);
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.body.code, 'INVALID_FILTER');
+    const malformed = await server.request('POST', '/api/collections/tasks/update-many', { filter: {}, update: { $inc: { priority: 'x' } } }, token);
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual((await statuses()).t1, 'urgent');
+});
+
+test('delete-many removes matching records and needs full access', async () => {
+    const writer = await server.createToken(jwt, projectId, { permissions: 'write' });
+    const refused = await server.request('POST', '/api/collections/tasks/delete-many', { filter: {} }, writer.token);
+    assert.strictEqual(refused.status, 403);
+
+    const preview = await server.request('POST', '/api/collections/tasks/delete-many', { filter: { priority: { $gt: 5 } }, dryRun: true }, token);
+    assert.deepStrictEqual(preview.body, { matched: 2, deleted: 0, ids: ['t2', 't4'], dryRun: true });
+    const deleted = await server.request('POST', '/api/collections/tasks/delete-many', { filter: { priority: { $gt: 5 } } }, token);
+    assert.deepStrictEqual(deleted.body, { matched: 2, deleted: 2, ids: ['t2', 't4'], dryRun: false });
+    assert.deepStrictEqual(Object.keys(await statuses()), ['t1', 't3']);
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6118 });
+    ({ token } = await server.createProject());
+    await server.request('POST', '/api/collections/users', { id: 'seed', role: 'user' }, token);
+});
+
+after(() => server.close());
+
+// Reads server-sent events one at a time; `next()` resolves with the next event in arrival order
+async function openFeed(collection, query = '', headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.base}/api/collections/${collection}/changes?${query}`, {
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+        signal: controller.signal
+    });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    return {
+        status: response.status,
+        async next() {
+            for (;;) {
+                const end = buffer.indexOf('\n\n');
+                if (end !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+                        const colon = line.indexOf(': ');
+                        return [line.slice(0, colon), line.slice(colon + 2)];
+                    }));
+                    if (!fields.event) continue;
+                    return { event: fields.event, id: fields.id, data: JSON.parse(fields.data) };
+                }
+                const { value, done } = await reader.read();
+                if (done) throw new Error('Change feed closed');
+                buffer += value;
+            }
+        },
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+test('writes from every route arrive as change events', async () => {
+    const feed = await openFeed('users');
+    try {
+        const ready = await feed.next();
+        assert.strictEqual(ready.event, 'ready');
+
+        await server.request('POST', '/api/collections/users', { id: 'u1', role: 'admin' }, token);
+        await server.request('PUT', '/api/collections/users/u1', { role: 'user' }, token);
+        await server.request('POST', '/api/collections/users/update-many', { filter: { id: 'seed' }, update: { $set: { role: 'admin' } } }, token);
+        await server.request('POST', '/api/transactions', { operations: [{ op: 'delete', collection: 'users', id: 'u1' }] }, token);
+
+        const events = [await feed.next(), await feed.next(), await feed.next(), await feed.next()];
+        assert.deepStrictEqual(events.map(({ event, data }) => [event, data.type, data.id]), [
+            ['change', 'insert', 'u1'], ['change', 'update', 'u1'], ['change', 'update', 'seed'], ['change', 'delete', 'u1']
+        ]);
+        assert.strictEqual(events[1].data.record.role, 'user');
+        assert.strictEqual(events[3].data.record, null);
+        assert.strictEqual(events[3].id, events[3].data.resumeToken);
+    } finally {
+        feed.close();
+    }
+});
+
+test('filters and types narrow the stream', async () => {
+    const filter = encodeURIComponent(JSON.stringify({ role: 'admin' }));
+    const feed = await openFeed('users', `filter=${filter}&types=insert,delete`);
+    try {
+        await feed.next();
+        await server.request('POST', '/api/collections/users', { id: 'u2', role: 'user' }, token);
+        await server.request('PUT', '/api/collections/users/u2', { role: 'admin' }, token);
+        await server.request('DELETE', '/api/collections/users/u2', undefined, token);
+        await server.request('POST', '/api/collections/users', { id: 'u3', role: 'admin' }, token);
+
+        // The delete matches the record as it was
+        const events = [await feed.next(), await feed.next()];
+        assert.deepStrictEqual(events.map(({ data }) => [data.type, data.id]), [['delete', 'u2'], ['insert', 'u3']]);
+    } finally {
+        feed.close();
+    }
+
+    const invalid = await server.request('GET', '/api/collections/users/changes?types=upsert', undefined, token);
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('a resume token replays the missed events, and an unknown one resets', async () => {
+    const first = await openFeed('users');
+    const { data: ready } = await first.next();
+    first.close();
+
+    await server.request('POST', '/api/collections/users', { id: 'u4' }, token);
+    await server.request('POST', '/api/collections/users', { id: 'u5' }, token);
+
+    const resumed = await openFeed('users', '', { 'Last-Event-ID': ready.resumeToken });
+    try {
+        const events = [await resumed.next(), await resumed.next(), await resumed.next()];
+        assert.deepStrictEqual(events.map(({ event, data }) => [event, data.id]), [['change', 'u4'], ['change', 'u5'], ['ready', undefined]]);
+    } finally {
+        resumed.close();
+    }
+
+    const stale = await openFeed('users', 'resumeToken=unknown.1');
+    try {
+        assert.strictEqual((await stale.next()).event, 'reset');
+        assert.strictEqual((await stale.next()).event, 'ready');
+    } finally {
+        stale.close();
+    }
+});
+
+test('the token can be passed in the query string', async () => {
+    const response = await fetch(`${server.base}/api/collections/users/changes?token=${token}`, { signal: AbortSignal.timeout(10000) });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    await response.body.cancel();
+    assert.strictEqual((await fetch(`${server.base}/api/collections/users/changes`)).status, 401);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6107, env: { FLUSH_INTERVAL_MS: '100' } });
+    ({ token, projectId } = await server.createProject());
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('writes are flushed in the background and survive a restart', async () => {
+    await server.request('POST', '/api/collections/items', { id: 'i1', value: 1 }, token);
+    await server.request('PUT', '/api/collections/items/i1', { value: 2 }, token);
+    await wait(500);
+    const file = JSON.parse(await fs.readFile(path.join(server.storageDir, 'projects', projectId, 'items.json'), 'utf8'));
+    assert.strictEqual(file.i1.value, 2);
+
+    await server.restart();
+    const { body } = await server.request('GET', '/api/collections/items/i1', undefined, token);
+    assert.strictEqual(body.value, 2);
+});
+
+test('a write that does not reach the log is never visible', async () => {
+    await server.request('POST', '/api/collections/items', { id: 'i2', value: 1 }, token);
+    await wait(500);
+    // A directory where the write-ahead log goes makes every append to it fail
+    const walPath = path.join(server.storageDir, 'projects', projectId, 'items.wal');
+    await fs.rm(walPath, { force: true });
+    await fs.mkdir(walPath);
+    try {
+        assert.strictEqual((await server.request('POST', '/api/collections/items', { id: 'i3' }, token)).status, 500);
+        assert.strictEqual((await server.request('PUT', '/api/collections/items/i2', { value: 2 }, token)).status, 500);
+        const batch = await server.request('POST', '/api/collections/items/batch-set', { records: [{ id: 'i4' }, { id: 'i5' }] }, token);
+        assert.strictEqual(batch.status, 500);
+
+        assert.strictEqual((await server.request('GET', '/api/collections/items/i3', undefined, token)).status, 404);
+        const { body } = await server.request('GET', '/api/collections/items/i2', undefined, token);
+        assert.strictEqual(body.value, 1);
+        const keys = await server.request('GET', '/api/collections/items/keys', undefined, token);
+        assert.deepStrictEqual(keys.body.keys, ['i1', 'i2']);
+    } finally {
+        await fs.rmdir(walPath);
+    }
+});
+
+test('later items of a batch see the earlier ones', async () => {
+    const created = await server.request('POST', '/api/collections/items/batch-set', { records: [{ id: 'd1', n: 1 }, { id: 'd1', n: 2 }] }, token);
+    assert.deepStrictEqual(created.body.results.map(result => result.id), ['d1']);
+    assert.strictEqual(created.body.errors[0].code, 'RECORD_EXISTS');
+
+    const updated = await server.request('POST', '/api/collections/items/batch-update', {
+        updates: [{ id: 'd1', data: { $inc: { n: 1 } } }, { id: 'd1', data: { $inc: { n: 1 } } }]
+    }, token);
+    assert.strictEqual(updated.status, 200, updated.text);
+    const { body } = await server.request('GET', '/api/collections/items/d1', undefined, token);
+    assert.strictEqual(body.n, 3);
+    assert.strictEqual(body._rev, 3);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6112 });
+    ({ token } = await server.createProject());
+});
+
+after(() => server.close());
+
+function settings(collection, body) {
+    return server.request('PUT', `/api/collections/${collection}/settings`, body, token);
+}
+
+test('unique fields and compound keys reject duplicates on every write path', async () => {
+    await server.request('POST', '/api/collections/users', { id: 'u1', email: 'ann@x.io', orgId: 'o1', slug: 'ann' }, token);
+    const saved = await settings('users', { unique: ['email', ['orgId', 'slug']] });
+    assert.strictEqual(saved.status, 200, saved.text);
+
+    const created = await server.request('POST', '/api/collections/users', { id: 'u2', email: 'ann@x.io' }, token);
+    assert.strictEqual(created.status, 409);
+    assert.strictEqual(created.body.code, 'UNIQUE_VIOLATION');
+    assert.deepStrictEqual(created.body.details, { fields: ['email'], conflictingId: 'u1' });
+
+    const compound = await server.request('POST', '/api/collections/users', { id: 'u2', orgId: 'o1', slug: 'ann' }, token);
+    assert.strictEqual(compound.status, 409);
+    // Records missing a constrained field are not checked
+    assert.strictEqual((await server.request('POST', '/api/collections/users', { id: 'u2', orgId: 'o2', slug: 'ann' }, token)).status, 201);
+    assert.strictEqual((await server.request('POST', '/api/collections/users', { id: 'u3' }, token)).status, 201);
+    assert.strictEqual((await server.request('POST', '/api/collections/users', { id: 'u4' }, token)).status, 201);
+
+    const updated = await server.request('PUT', '/api/collections/users/u3', { email: 'ann@x.io' }, token);
+    assert.strictEqual(updated.status, 409);
+    const batch = await server.request('POST', '/api/collections/users/batch-set', {
+        records: [{ id: 'u5', email: 'new@x.io' }, { id: 'u6', email: 'new@x.io' }]
+    }, token);
+    assert.deepStrictEqual(batch.body.results.map(result => result.id), ['u5']);
+    assert.strictEqual(batch.body.errors[0].code, 'UNIQUE_VIOLATION');
+
+    // A value freed by a delete can be taken again
+    await server.request('DELETE', '/api/collections/users/u1', undefined, token);
+    assert.strictEqual((await server.request('PUT', '/api/collections/users/u3', { email: 'ann@x.io' }, token)).status, 200);
+});
+
+test('a unique constraint is refused while existing records break it', async () => {
+    await server.request('POST', '/api/collections/tags/batch-set', { records: [{ id: 't1', name: 'a' }, { id: 't2', name: 'a' }] }, token);
+    const refused = await settings('tags', { unique: ['name'] });
+    assert.strictEqual(refused.status, 409);
+    assert.strictEqual(refused.body.code, 'UNIQUE_VIOLATION');
+    assert.strictEqual((await server.request('POST', '/api/collections/tags', { id: 't3', name: 'a' }, token)).status, 201);
+});
+
+const schema = {
+    type: 'object',
+    required: ['email'],
+    properties: {
+        email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+        age: { type: 'integer', minimum: 0 }
+    }
+};
+
+test('schemas are checked against existing records before they are enforced', async () => {
+    await server.request('POST', '/api/collections/people/batch-set', {
+        records: [{ id: 'p1', email: 'a@b.c', age: 3 }, { id: 'p2', email: 'a@b.c', age: -1 }]
+    }, token);
+    const report = await server.request('POST', '/api/collections/people/validate', { schema }, token);
+    assert.strictEqual(report.status, 200, report.text);
+    assert.strictEqual(report.body.valid, false);
+    assert.strictEqual(report.body.checked, 2);
+    assert.deepStrictEqual(report.body.violations.map(violation => violation.id), ['p2']);
+    assert.strictEqual(report.body.violations[0].errors[0].keyword, 'minimum');
+});
+
+test('an enforced schema rejects invalid creates, updates, batches and increments', async () => {
+    await server.request('DELETE', '/api/collections/people/p2', undefined, token);
+    assert.strictEqual((await settings('people', { schema })).status, 200);
+
+    const created = await server.request('POST', '/api/collections/people', { id: 'p3', email: 'nope' }, token);
+    assert.strictEqual(created.status, 400);
+    assert.strictEqual(created.body.code, 'VALIDATION_FAILED');
+    assert.strictEqual(created.body.details.errors[0].path, 'email');
+
+    assert.strictEqual((await server.request('PUT', '/api/collections/people/p1', { $unset: { email: '' } }, token)).status, 400);
+    const batch = await server.request('POST', '/api/collections/people/batch-set', { records: [{ id: 'p4', email: 'x@y.z' }, { id: 'p5' }] }, token);
+    assert.deepStrictEqual(batch.body.results.map(result => result.id), ['p4']);
+    assert.strictEqual(batch.body.errors[0].code, 'VALIDATION_FAILED');
+    const decremented = await server.request('POST', '/api/collections/people/p1/decrement', { field: 'age', value: 10 }, token);
+    assert.strictEqual(decremented.status, 400);
+
+    const { body } = await server.request('GET', '/api/collections/people/p1', undefined, token);
+    assert.deepStrictEqual({ email: body.email, age: body.age }, { email: 'a@b.c', age: 3 });
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+let projectId;
+
+// Nothing is flushed in the background, so after a crash the write-ahead log holds every change
+before(async () => {
+    server = await startServer({ port: 6109, env: { FLUSH_INTERVAL_MS: '3600000' } });
+    ({ token, projectId } = await server.createProject());
+});
+
+after(() => server.close());
+
+function projectFile(name) {
+    return path.join(server.storageDir, 'projects', projectId, name);
+}
+
+async function getRecord(collection, id) {
+    const { status, body } = await server.request('GET', `/api/collections/${collection}/${id}`, undefined, token);
+    return status === 200 ? body : null;
+}
+
+function walLine(changes, txn) {
+    return JSON.stringify({ ts: new Date().toISOString(), ...(txn && { txn }), changes }) + '\n';
+}
+
+test('acknowledged writes survive a crash and are checkpointed on startup', async () => {
+    await server.request('POST', '/api/collections/items', { id: 'a1', value: 1 }, token);
+    await server.request('POST', '/api/collections/items', { id: 'a2', value: 1 }, token);
+    await server.request('PUT', '/api/collections/items/a1', { value: 2 }, token);
+    await server.request('DELETE', '/api/collections/items/a2', undefined, token);
+    await server.request('POST', '/api/collections/items/batch-set', { records: [{ id: 'b1' }, { id: 'b2' }] }, token);
+
+    await server.stop('SIGKILL');
+    await fs.access(projectFile('items.wal'));
+    await server.start();
+
+    assert.strictEqual((await getRecord('items', 'a1')).value, 2);
+    assert.strictEqual(await getRecord('items', 'a2'), null);
+    assert.ok(await getRecord('items', 'b2'));
+    await assert.rejects(fs.access(projectFile('items.wal')));
+    const file = JSON.parse(await fs.readFile(projectFile('items.json'), 'utf8'));
+    assert.deepStrictEqual(Object.keys(file).sort(), ['a1', 'b1', 'b2']);
+});
+
+test('a torn last line is skipped', async () => {
+    await server.request('POST', '/api/collections/items', { id: 'c1' }, token);
+    await server.stop('SIGKILL');
+    await fs.appendFile(projectFile('items.wal'), '{"ts":"2026-01-01T00:00:00.000Z","changes":[{"op":"put","id":"torn"');
+    await server.start();
+
+    assert.ok(await getRecord('items', 'c1'));
+    assert.strictEqual(await getRecord('items', 'torn'), null);
+});
+
+test('logs with one change per line are replayed', async () => {
+    await server.stop('SIGKILL');
+    await fs.writeFile(projectFile('items.wal'), [
+        JSON.stringify({ ts: new Date().toISOString(), op: 'put', id: 'old1', record: { id: 'old1', _rev: 1 } }),
+        JSON.stringify({ ts: new Date().toISOString(), op: 'delete', id: 'c1' })
+    ].join('\n') + '\n');
+    await server.start();
+
+    assert.ok(await getRecord('items', 'old1'));
+    assert.strictEqual(await getRecord('items', 'c1'), null);
+});
+
+test('an unrecognized line stops the startup', async () => {
+    await server.stop();
+    await fs.writeFile(projectFile('items.wal'), '{"unexpected":true}\n');
+    await assert.rejects(server.start(), /exited during startup/);
+
+    await fs.unlink(projectFile('items.wal'));
+    await server.start();
+    assert.ok(await getRecord('items', 'old1'));
+});
+
+test('transaction lines count only once their id is in the transaction log', async () => {
+    await server.request('POST', '/api/collections/orders', { id: 'seed' }, token);
+    await server.stop();
+    await fs.writeFile(projectFile('items.wal'), walLine([{ op: 'put', id: 'committed', record: { id: 'committed' } }], 'txn-1')
+        + walLine([{ op: 'put', id: 'uncommitted', record: { id: 'uncommitted' } }], 'txn-2'));
+    await fs.writeFile(projectFile('orders.wal'), walLine([{ op: 'put', id: 'uncommitted', record: { id: 'uncommitted' } }], 'txn-2'));
+    await fs.writeFile(projectFile('transactions.log'), 'txn-1\n');
+    await server.start();
+
+    assert.ok(await getRecord('items', 'committed'));
+    assert.strictEqual(await getRecord('items', 'uncommitted'), null);
+    assert.strictEqual(await getRecord('orders', 'uncommitted'), null);
+    await assert.rejects(fs.access(projectFile('transactions.log')));
+});
+
+test('the sqlite driver keeps acknowledged writes across a crash', async () => {
+    const sqlite = await startServer({ port: 6110, env: { STORAGE_DRIVER: 'sqlite' } });
+    try {
+        const { token: sqliteToken } = await sqlite.createProject();
+        await sqlite.request('POST', '/api/collections/items', { id: 'q1', value: 1 }, sqliteToken);
+        await sqlite.request('PUT', '/api/collections/items/q1', { value: 2 }, sqliteToken);
+        await sqlite.request('POST', '/api/transactions', {
+            operations: [
+                { op: 'create', collection: 'items', data: { id: 'q2' } },
+                { op: 'create', collection: 'others', data: { id: 'o1' } }
+            ]
+        }, sqliteToken);
+
+        await sqlite.restart('SIGKILL');
+        await fs.access(path.join(sqlite.storageDir, 'liekodb.sqlite'));
+        const { body } = await sqlite.request('GET', '/api/collections/items/q1', undefined, sqliteToken);
+        assert.strictEqual(body.value, 2);
+        assert.strictEqual((await sqlite.request('GET', '/api/collections/items/q2', undefined, sqliteToken)).status, 200);
+        assert.strictEqual((await sqlite.request('GET', '/api/collections/others/o1', undefined, sqliteToken)).status, 200);
+    } finally {
+        await sqlite.close();
+    }
+});
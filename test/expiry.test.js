@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6108, env: { EXPIRY_SWEEP_INTERVAL_MS: '200', FLUSH_INTERVAL_MS: '100' } });
+    ({ token, projectId } = await server.createProject());
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readCollectionFile(name) {
+    return JSON.parse(await fs.readFile(path.join(server.storageDir, 'projects', projectId, `${name}.json`), 'utf8'));
+}
+
+async function isFlagged(name) {
+    const manageDB = JSON.parse(await fs.readFile(path.join(server.storageDir, 'manageDB.json'), 'utf8'));
+    const project = manageDB.projects.find(p => p.id === projectId);
+    return Boolean(project.collections.find(c => c.name === name)?.expiring);
+}
+
+test('expired records are hidden at once and swept from storage', async () => {
+    await server.request('POST', '/api/collections/sessions', { id: 's1', expiresAt: new Date(Date.now() + 300).toISOString() }, token);
+    await server.request('POST', '/api/collections/sessions', { id: 's2' }, token);
+    assert.strictEqual(await isFlagged('sessions'), true);
+
+    await wait(400);
+    assert.strictEqual((await server.request('GET', '/api/collections/sessions/s1', undefined, token)).status, 404);
+    const created = await server.request('POST', '/api/collections/sessions', { id: 's1' }, token);
+    assert.strictEqual(created.status, 201, created.text);
+
+    await server.request('POST', '/api/collections/sessions', { id: 's3', expiresAt: new Date(Date.now() + 200).toISOString() }, token);
+    await wait(800);
+    assert.deepStrictEqual(Object.keys(await readCollectionFile('sessions')).sort(), ['s1', 's2']);
+    assert.strictEqual(await isFlagged('sessions'), false);
+});
+
+test('after a restart only flagged collections and collections with a ttl are read', async () => {
+    await server.request('POST', '/api/collections/plain', { id: 'p1' }, token);
+    await server.request('POST', '/api/collections/tokens', { id: 't1', expiresAt: new Date(Date.now() + 1500).toISOString() }, token);
+    await server.stop();
+
+    // Reading this collection would fail, and with it the sweep
+    await fs.writeFile(path.join(server.storageDir, 'projects', projectId, 'plain.json'), '{');
+    await server.start();
+    await wait(2000);
+    assert.deepStrictEqual(await readCollectionFile('tokens'), {});
+});
@@ -0,0 +1,102 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const INDEX = path.join(__dirname, '..', 'index.js');
+
+// Runs index.js on its own port and storage directory; test files run in parallel, so each one picks a distinct port
+async function startServer({ port, env = {} }) {
+    const base = `http://localhost:${port}`;
+    const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'liekodb-test-'));
+    let child = null;
+
+    const server = {
+        base,
+        storageDir,
+
+        async start() {
+            child = spawn(process.execPath, [INDEX], {
+                env: {
+                    ...process.env,
+                    PORT: String(port),
+                    STORAGE_DIR: storageDir,
+                    SNAPSHOT_INTERVAL_MS: '0',
+                    ADMIN_USERNAME: 'admin',
+                    ADMIN_PASSWORD: 'admin123',
+                    ...env
+                },
+                stdio: process.env.TEST_SERVER_LOGS ? 'inherit' : 'ignore'
+            });
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const ready = await Promise.race([
+                    new Promise(resolve => setTimeout(resolve, 100)).then(() => fetch(`${base}/api/ping`).then(response => response.ok, () => false)),
+                    exited.then(() => 'exited')
+                ]);
+                if (ready === 'exited') throw new Error('Server exited during startup');
+                if (ready) return;
+            }
+            throw new Error('Server did not start');
+        },
+
+        // SIGKILL stands in for a crash: nothing is flushed
+        async stop(signal = 'SIGTERM') {
+            if (!child || child.exitCode !== null || child.signalCode !== null) return;
+            await new Promise(resolve => {
+                child.once('exit', resolve);
+                child.kill(signal);
+            });
+        },
+
+        async restart(signal = 'SIGTERM') {
+            await server.stop(signal);
+            await server.start();
+        },
+
+        async close() {
+            await server.stop();
+            await fs.rm(storageDir, { recursive: true, force: true });
+        },
+
+        async request(method, url, body, token, headers = {}) {
+            const response = await fetch(base + url, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(10000)
+            });
+            const text = await response.text();
+            let json = null;
+            try {
+                json = JSON.parse(text);
+            } catch { }
+            return { status: response.status, body: json, text, headers: response.headers };
+        },
+
+        async login() {
+            const response = await server.request('POST', '/api/auth/login', { username: 'admin', password: 'admin123' });
+            return response.body.token;
+        },
+
+        // A fresh project and its full-access token
+        async createProject(name = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`) {
+            const jwt = await server.login();
+            const project = await server.request('POST', '/api/projects', { name }, jwt);
+            const validated = await server.request('GET', '/api/token/validate', undefined, project.body.token);
+            return { jwt, token: project.body.token, projectId: validated.body.project.id };
+        },
+
+        // Another token of the project, e.g. { name, permissions: 'read', collections: ['posts'] }
+        async createToken(jwt, projectId, options) {
+            const response = await server.request('POST', `/api/projects/${projectId}/tokens`, { name: 'test', ...options }, jwt);
+            if (response.status !== 201) throw new Error(`Token creation failed: ${response.text}`);
+            return response.body;
+        }
+    };
+
+    await server.start();
+    return server;
+}
+
+module.exports = { startServer };
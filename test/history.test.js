@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6104 });
+    ({ token, projectId } = await server.createProject());
+    await server.request('POST', '/api/collections/accounts', { id: 'acc', balance: 10 }, token);
+    await server.request('PUT', '/api/collections/accounts/settings', { history: true }, token);
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('updates keep previous versions that can be read back and reverted to', async () => {
+    await server.request('PUT', '/api/collections/accounts/acc', { balance: 20 }, token);
+    await wait(20);
+    const between = new Date().toISOString();
+    await wait(20);
+    await server.request('PUT', '/api/collections/accounts/acc', { balance: 30 }, token);
+
+    const history = await server.request('GET', '/api/collections/accounts/acc/history', undefined, token);
+    assert.strictEqual(history.status, 200, history.text);
+    assert.strictEqual(history.body.current.balance, 30);
+    assert.deepStrictEqual(history.body.versions.map(version => version.record.balance), [20, 10]);
+
+    const asOf = await server.request('GET', `/api/collections/accounts/acc?asOf=${encodeURIComponent(between)}`, undefined, token);
+    assert.strictEqual(asOf.status, 200, asOf.text);
+    assert.strictEqual(asOf.body.balance, 20);
+
+    const oldest = history.body.versions.at(-1).record;
+    const reverted = await server.request('POST', '/api/collections/accounts/acc/revert', { version: oldest._rev }, token);
+    assert.strictEqual(reverted.status, 200, reverted.text);
+    const { body } = await server.request('GET', '/api/collections/accounts/acc', undefined, token);
+    assert.strictEqual(body.balance, 10);
+});
+
+test('history collections cannot be reached or forged through collection routes', async () => {
+    const forged = await server.request('POST', '/api/collections/accounts.history', { id: 'acc', versions: [] }, token);
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual(forged.body.code, 'INVALID_COLLECTION_NAME');
+    assert.strictEqual((await server.request('GET', '/api/collections/accounts.history', undefined, token)).status, 400);
+    assert.strictEqual((await server.request('GET', '/api/collections/accounts.history/acc', undefined, token)).status, 400);
+
+    const registered = await server.request('PUT', `/api/projects/${projectId}/collections`, { collections: [{ name: 'accounts.history' }] }, token);
+    assert.strictEqual(registered.status, 400);
+
+    const history = await server.request('GET', '/api/collections/accounts/acc/history', undefined, token);
+    assert.ok(history.body.versions.length >= 2);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6103, env: { HOOK_TIMEOUT_MS: '50', HOOK_BUDGET_MS: '200' } });
+    ({ token } = await server.createProject());
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Settings belong to an existing collection, so a seed record creates it first
+async function setHooks(collection, hooks) {
+    await server.request('POST', `/api/collections/${collection}`, { id: 'seed' }, token);
+    return server.request('PUT', `/api/collections/${collection}/settings`, { hooks }, token);
+}
+
+async function getRecord(collection, id) {
+    const { body } = await server.request('GET', `/api/collections/${collection}/${id}`, undefined, token);
+    return body;
+}
+
+test('before hooks change or reject writes and after hooks write to other collections', async () => {
+    await server.request('POST', '/api/collections/authors', { id: 'a1', posts: 0 }, token);
+    const settings = await setHooks('posts', {
+        beforeInsert: "if (!event.record.title) reject('A post needs a title', { code: 'TITLE_REQUIRED', status: 422 });\nreturn { ...event.record, slug: event.record.title.toLowerCase().replace(/\\W+/g, '-'), id: 'changed' };",
+        beforeDelete: "if (event.previous.locked) reject('Locked posts cannot be deleted');",
+        afterInsert: "db.increment('authors', event.record.author, 'posts');"
+    });
+    assert.strictEqual(settings.status, 200, settings.text);
+
+    const created = await server.request('POST', '/api/collections/posts', { id: 'p1', title: 'Hello World', author: 'a1', locked: true }, token);
+    assert.strictEqual(created.status, 201, created.text);
+    const post = await getRecord('posts', 'p1');
+    assert.strictEqual(post.slug, 'hello-world');
+    assert.strictEqual(post.id, 'p1');
+
+    const rejected = await server.request('POST', '/api/collections/posts', { id: 'p2' }, token);
+    assert.strictEqual(rejected.status, 422);
+    assert.strictEqual(rejected.body.code, 'TITLE_REQUIRED');
+
+    const locked = await server.request('DELETE', '/api/collections/posts/p1', undefined, token);
+    assert.strictEqual(locked.status, 400);
+    assert.strictEqual(locked.body.code, 'HOOK_REJECTED');
+
+    await wait(300);
+    assert.strictEqual((await getRecord('authors', 'a1')).posts, 1);
+});
+
+test('hook source with a syntax error or an unknown hook name is refused', async () => {
+    assert.strictEqual((await setHooks('drafts', { beforeInsert: 'return {' })).status, 400);
+    assert.strictEqual((await setHooks('drafts', { onWhatever: 'return 1' })).status, 400);
+});
+
+test('before hooks cannot write through db', async () => {
+    await setHooks('notes', { beforeInsert: "db.create('log', { note: 'x' });" });
+    const response = await server.request('POST', '/api/collections/notes', { id: 'n1' }, token);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.body.code, 'HOOK_FAILED');
+});
+
+test('a looping hook fails with HOOK_FAILED and the server keeps answering', async () => {
+    await setHooks('loops', { beforeInsert: 'for (;;) {}' });
+    const response = await server.request('POST', '/api/collections/loops', { id: 'l1' }, token);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.body.code, 'HOOK_FAILED');
+    assert.strictEqual((await server.request('GET', '/api/ping')).status, 200);
+});
+
+test('promise jobs queued by a hook are bound by the time limit', async () => {
+    const settings = await setHooks('jobs', { beforeInsert: 'Promise.resolve().then(() => { for (;;) {} });\nreturn event.record;' });
+    assert.strictEqual(settings.status, 200, settings.text);
+
+    const response = await server.request('POST', '/api/collections/jobs', { id: 'j1' }, token);
+    assert.strictEqual(response.status, 500, response.text);
+    assert.strictEqual(response.body.code, 'HOOK_FAILED');
+    assert.strictEqual((await server.request('GET', '/api/ping')).status, 200);
+    assert.strictEqual((await server.request('GET', '/api/collections/jobs/j1', undefined, token)).status, 404);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6117 });
+    ({ jwt, token, projectId } = await server.createProject());
+    await server.request('POST', '/api/collections/users/batch-set', {
+        records: [
+            { id: 'u1', name: 'Ann, "A"', age: 31, tags: ['a'], active: true },
+            { id: 'u2', name: 'Bob', age: 17, address: { city: 'Lyon' }, active: false }
+        ]
+    }, token);
+});
+
+after(() => server.close());
+
+function exportCollection(collection, query) {
+    return server.request('GET', `/api/collections/${collection}/export?${query}`, undefined, token);
+}
+
+function importCollection(collection, query, text, importToken = token) {
+    return fetch(`${server.base}/api/collections/${collection}/import?${query}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${importToken}`, 'Content-Type': 'text/plain' },
+        body: text
+    }).then(async response => ({ status: response.status, text: await response.text() }));
+}
+
+function report(response) {
+    assert.strictEqual(response.status, 200, response.text);
+    return JSON.parse(response.text);
+}
+
+async function listRecords(collection) {
+    const { body } = await server.request('GET', `/api/collections/${collection}?sort=id`, undefined, token);
+    return body.data.map(({ _rev, createdAt, updatedAt, ...record }) => record);
+}
+
+test('every format exports and imports back to the same records', async () => {
+    const original = await listRecords('users');
+    for (const format of ['ndjson', 'csv', 'json']) {
+        const exported = await exportCollection('users', `format=${format}`);
+        assert.strictEqual(exported.status, 200, exported.text);
+        assert.strictEqual(exported.headers.get('content-disposition'), `attachment; filename="users.${format}"`);
+
+        const imported = report(await importCollection(`copy_${format}`, `format=${format}`, exported.text));
+        assert.deepStrictEqual({ imported: imported.imported, created: imported.created, failed: imported.failed }, { imported: 2, created: 2, failed: 0 });
+        const copied = await listRecords(`copy_${format}`);
+        if (format === 'csv') {
+            // CSV has a column for every field, so missing fields come back as empty values
+            assert.deepStrictEqual(copied.map(record => record.name), original.map(record => record.name));
+            assert.deepStrictEqual(copied[1].address, { city: 'Lyon' });
+            assert.deepStrictEqual(copied[0].tags, ['a']);
+            assert.strictEqual(copied[0].active, true);
+        } else {
+            assert.deepStrictEqual(copied, original);
+        }
+    }
+
+    const filtered = await exportCollection('users', `fields=id,name&filter=${encodeURIComponent('{"age":{"$gte":18}}')}`);
+    assert.deepStrictEqual(filtered.text.trim().split('\n').map(line => JSON.parse(line)), [{ id: 'u1', name: 'Ann, "A"' }]);
+});
+
+test('modes decide what happens to existing records, and failing lines are reported', async () => {
+    const inserted = report(await importCollection('people', 'mode=insert', '{"id":"p1"}\n{"id":"p1"}\nnot json\n{"name":"no id"}\n'));
+    assert.deepStrictEqual({ processed: inserted.processed, created: inserted.created, failed: inserted.failed }, { processed: 4, created: 2, failed: 2 });
+    assert.deepStrictEqual(inserted.errors.map(error => [error.line, error.code]), [[2, 'RECORD_EXISTS'], [3, 'INVALID_REQUEST_BODY']]);
+
+    const upserted = report(await importCollection('people', '', '{"id":"p1","v":2}\n{"id":"p2"}\n'));
+    assert.deepStrictEqual({ created: upserted.created, updated: upserted.updated }, { created: 1, updated: 1 });
+
+    const writer = await server.createToken(jwt, projectId, { permissions: 'write' });
+    assert.strictEqual((await importCollection('people', 'mode=replace', '{"id":"p1"}\n', writer.token)).status, 403);
+    const replaced = report(await importCollection('people', 'mode=replace', '{"id":"p1","v":3}\n'));
+    assert.strictEqual(replaced.deleted, 2);
+    assert.deepStrictEqual(await listRecords('people'), [{ id: 'p1', v: 3 }]);
+});
+
+test('progress imports stream one line per batch and the report last', async () => {
+    const lines = Array.from({ length: 1200 }, (_, i) => JSON.stringify({ id: `r${i}`, n: i })).join('\n');
+    const response = await importCollection('bulk', 'progress=true', lines);
+    assert.strictEqual(response.status, 200);
+    const events = response.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(events.filter(event => event.type === 'progress').map(event => event.processed), [500, 1000, 1200]);
+    assert.strictEqual(events.at(-1).type, 'result');
+    assert.strictEqual(events.at(-1).imported, 1200);
+});
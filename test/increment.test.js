@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6099 });
+    ({ token } = await server.createProject());
+});
+
+after(() => server.close());
+
+test('parallel increments on one record are all applied', async () => {
+    const N = 100;
+    const created = await server.request('POST', '/api/collections/counters', { id: 'hits', value: 0 }, token);
+    assert.strictEqual(created.status, 201);
+
+    const responses = await Promise.all(Array.from({ length: N }, () =>
+        server.request('POST', '/api/collections/counters/hits/increment', { field: 'value' }, token)
+    ));
+    assert.deepStrictEqual(responses.filter(response => response.status !== 200).map(response => response.body), []);
+
+    const { body: hits } = await server.request('GET', '/api/collections/counters/hits', undefined, token);
+    assert.strictEqual(hits.value, N);
+    assert.strictEqual(hits._rev, N + 1);
+});
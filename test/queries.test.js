@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6114 });
+    ({ token } = await server.createProject());
+    await server.request('POST', '/api/collections/users/batch-set', {
+        records: [
+            { id: 'u1', name: 'Ann', age: 31, role: 'admin', tags: ['a', 'b'], address: { city: 'Paris' }, scores: [{ game: 'go', points: 9 }] },
+            { id: 'u2', name: 'Bob', age: 17, role: 'user', tags: ['b'], address: { city: 'Lyon' }, scores: [{ game: 'go', points: 3 }] },
+            { id: 'u3', name: 'Cy', age: 45, tags: [], address: { city: 'Paris' } },
+            { id: 'u4', name: 'Di', age: 25, role: 'user', tags: ['a', 'b', 'c'], scores: [{ game: 'chess', points: 9 }] }
+        ]
+    }, token);
+});
+
+after(() => server.close());
+
+async function find(filter, query = '') {
+    const response = await server.request('GET', `/api/collections/users?filter=${encodeURIComponent(JSON.stringify(filter))}${query}`, undefined, token);
+    assert.strictEqual(response.status, 200, response.text);
+    return response.body;
+}
+
+async function ids(filter) {
+    return (await find(filter)).data.map(record => record.id).sort();
+}
+
+test('logical operators combine and negate conditions', async () => {
+    assert.deepStrictEqual(await ids({ $or: [{ age: { $lt: 18 } }, { role: 'admin' }] }), ['u1', 'u2']);
+    assert.deepStrictEqual(await ids({ $and: [{ age: { $gte: 18 } }, { role: { $ne: 'admin' } }] }), ['u3', 'u4']);
+    assert.deepStrictEqual(await ids({ $nor: [{ role: 'admin' }, { age: { $gt: 40 } }] }), ['u2', 'u4']);
+    assert.deepStrictEqual(await ids({ age: { $not: { $gte: 30 } } }), ['u2', 'u4']);
+    assert.deepStrictEqual(await ids({ role: { $nin: ['admin', 'user'] } }), ['u3']);
+    assert.deepStrictEqual(await ids({ role: { $exists: false } }), ['u3']);
+    assert.deepStrictEqual(await ids({ 'address.city': 'Paris', role: { $exists: true } }), ['u1']);
+
+    const invalid = await server.request('GET', `/api/collections/users?filter=${encodeURIComponent('{"age":{"$near":1}}')}`, undefined, token);
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.code, 'INVALID_FILTER');
+});
+
+test('array operators match elements, sizes and sub-documents', async () => {
+    assert.deepStrictEqual(await ids({ tags: 'a' }), ['u1', 'u4']);
+    assert.deepStrictEqual(await ids({ tags: { $all: ['a', 'b'] } }), ['u1', 'u4']);
+    assert.deepStrictEqual(await ids({ tags: { $size: 0 } }), ['u3']);
+    assert.deepStrictEqual(await ids({ scores: { $elemMatch: { game: 'go', points: { $gt: 5 } } } }), ['u1']);
+    assert.deepStrictEqual(await ids({ tags: { $in: ['c'] } }), ['u4']);
+});
+
+test('declared indexes answer filters and sorts with the same results', async () => {
+    const filter = { age: { $gte: 18 } };
+    const scanned = await find(filter, '&sort=age:desc&explain=true');
+    assert.strictEqual(scanned.explain.index, null);
+
+    const saved = await server.request('PUT', '/api/collections/users/settings', { indexes: ['age', 'address.city'] }, token);
+    assert.strictEqual(saved.status, 200, saved.text);
+    const indexed = await find(filter, '&sort=age:desc&explain=true');
+    assert.deepStrictEqual(indexed.explain, { index: 'age', sortIndex: 'age', examined: 3, matched: 3, total: 4 });
+    assert.deepStrictEqual(indexed.data.map(record => record.id), scanned.data.map(record => record.id));
+    assert.deepStrictEqual(indexed.data.map(record => record.id), ['u3', 'u1', 'u4']);
+
+    // Writes keep the index current
+    await server.request('PUT', '/api/collections/users/u2', { age: 50 }, token);
+    await server.request('DELETE', '/api/collections/users/u3', undefined, token);
+    assert.deepStrictEqual((await find(filter, '&sort=age:desc')).data.map(record => record.id), ['u2', 'u1', 'u4']);
+    const city = await find({ 'address.city': 'Paris' }, '&explain=true');
+    assert.strictEqual(city.explain.index, 'address.city');
+    assert.deepStrictEqual(city.data.map(record => record.id), ['u1']);
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const liekoDB = require('../npm/liekoDB');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6120 });
+    ({ jwt, token, projectId } = await server.createProject());
+    await server.request('POST', '/api/collections/orders', { id: 'seed', status: 'new' }, token);
+    await server.request('POST', '/api/collections/secrets', { id: 'seed' }, token);
+});
+
+after(() => server.close());
+
+// A raw socket whose messages are read one at a time with `next()`
+async function connect(socketToken = token) {
+    const ws = new WebSocket(`${server.base.replace('http', 'ws')}/api/realtime?token=${socketToken}`);
+    const queue = [];
+    const waiting = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (waiting.length > 0) waiting.shift()(message);
+        else queue.push(message);
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    return {
+        ws,
+        send: message => ws.send(JSON.stringify(message)),
+        next: () => queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)),
+        close: () => ws.close()
+    };
+}
+
+test('subscriptions receive matching changes until they end', async () => {
+    const socket = await connect();
+    try {
+        socket.send({ type: 'subscribe', subscription: 'paid', collection: 'orders', filter: { status: 'paid' } });
+        socket.send({ type: 'subscribe', subscription: 'all', collection: 'orders' });
+        assert.deepStrictEqual([(await socket.next()).type, (await socket.next()).type], ['subscribed', 'subscribed']);
+
+        await server.request('PUT', '/api/collections/orders/seed', { status: 'paid' }, token);
+        const messages = [await socket.next(), await socket.next()];
+        assert.deepStrictEqual(messages.map(message => message.subscription).sort(), ['all', 'paid']);
+        assert.deepStrictEqual(messages.map(message => [message.type, message.event.type, message.event.record.status]), [
+            ['change', 'update', 'paid'], ['change', 'update', 'paid']
+        ]);
+
+        socket.send({ type: 'unsubscribe', subscription: 'paid' });
+        assert.deepStrictEqual(await socket.next(), { type: 'unsubscribed', subscription: 'paid' });
+        await server.request('POST', '/api/collections/orders', { id: 'o2', status: 'paid' }, token);
+        const next = await socket.next();
+        assert.deepStrictEqual([next.subscription, next.event.id], ['all', 'o2']);
+    } finally {
+        socket.close();
+    }
+});
+
+test('connections and subscriptions are checked against the token', async () => {
+    const refused = new WebSocket(`${server.base.replace('http', 'ws')}/api/realtime?token=invalid`);
+    const status = await new Promise(resolve => refused.once('unexpected-response', (req, res) => resolve(res.statusCode)));
+    assert.strictEqual(status, 401);
+
+    const scoped = await server.createToken(jwt, projectId, { permissions: 'read', collections: ['orders'] });
+    const socket = await connect(scoped.token);
+    try {
+        socket.send({ type: 'subscribe', subscription: 's1', collection: 'secrets' });
+        const rejected = await socket.next();
+        assert.deepStrictEqual([rejected.type, rejected.subscription, rejected.status], ['error', 's1', 403]);
+        socket.send({ type: 'subscribe', subscription: 's2', collection: 'orders', filter: { status: { $bad: 1 } } });
+        assert.strictEqual((await socket.next()).code, 'INVALID_FILTER');
+
+        // Deactivating the token ends its open connections
+        const closed = new Promise(resolve => socket.ws.once('close', code => resolve(code)));
+        await server.request('POST', `/api/projects/${projectId}/tokens/${scoped.id}/deactivate`, undefined, jwt);
+        assert.strictEqual((await socket.next()).code, 'TOKEN_CHANGED');
+        assert.strictEqual(await closed, 1008);
+    } finally {
+        socket.close();
+    }
+});
+
+test('a resume token replays the changes missed while disconnected', async () => {
+    const first = await connect();
+    first.send({ type: 'subscribe', subscription: 's', collection: 'orders' });
+    const { resumeToken } = await first.next();
+    first.close();
+
+    await server.request('POST', '/api/collections/orders', { id: 'o3' }, token);
+    const second = await connect();
+    try {
+        second.send({ type: 'subscribe', subscription: 's', collection: 'orders', resumeToken });
+        const replayed = await second.next();
+        assert.deepStrictEqual([replayed.type, replayed.event.id], ['change', 'o3']);
+        assert.strictEqual((await second.next()).type, 'subscribed');
+    } finally {
+        second.close();
+    }
+});
+
+test('the client resubscribes after the server restarts', async () => {
+    const db = new liekoDB({ databaseUrl: server.base, token, WebSocket, reconnectDelay: 100 });
+    const events = [];
+    const subscribed = () => new Promise(resolve => db.once('realtime:subscribed', resolve));
+    const received = async count => {
+        for (let attempt = 0; attempt < 100 && events.length < count; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    };
+    const firstSubscribe = subscribed();
+    const unsubscribe = db.subscribe('orders', { status: 'paid' }, event => events.push(event));
+    try {
+        await firstSubscribe;
+        await server.request('POST', '/api/collections/orders', { id: 'c1', status: 'paid' }, token);
+        await received(1);
+
+        const resubscribed = subscribed();
+        await server.restart();
+        await resubscribed;
+        await server.request('POST', '/api/collections/orders', { id: 'c2', status: 'new' }, token);
+        await server.request('POST', '/api/collections/orders', { id: 'c3', status: 'paid' }, token);
+        await received(3);
+        // The events the old server kept in memory are gone, so the handler is told to reload
+        assert.deepStrictEqual(events.map(event => [event.type, event.id]), [['insert', 'c1'], ['reset', undefined], ['insert', 'c3']]);
+    } finally {
+        unsubscribe();
+    }
+});
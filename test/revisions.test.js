@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6116 });
+    ({ token } = await server.createProject());
+});
+
+after(() => server.close());
+
+test('each write bumps the revision returned as ETag', async () => {
+    const created = await server.request('POST', '/api/collections/docs', { id: 'd1', title: 'a', views: 0 }, token);
+    assert.strictEqual(created.status, 201);
+    const first = await server.request('GET', '/api/collections/docs/d1', undefined, token);
+    assert.strictEqual(first.body._rev, 1);
+    assert.strictEqual(first.headers.get('etag'), '"1"');
+
+    await server.request('PUT', '/api/collections/docs/d1', { title: 'b' }, token);
+    await server.request('POST', '/api/collections/docs/d1/increment', { field: 'views' }, token);
+    const third = await server.request('GET', '/api/collections/docs/d1', undefined, token);
+    assert.strictEqual(third.headers.get('etag'), '"3"');
+});
+
+test('If-Match and _rev reject writes based on an older revision', async () => {
+    const stale = await server.request('PUT', '/api/collections/docs/d1', { title: 'stale' }, token, { 'If-Match': '"2"' });
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual(stale.body.code, 'REVISION_CONFLICT');
+    assert.deepStrictEqual(stale.body.details, { id: 'd1', currentRevision: 3, expectedRevision: 2 });
+    assert.strictEqual((await server.request('PUT', '/api/collections/docs/d1', { title: 'stale', _rev: 2 }, token)).status, 412);
+    assert.strictEqual((await server.request('DELETE', '/api/collections/docs/d1', undefined, token, { 'If-Match': '"2"' })).status, 412);
+    assert.strictEqual((await server.request('PUT', '/api/collections/docs/d1', { title: 'x' }, token, { 'If-Match': 'nope' })).status, 400);
+
+    const current = await server.request('PUT', '/api/collections/docs/d1', { title: 'c' }, token, { 'If-Match': 'W/"3"' });
+    assert.strictEqual(current.status, 200, current.text);
+    const { body } = await server.request('GET', '/api/collections/docs/d1', undefined, token);
+    assert.deepStrictEqual({ title: body.title, _rev: body._rev }, { title: 'c', _rev: 4 });
+});
+
+test('batch-update checks revisions per item', async () => {
+    await server.request('POST', '/api/collections/docs', { id: 'd2', title: 'a' }, token);
+    const batch = await server.request('POST', '/api/collections/docs/batch-update', {
+        updates: [{ id: 'd1', _rev: 4, data: { title: 'd' } }, { id: 'd2', _rev: 7, data: { title: 'b' } }]
+    }, token);
+    assert.strictEqual(batch.status, 200, batch.text);
+    assert.deepStrictEqual(batch.body.results.map(result => result.id), ['d1']);
+    assert.strictEqual(batch.body.errors[0].code, 'REVISION_CONFLICT');
+});
+
+test('concurrent writes with the same revision let exactly one through', async () => {
+    const responses = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        server.request('PUT', '/api/collections/docs/d2', { title: `w${i}` }, token, { 'If-Match': '"1"' })
+    ));
+    const statuses = responses.map(response => response.status).sort();
+    assert.deepStrictEqual(statuses, [200, ...Array(9).fill(412)]);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6106, env: { FLUSH_INTERVAL_MS: '100' } });
+    ({ jwt, token, projectId } = await server.createProject());
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function getRecord(collection, id, projectToken = token) {
+    const { status, body } = await server.request('GET', `/api/collections/${collection}/${id}`, undefined, projectToken);
+    return status === 200 ? body : null;
+}
+
+async function takeSnapshot() {
+    const response = await server.request('POST', `/api/projects/${projectId}/snapshots`, undefined, jwt);
+    assert.strictEqual(response.status, 201, response.text);
+    return response.body.id;
+}
+
+function restoreSnapshot(snapshotId, body) {
+    return server.request('POST', `/api/projects/${projectId}/snapshots/${snapshotId}/restore`, body, jwt);
+}
+
+test('restoring a snapshot brings back its collections and keeps a pre-restore snapshot', async () => {
+    await server.request('POST', '/api/collections/alpha', { id: 'a1', value: 'snapshotted' }, token);
+    await server.request('POST', '/api/collections/beta', { id: 'b1', value: 'snapshotted' }, token);
+    const snapshotId = await takeSnapshot();
+
+    await server.request('PUT', '/api/collections/alpha/a1', { value: 'changed' }, token);
+    await server.request('POST', '/api/collections/gamma', { id: 'g1' }, token);
+
+    const restored = await restoreSnapshot(snapshotId, { target: 'original' });
+    assert.strictEqual(restored.status, 200, restored.text);
+    assert.ok(restored.body.preRestoreSnapshotId);
+    assert.strictEqual((await getRecord('alpha', 'a1')).value, 'snapshotted');
+    assert.strictEqual((await server.request('GET', '/api/collections/gamma', undefined, token)).status, 404);
+
+    // The restored data is on disk, not only in memory
+    await server.restart('SIGKILL');
+    assert.strictEqual((await getRecord('alpha', 'a1')).value, 'snapshotted');
+
+    const clone = await restoreSnapshot(snapshotId, { target: 'clone', name: 'Copy' });
+    assert.strictEqual(clone.status, 201, clone.text);
+    assert.strictEqual((await getRecord('beta', 'b1', clone.body.token)).value, 'snapshotted');
+});
+
+test('a restore that fails part-way leaves the current data in place', async () => {
+    const snapshotId = await takeSnapshot();
+    await server.request('PUT', '/api/collections/alpha/a1', { value: 'current' }, token);
+    await server.request('PUT', '/api/collections/beta/b1', { value: 'current' }, token);
+    await wait(500);
+
+    // A directory where beta's write-ahead log goes makes its part of the restore fail after alpha's is written
+    const walPath = path.join(server.storageDir, 'projects', projectId, 'beta.wal');
+    await fs.rm(walPath, { force: true });
+    await fs.mkdir(walPath);
+    const failed = await restoreSnapshot(snapshotId, { target: 'original' });
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual((await getRecord('alpha', 'a1')).value, 'current');
+
+    await fs.rmdir(walPath);
+    assert.strictEqual((await getRecord('beta', 'b1')).value, 'current');
+    await server.restart('SIGKILL');
+    assert.strictEqual((await getRecord('alpha', 'a1')).value, 'current');
+    const restored = await restoreSnapshot(snapshotId, { target: 'original' });
+    assert.strictEqual(restored.status, 200, restored.text);
+    assert.strictEqual((await getRecord('alpha', 'a1')).value, 'snapshotted');
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6113 });
+    ({ jwt, token, projectId } = await server.createProject());
+    for (const collection of ['products', 'carts', 'logs_app', 'secrets']) {
+        await server.request('POST', `/api/collections/${collection}`, { id: 'r1' }, token);
+    }
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function tokenRoute(tokenId, action = '') {
+    return `/api/projects/${projectId}/tokens/${tokenId}${action && `/${action}`}`;
+}
+
+test('scoped tokens only reach their collections, at the level given for each', async () => {
+    const storefront = await server.createToken(jwt, projectId, {
+        permissions: 'write',
+        collections: { products: 'read', carts: 'write', 'logs_*': 'read' }
+    });
+    const read = (collection, id = 'r1') => server.request('GET', `/api/collections/${collection}/${id}`, undefined, storefront.token);
+    const write = collection => server.request('POST', `/api/collections/${collection}`, { id: `w${Date.now()}` }, storefront.token);
+
+    assert.strictEqual((await read('products')).status, 200);
+    assert.strictEqual((await write('products')).status, 403);
+    assert.strictEqual((await write('carts')).status, 201);
+    assert.strictEqual((await read('logs_app')).status, 200);
+    assert.strictEqual((await read('secrets')).status, 403);
+    // Per-collection levels never raise the token's own permissions
+    assert.strictEqual((await server.request('DELETE', '/api/collections/carts/r1', undefined, storefront.token)).status, 403);
+
+    const validated = await server.request('GET', '/api/token/validate', undefined, storefront.token);
+    const reachable = Object.fromEntries(validated.body.collections.map(collection => [collection.name, collection.permissions]));
+    assert.deepStrictEqual(reachable, { products: 'read', carts: 'write', logs_app: 'read' });
+
+    const transaction = await server.request('POST', '/api/transactions', {
+        operations: [{ op: 'create', collection: 'carts', data: { id: 'c9' } }, { op: 'create', collection: 'secrets', data: { id: 's9' } }]
+    }, storefront.token);
+    assert.strictEqual(transaction.status, 403);
+
+    const narrowed = await server.request('PUT', tokenRoute(storefront.id), { collections: ['products'] }, jwt);
+    assert.strictEqual(narrowed.status, 200, narrowed.text);
+    assert.strictEqual((await write('products')).status, 201);
+    assert.strictEqual((await read('carts')).status, 403);
+});
+
+test('expired and deactivated tokens are refused', async () => {
+    const temporary = await server.createToken(jwt, projectId, { permissions: 'read', expiresAt: new Date(Date.now() + 1000).toISOString() });
+    assert.strictEqual((await server.request('GET', '/api/collections/products/r1', undefined, temporary.token)).status, 200);
+    await wait(1200);
+    const expired = await server.request('GET', '/api/collections/products/r1', undefined, temporary.token);
+    assert.strictEqual(expired.status, 401);
+    assert.strictEqual(expired.body.code, 'TOKEN_EXPIRED');
+
+    assert.strictEqual((await server.request('PUT', tokenRoute(temporary.id), { expiresAt: 'soon' }, jwt)).status, 400);
+    assert.strictEqual((await server.request('PUT', tokenRoute(temporary.id), { expiresAt: null }, jwt)).status, 200);
+    assert.strictEqual((await server.request('GET', '/api/collections/products/r1', undefined, temporary.token)).status, 200);
+
+    await server.request('POST', tokenRoute(temporary.id, 'deactivate'), undefined, jwt);
+    const inactive = await server.request('GET', '/api/collections/products/r1', undefined, temporary.token);
+    assert.strictEqual(inactive.status, 401);
+    assert.strictEqual(inactive.body.code, 'INVALID_TOKEN');
+    await server.request('POST', tokenRoute(temporary.id, 'activate'), undefined, jwt);
+    assert.strictEqual((await server.request('GET', '/api/collections/products/r1', undefined, temporary.token)).status, 200);
+});
+
+test('rotation issues a new secret and keeps the old one for the grace period', async () => {
+    const rotating = await server.createToken(jwt, projectId, { permissions: 'read' });
+    const get = secret => server.request('GET', '/api/collections/products/r1', undefined, secret).then(response => response.status);
+
+    const rotated = await server.request('POST', tokenRoute(rotating.id, 'rotate'), { gracePeriod: 1 }, jwt);
+    assert.strictEqual(rotated.status, 200, rotated.text);
+    assert.strictEqual(rotated.body.id, rotating.id);
+    assert.notStrictEqual(rotated.body.token, rotating.token);
+    assert.strictEqual(await get(rotated.body.token), 200);
+    assert.strictEqual(await get(rotating.token), 200);
+    await wait(1200);
+    assert.strictEqual(await get(rotating.token), 401);
+
+    const revoked = await server.request('POST', tokenRoute(rotating.id, 'rotate'), { gracePeriod: 0 }, jwt);
+    assert.strictEqual(await get(rotated.body.token), 401);
+    assert.strictEqual(await get(revoked.body.token), 200);
+});
+
+test('token use is tracked without rewriting manageDB.json', async () => {
+    const tracked = await server.createToken(jwt, projectId, { permissions: 'read' });
+    const manageDBPath = path.join(server.storageDir, 'manageDB.json');
+    const saved = await fs.readFile(manageDBPath, 'utf8');
+    await server.request('GET', '/api/collections/products/r1', undefined, tracked.token);
+    assert.strictEqual(await fs.readFile(manageDBPath, 'utf8'), saved);
+
+    // Usage is saved on shutdown
+    await server.restart();
+    const tokens = await server.request('GET', `/api/projects/${projectId}/tokens`, undefined, jwt);
+    const listed = tokens.body.tokens.find(t => t.id === tracked.id);
+    assert.ok(listed.lastUsedAt);
+    assert.ok(listed.lastUsedIp);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let jwt;
+let token;
+let projectId;
+
+before(async () => {
+    server = await startServer({ port: 6111 });
+    ({ jwt, token, projectId } = await server.createProject());
+    await server.request('POST', '/api/collections/inventory/batch-set', {
+        records: [{ id: 'warehouse-a', stock: 10 }, { id: 'warehouse-b', stock: 0 }]
+    }, token);
+});
+
+after(() => server.close());
+
+function transaction(operations, transactionToken = token) {
+    return server.request('POST', '/api/transactions', { operations }, transactionToken);
+}
+
+async function getRecord(collection, id) {
+    const { status, body } = await server.request('GET', `/api/collections/${collection}/${id}`, undefined, token);
+    return status === 200 ? body : null;
+}
+
+test('operations on several collections are applied together', async () => {
+    const response = await transaction([
+        { op: 'increment', collection: 'inventory', id: 'warehouse-a', field: 'stock', value: -5, match: { stock: { $gte: 5 } } },
+        { op: 'increment', collection: 'inventory', id: 'warehouse-b', field: 'stock', value: 5 },
+        { op: 'create', collection: 'orders', data: { id: 'o1', sku: 'WIDGET', quantity: 5 } },
+        { op: 'update', collection: 'orders', id: 'o1', data: { $set: { status: 'placed' } } }
+    ]);
+    assert.strictEqual(response.status, 200, response.text);
+    assert.deepStrictEqual(response.body.results.map(result => `${result.op}:${result.collection}`), [
+        'increment:inventory', 'increment:inventory', 'create:orders', 'update:orders'
+    ]);
+    assert.strictEqual((await getRecord('inventory', 'warehouse-a')).stock, 5);
+    assert.strictEqual((await getRecord('inventory', 'warehouse-b')).stock, 5);
+    assert.strictEqual((await getRecord('orders', 'o1')).status, 'placed');
+});
+
+test('a failing operation rolls back every operation before it', async () => {
+    const response = await transaction([
+        { op: 'increment', collection: 'inventory', id: 'warehouse-b', field: 'stock', value: 5 },
+        { op: 'create', collection: 'invoices', data: { id: 'i1' } },
+        { op: 'delete', collection: 'orders', id: 'o1' },
+        { op: 'increment', collection: 'inventory', id: 'warehouse-a', field: 'stock', value: -10, match: { stock: { $gte: 10 } } }
+    ]);
+    assert.strictEqual(response.status, 412, response.text);
+    assert.strictEqual(response.body.code, 'PRECONDITION_FAILED');
+    assert.deepStrictEqual(
+        { index: response.body.details.index, id: response.body.details.id },
+        { index: 3, id: 'warehouse-a' }
+    );
+
+    assert.strictEqual((await getRecord('inventory', 'warehouse-b')).stock, 5);
+    assert.ok(await getRecord('orders', 'o1'));
+    // The collection the transaction created is dropped again
+    assert.strictEqual((await server.request('GET', '/api/collections/invoices', undefined, token)).status, 404);
+});
+
+test('revision preconditions and duplicate creates abort the transaction', async () => {
+    const { _rev } = await getRecord('orders', 'o1');
+    const stale = await transaction([{ op: 'update', collection: 'orders', id: 'o1', _rev: _rev - 1, data: { status: 'shipped' } }]);
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual(stale.body.code, 'REVISION_CONFLICT');
+    const duplicate = await transaction([
+        { op: 'create', collection: 'orders', data: { id: 'o2' } },
+        { op: 'create', collection: 'orders', data: { id: 'o2' } }
+    ]);
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(await getRecord('orders', 'o2'), null);
+    assert.strictEqual((await getRecord('orders', 'o1')).status, 'placed');
+});
+
+test('deletes need full access and every collection must be in scope', async () => {
+    const writer = await server.createToken(jwt, projectId, { permissions: 'write', collections: ['orders'] });
+    const deleting = await transaction([{ op: 'delete', collection: 'orders', id: 'o1' }], writer.token);
+    assert.strictEqual(deleting.status, 403);
+    const outside = await transaction([
+        { op: 'create', collection: 'orders', data: { id: 'o3' } },
+        { op: 'increment', collection: 'inventory', id: 'warehouse-a', field: 'stock' }
+    ], writer.token);
+    assert.strictEqual(outside.status, 403);
+    assert.strictEqual(await getRecord('orders', 'o3'), null);
+
+    const allowed = await transaction([{ op: 'create', collection: 'orders', data: { id: 'o3' } }], writer.token);
+    assert.strictEqual(allowed.status, 200, allowed.text);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6105 });
+    ({ token } = await server.createProject());
+    await server.request('POST', '/api/collections/notes', { id: 'seed' }, token);
+    await server.request('PUT', '/api/collections/notes/settings', { softDelete: true, history: true }, token);
+});
+
+after(() => server.close());
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function restore(ids) {
+    return server.request('POST', '/api/collections/notes/trash/restore', { ids }, token);
+}
+
+test('deleted records go to the trash and can be restored', async () => {
+    await server.request('POST', '/api/collections/notes', { id: 'n1', text: 'one' }, token);
+    assert.strictEqual((await server.request('DELETE', '/api/collections/notes/n1', undefined, token)).status, 204);
+    assert.strictEqual((await server.request('GET', '/api/collections/notes/n1', undefined, token)).status, 404);
+
+    const trash = await server.request('GET', '/api/collections/notes/trash', undefined, token);
+    assert.deepStrictEqual(trash.body.records.map(entry => entry.record?.id ?? entry.id), ['n1']);
+
+    const restored = await restore(['n1', 'missing']);
+    assert.strictEqual(restored.body.results[0].id, 'n1');
+    assert.strictEqual(restored.body.errors[0].code, 'RECORD_NOT_FOUND');
+    const { body } = await server.request('GET', '/api/collections/notes/n1', undefined, token);
+    assert.strictEqual(body.text, 'one');
+});
+
+test('a live record keeps its id but an expired one does not', async () => {
+    await server.request('POST', '/api/collections/notes', { id: 'n2', text: 'trashed' }, token);
+    await server.request('DELETE', '/api/collections/notes/n2', undefined, token);
+    await server.request('POST', '/api/collections/notes', { id: 'n2', text: 'live' }, token);
+    const conflict = await restore(['n2']);
+    assert.strictEqual(conflict.body.errors[0].code, 'RECORD_EXISTS');
+
+    await server.request('POST', '/api/collections/notes', { id: 'n3', text: 'trashed' }, token);
+    await server.request('DELETE', '/api/collections/notes/n3', undefined, token);
+    await server.request('POST', '/api/collections/notes', { id: 'n3', text: 'expiring', expiresAt: new Date(Date.now() + 200).toISOString() }, token);
+    await wait(300);
+    const restored = await restore(['n3']);
+    assert.deepStrictEqual(restored.body.errors, []);
+    const { body } = await server.request('GET', '/api/collections/notes/n3', undefined, token);
+    assert.strictEqual(body.text, 'trashed');
+
+    // The expired record the restore replaced is kept in the history
+    const history = await server.request('GET', '/api/collections/notes/n3/history', undefined, token);
+    assert.strictEqual(history.body.versions[0].operation, 'restore');
+    assert.strictEqual(history.body.versions[0].record.text, 'expiring');
+});
+
+test('trash collections cannot be reached through collection routes', async () => {
+    const forged = await server.request('POST', '/api/collections/notes.trash', { id: 'n9', record: { id: 'n9' } }, token);
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual(forged.body.code, 'INVALID_COLLECTION_NAME');
+    assert.strictEqual((await server.request('GET', '/api/collections/notes.trash/trash', undefined, token)).status, 400);
+    assert.strictEqual((await restore(['n9'])).body.errors[0].code, 'RECORD_NOT_FOUND');
+});
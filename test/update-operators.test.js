@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ port: 6101 });
+    ({ token } = await server.createProject());
+});
+
+after(() => server.close());
+
+test('update documents apply every operator on dotted paths', async () => {
+    await server.request('POST', '/api/collections/users', {
+        id: 'u1', name: 'Ann', score: 2, tags: ['a'], address: { city: 'Paris', zip: '75001' }, legacy: true, old: 1
+    }, token);
+    const response = await server.request('PUT', '/api/collections/users/u1', {
+        $set: { 'address.city': 'Lyon', 'profile.bio': 'hi' },
+        $unset: { legacy: '' },
+        $inc: { score: 3 },
+        $mul: { visits: 2 },
+        $min: { low: 5 },
+        $max: { score: 1 },
+        $push: { tags: { $each: ['b', 'c', 'd'], $slice: -3 } },
+        $addToSet: { roles: { $each: ['x', 'x', 'y'] } },
+        $rename: { old: 'renamed' }
+    }, token);
+    assert.strictEqual(response.status, 200, response.text);
+
+    const { body: record } = await server.request('GET', '/api/collections/users/u1', undefined, token);
+    assert.deepStrictEqual(record.address, { city: 'Lyon', zip: '75001' });
+    assert.deepStrictEqual(record.profile, { bio: 'hi' });
+    assert.strictEqual('legacy' in record, false);
+    assert.strictEqual(record.score, 5);
+    assert.strictEqual(record.visits, 0);
+    assert.strictEqual(record.low, 5);
+    assert.deepStrictEqual(record.tags, ['b', 'c', 'd']);
+    assert.deepStrictEqual(record.roles, ['x', 'y']);
+    assert.strictEqual(record.renamed, 1);
+    assert.strictEqual('old' in record, false);
+
+    const pulled = await server.request('PUT', '/api/collections/users/u1', { $pull: { tags: 'c' } }, token);
+    assert.deepStrictEqual(pulled.body.results[0].record.tags, ['b', 'd']);
+});
+
+test('operator errors leave the record unchanged', async () => {
+    await server.request('POST', '/api/collections/users', { id: 'u2', name: 'Bob' }, token);
+    const mixed = await server.request('PUT', '/api/collections/users/u2', { $set: { a: 1 }, b: 2 }, token);
+    assert.strictEqual(mixed.status, 400);
+    const notNumber = await server.request('PUT', '/api/collections/users/u2', { $set: { a: 1 }, $inc: { name: 1 } }, token);
+    assert.strictEqual(notNumber.status, 400);
+    const id = await server.request('PUT', '/api/collections/users/u2', { $set: { id: 'other' } }, token);
+    assert.strictEqual(id.status, 400);
+
+    const { body } = await server.request('GET', '/api/collections/users/u2', undefined, token);
+    assert.strictEqual(body.a, undefined);
+});
+
+test('update paths cannot reach Object.prototype', async () => {
+    await server.request('POST', '/api/collections/users', { id: 'u3' }, token);
+    for (const path of ['__proto__.polluted', 'constructor.prototype.polluted', 'a.__proto__.polluted', 'prototype']) {
+        const response = await server.request('PUT', '/api/collections/users/u3', { $set: { [path]: 'yes' } }, token);
+        assert.strictEqual(response.status, 400, `$set ${path}`);
+    }
+    const renamed = await server.request('PUT', '/api/collections/users/u3', { $rename: { a: '__proto__.polluted' } }, token);
+    assert.strictEqual(renamed.status, 400);
+
+    // Inherited properties are not fields: $inc on 'toString' starts from zero instead of failing
+    const inherited = await server.request('PUT', '/api/collections/users/u3', { $inc: { toString: 1 } }, token);
+    assert.strictEqual(inherited.status, 200, inherited.text);
+
+    const filter = encodeURIComponent(JSON.stringify({ polluted: 'yes' }));
+    const matches = await server.request('GET', `/api/collections/users?filter=${filter}`, undefined, token);
+    assert.strictEqual(matches.status, 200);
+    assert.deepStrictEqual(matches.body.data, []);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { startServer } = require('./helpers');
+
+let server;
+let receiver;
+let jwt;
+let token;
+let projectId;
+// Each request the receiver gets, and the status it answers the next ones with
+const received = [];
+let failNext = 0;
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body, data: JSON.parse(body) });
+            res.statusCode = failNext-- > 0 ? 500 : 204;
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    server = await startServer({ port: 6119, env: { WEBHOOK_RETRY_DELAY_MS: '100' } });
+    ({ jwt, token, projectId } = await server.createProject());
+});
+
+after(async () => {
+    await server.close();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+async function waitFor(condition) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const result = await condition();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('Condition not met in time');
+}
+
+function webhookRoute(path = '') {
+    return `/api/projects/${projectId}/webhooks${path}`;
+}
+
+test('matching changes are delivered signed and in order', async () => {
+    const created = await server.request('POST', webhookRoute(), {
+        url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+        collections: ['orders'],
+        events: ['insert', 'update'],
+        filter: { total: { $gte: 100 } }
+    }, jwt);
+    assert.strictEqual(created.status, 201, created.text);
+    const { secret } = created.body;
+
+    await server.request('POST', '/api/collections/orders', { id: 'small', total: 5 }, token);
+    await server.request('POST', '/api/collections/others', { id: 'big', total: 500 }, token);
+    await server.request('POST', '/api/collections/orders', { id: 'o1', total: 100 }, token);
+    await server.request('PUT', '/api/collections/orders/o1', { total: 150 }, token);
+    await server.request('DELETE', '/api/collections/orders/o1', undefined, token);
+    await server.request('POST', '/api/collections/orders', { id: 'o2', total: 200 }, token);
+
+    await waitFor(() => received.length >= 3);
+    assert.deepStrictEqual(received.map(({ data }) => [data.event.type, data.event.id]), [['insert', 'o1'], ['update', 'o1'], ['insert', 'o2']]);
+
+    const [{ headers, body, data }] = received;
+    assert.strictEqual(headers['x-liekodb-event'], 'insert');
+    assert.strictEqual(headers['x-liekodb-delivery'], data.id);
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${headers['x-liekodb-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-liekodb-signature'], expected);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(headers['x-liekodb-timestamp'])) < 60);
+});
+
+test('failed deliveries are retried, logged and can be sent again', async () => {
+    const [{ data: { webhookId } }] = received;
+    received.length = 0;
+    failNext = 2;
+    await server.request('POST', '/api/collections/orders', { id: 'o3', total: 300 }, token);
+
+    await waitFor(() => received.length >= 3);
+    assert.deepStrictEqual(received.map(({ data }) => data.attempt), [1, 2, 3]);
+    const deliveries = await waitFor(async () => {
+        const { body } = await server.request('GET', webhookRoute(`/${webhookId}/deliveries`), undefined, jwt);
+        const delivery = body.deliveries.find(entry => entry.event.id === 'o3');
+        return delivery?.status === 'success' && body.deliveries;
+    });
+    const delivery = deliveries.find(entry => entry.event.id === 'o3');
+    assert.strictEqual(delivery.attempts.length, 3);
+
+    const redelivered = await server.request('POST', webhookRoute(`/${webhookId}/deliveries/${delivery.id}/redeliver`), undefined, jwt);
+    assert.strictEqual(redelivered.status, 202, redelivered.text);
+    assert.strictEqual(redelivered.body.redeliveryOf, delivery.id);
+    await waitFor(() => received.length >= 4);
+    assert.strictEqual(received[3].data.event.id, 'o3');
+    assert.notStrictEqual(received[3].data.id, delivery.id);
+});
+
+test('webhooks need a user login and a valid URL', async () => {
+    assert.strictEqual((await server.request('GET', webhookRoute(), undefined, token)).status, 401);
+    assert.strictEqual((await server.request('POST', webhookRoute(), { url: 'not a url' }, jwt)).status, 400);
+});